@@ -6,7 +6,6 @@
  */
 
 const joi = require('joi');
-const crypto = require('@arangodb/crypto');
 
 module.exports = {
     contentType: 'application/json',
@@ -32,9 +31,8 @@ module.exports = {
             res.throw(401, 'Invalid credentials');
         }
         
-        // Verify password (assuming SHA384 hashed password)
-        const passwordHash = crypto.sha384(password);
-        if (user.password !== passwordHash) {
+        // Verify password against its salted hash
+        if (!auth.verifyPassword(password, user.password)) {
             res.throw(401, 'Invalid credentials');
         }
         
@@ -55,12 +53,15 @@ module.exports = {
             }
         };
         
-        // Add refresh token if enabled
+        // Start a refresh token family if enabled, the access token is issued with it
         if (auth.useRefreshTokens()) {
-            response.refreshToken = auth.createRefreshToken(user._key, {
+            const tokens = auth.issueTokens(user._key, {
                 username: user.username,
                 roles: user.roles || ['user']
             });
+            
+            response.accessToken = tokens.accessToken;
+            response.refreshToken = tokens.refreshToken;
         }
         
         // Update last login timestamp
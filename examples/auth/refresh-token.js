@@ -3,6 +3,8 @@
  * 
  * This file demonstrates how to create a refresh token endpoint
  * that generates new access tokens from a refresh token.
+ * Refresh tokens are stored server-side and rotated on every use;
+ * see src/routes/auth/refresh/post.js for the full endpoint.
  */
 
 const joi = require('joi');
@@ -27,14 +29,13 @@ module.exports = {
         }
         
         try {
-            // Refresh the token
-            const { accessToken, refreshToken: newRefreshToken } = auth.refreshAccessToken(
-                refreshToken, 
-                { 
-                    rotateRefreshToken: true, // Generate a new refresh token
-                    extraData: {
-                        refreshedAt: new Date().toISOString()
-                    }
+            // Use the refresh token once and get a new pair, reuse revokes the token family
+            const payload = auth.decode(refreshToken, { type: 'refresh' });
+            const { accessToken, refreshToken: newRefreshToken } = auth.rotateRefreshToken(
+                refreshToken,
+                {
+                    roles: payload.roles,
+                    permissions: payload.permissions
                 }
             );
             
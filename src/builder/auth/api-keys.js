@@ -0,0 +1,261 @@
+/**
+ * API keys for Foxx Builder
+ *
+ * @module builder/auth/api-keys
+ *
+ * API keys are long-lived credentials for integrations. A key looks like
+ *
+ *   fxb_3k9x2mq7_<secret>
+ *
+ * where the part up to the second underscore is its public prefix, stored
+ * in clear to identify the key in listings. Only a SHA-256 hash of the full
+ * key is stored. Each key belongs to an owner (a user, typically a service
+ * account) and carries scopes, which must be permissions of the built-in
+ * `api` role; requests authenticated with a key act with the `api` role and
+ * the scopes as permissions, never with the roles of the owner.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const { db, query } = require('@arangodb');
+const crypto = require('@arangodb/crypto');
+
+/**
+ * Collection of API keys
+ * @type {string}
+ */
+const API_KEYS_COLLECTION = 'apiKeys';
+
+/**
+ * Prefix all API keys start with, used to tell them apart from JWTs
+ * @type {string}
+ */
+const KEY_PREFIX = 'fxb_';
+
+/**
+ * Name of the role API key requests act with
+ * @type {string}
+ */
+const API_ROLE = 'api';
+
+/**
+ * Minimum time in milliseconds between two updates of lastUsedAt
+ * @type {number}
+ */
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * Get the collection of API keys, creating it if needed
+ *
+ * @returns {ArangoCollection} API keys collection
+ */
+const getCollection = () => {
+    let collection = db._collection(API_KEYS_COLLECTION);
+
+    if (!collection) {
+        collection = db._createDocumentCollection(API_KEYS_COLLECTION);
+        collection.ensureIndex({ type: 'persistent', fields: ['hash'], unique: true });
+        collection.ensureIndex({ type: 'persistent', fields: ['ownerId'] });
+    }
+
+    return collection;
+};
+
+/**
+ * Check whether a credential looks like an API key
+ *
+ * @param {string} value - Token or key
+ * @returns {boolean} True if the value has the API key prefix
+ */
+const isApiKey = value => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+/**
+ * Remove the hash from an API key document
+ *
+ * @param {Object} apiKey - API key document
+ * @returns {Object} API key without secrets
+ */
+const sanitize = (apiKey) => {
+    const { hash, _id, _rev, ...rest } = apiKey;
+    return rest;
+};
+
+/**
+ * Get the built-in api role
+ *
+ * @returns {Object|null} Role ({ _key, permissions }) or null if it does not exist
+ */
+const getApiRole = () => {
+    const [role] = query`
+        FOR role IN roles
+        FILTER role.name == ${API_ROLE}
+        LIMIT 1
+        RETURN KEEP(role, "_key", "permissions")
+    `.toArray();
+
+    return role || null;
+};
+
+/**
+ * Create an API key
+ *
+ * @param {Object} definition - Key definition
+ * @param {string} definition.name - Display name
+ * @param {string} definition.ownerId - User ID of the owner
+ * @param {string[]} definition.scopes - Permissions of the key, a subset of the api role permissions
+ * @param {number} [definition.expiresAt] - Expiration timestamp in milliseconds (default: never)
+ * @param {string} [createdBy] - User ID of the creator
+ * @returns {Object} Result ({ key, apiKey }), the plain key is only returned here
+ * @throws {Error} If the owner does not exist or a scope is not allowed
+ */
+const create = ({ name, ownerId, scopes = [], expiresAt = null }, createdBy = null) => {
+    if (!db._collection('users').exists(ownerId)) {
+        throw new Error(`Invalid owner: user ${ownerId} not found`);
+    }
+
+    const role = getApiRole();
+    const allowed = role ? role.permissions || [] : [];
+    const invalid = scopes.filter(scope => !allowed.includes(scope));
+
+    if (scopes.length === 0 || invalid.length > 0) {
+        throw new Error(`Invalid scopes: ${invalid.join(', ') || 'none given'}. Allowed scopes are the permissions of the ${API_ROLE} role: ${allowed.join(', ')}`);
+    }
+
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+        throw new Error('Invalid expiration: must be in the future');
+    }
+
+    const prefix = `${KEY_PREFIX}${crypto.genRandomAlphaNumbers(8).toLowerCase()}`;
+    const key = `${prefix}_${crypto.genRandomAlphaNumbers(40)}`;
+
+    const apiKey = {
+        name,
+        prefix,
+        hash: crypto.sha256(key),
+        ownerId,
+        scopes,
+        status: 'active',
+        expiresAt,
+        lastUsedAt: null,
+        lastUsedIp: null,
+        createdAt: Date.now(),
+        createdBy
+    };
+
+    const meta = getCollection().save(apiKey);
+
+    return { key, apiKey: sanitize({ ...apiKey, _key: meta._key }) };
+};
+
+/**
+ * List API keys
+ *
+ * @param {Object} [filters] - Filters ({ ownerId, status })
+ * @returns {Object[]} API keys without secrets, newest first
+ */
+const list = ({ ownerId, status } = {}) => {
+    const collection = db._collection(API_KEYS_COLLECTION);
+
+    if (!collection) {
+        return [];
+    }
+
+    return query`
+        FOR apiKey IN ${collection}
+        FILTER ${ownerId || null} == null OR apiKey.ownerId == ${ownerId || null}
+        FILTER ${status || null} == null OR apiKey.status == ${status || null}
+        SORT apiKey.createdAt DESC
+        RETURN UNSET(apiKey, "_id", "_rev", "hash")
+    `.toArray();
+};
+
+/**
+ * Get an API key
+ *
+ * @param {string} id - API key ID
+ * @returns {Object|null} API key without secrets, or null if not found
+ */
+const get = (id) => {
+    const collection = db._collection(API_KEYS_COLLECTION);
+    return collection && collection.exists(id) ? sanitize(collection.document(id)) : null;
+};
+
+/**
+ * Revoke an API key
+ *
+ * @param {string} id - API key ID
+ * @param {Object} [details] - Details ({ revokedBy, reason })
+ * @returns {Object|null} Revoked API key, or null if not found
+ */
+const revoke = (id, { revokedBy = null, reason = null } = {}) => {
+    const collection = db._collection(API_KEYS_COLLECTION);
+
+    if (!collection || !collection.exists(id)) {
+        return null;
+    }
+
+    const [revoked] = query`
+        FOR apiKey IN ${collection}
+        FILTER apiKey._key == ${id}
+        UPDATE apiKey WITH {
+            status: 'revoked',
+            revokedAt: apiKey.status == 'revoked' ? apiKey.revokedAt : ${Date.now()},
+            revokedBy: apiKey.status == 'revoked' ? apiKey.revokedBy : ${revokedBy},
+            reason: apiKey.status == 'revoked' ? apiKey.reason : ${reason}
+        } IN ${collection}
+        RETURN NEW
+    `.toArray();
+
+    return sanitize(revoked);
+};
+
+/**
+ * Verify an API key
+ *
+ * The key must be active, not expired, and its owner must not be disabled
+ * or locked. Usage is recorded at most once a minute.
+ *
+ * @param {string} key - Plain API key
+ * @param {string} [ip] - IP address of the client, recorded as lastUsedIp
+ * @returns {Object|null} API key without secrets, or null if the key is not valid
+ */
+const verify = (key, ip = null) => {
+    const collection = db._collection(API_KEYS_COLLECTION);
+
+    if (!collection || !isApiKey(key)) {
+        return null;
+    }
+
+    const now = Date.now();
+    const [apiKey] = query`
+        FOR apiKey IN ${collection}
+        FILTER apiKey.hash == ${crypto.sha256(key)} AND apiKey.status == 'active'
+        FILTER apiKey.expiresAt == null OR apiKey.expiresAt > ${now}
+        LET owner = DOCUMENT(users, apiKey.ownerId)
+        FILTER owner != null AND owner.status NOT IN ['disabled', 'locked']
+        RETURN apiKey
+    `.toArray();
+
+    if (!apiKey) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_INTERVAL) {
+        collection.update(apiKey._key, { lastUsedAt: now, lastUsedIp: ip });
+    }
+
+    return sanitize(apiKey);
+};
+
+module.exports = {
+    API_KEYS_COLLECTION,
+    KEY_PREFIX,
+    isApiKey,
+    getApiRole,
+    create,
+    list,
+    get,
+    revoke,
+    verify
+};
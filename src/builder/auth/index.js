@@ -6,8 +6,68 @@
  * @version 1.1.0
  * @author skitsanos
  */
+const { db, query } = require('@arangodb');
 const crypto = require('@arangodb/crypto');
 const joi = require('joi');
+const password = require('./password');
+const loginAttempts = require('./login-attempts');
+const totp = require('./totp');
+const apiKeys = require('./api-keys');
+const signingKeys = require('./signing-keys');
+const sessions = require('./sessions');
+const emailService = require('../email');
+
+/**
+ * Collection of revoked token IDs (jti) and per-user revocations,
+ * entries expire together with the tokens they revoke
+ * @type {string}
+ */
+const REVOKED_TOKENS_COLLECTION = 'revokedTokens';
+
+/**
+ * Collection of issued refresh tokens, grouped into families that start
+ * at a login and continue with every rotation
+ * @type {string}
+ */
+const REFRESH_TOKENS_COLLECTION = 'refreshTokens';
+
+/**
+ * Collection of one-time tokens, e.g. for password resets. Only a hash of
+ * each token is stored, under the token's purpose
+ * @type {string}
+ */
+const ONE_TIME_TOKENS_COLLECTION = 'oneTimeTokens';
+
+/**
+ * Collection of two-factor authentication settings, keyed by user ID.
+ * Kept apart from the users collection, so the secrets never end up in
+ * user documents returned by the API
+ * @type {string}
+ */
+const USER_MFA_COLLECTION = 'userMfa';
+
+/**
+ * Number of recovery codes issued on MFA enrollment
+ * @type {number}
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Default templates of the emails sent by the auth service, overridden per
+ * template by the `authEmailTemplates` configuration
+ */
+const DEFAULT_EMAIL_TEMPLATES = {
+    passwordReset: {
+        subject: 'Reset your password',
+        text: 'Hello {{username}},\n\nUse the following link to reset your password: {{url}}\n\nThe link expires in {{expiresInMinutes}} minutes. If you did not request a password reset, you can ignore this email.',
+        url: '{{token}}'
+    },
+    emailVerification: {
+        subject: 'Verify your email address',
+        text: 'Hello {{username}},\n\nPlease verify your email address to activate your account: {{url}}\n\nThe link expires in {{expiresInHours}} hours.',
+        url: '{{token}}'
+    }
+};
 
 // Schema for token payload validation
 const tokenPayloadSchema = joi.object({
@@ -25,7 +85,11 @@ const tokenPayloadSchema = joi.object({
     roles: joi.array().items(joi.string()).optional().description('User roles'),
     permissions: joi.array().items(joi.string()).optional().description('User permissions'),
     expiresOn: joi.number().optional().description('Expiration timestamp (ms)'),
-    type: joi.string().valid('access', 'refresh').default('access').description('Token type')
+    fid: joi.string().optional().description('Refresh token family ID'),
+    sid: joi.string().optional().description('Session ID'),
+    issuedOn: joi.number().optional().description('Issue timestamp (ms)'),
+    mfaEnrollment: joi.boolean().optional().description('Token only valid for MFA enrollment'),
+    type: joi.string().valid('access', 'refresh', 'mfa').default('access').description('Token type')
 }).unknown(true);
 
 /**
@@ -44,6 +108,7 @@ class AuthService {
         this.defaultTtl = 3600; // 1 hour in seconds
         this.defaultRefreshTtl = 2592000; // 30 days in seconds
         this.algorithm = 'HS512';
+        this.hmacAlgorithms = ['HS256', 'HS384', 'HS512'];
         this.issuer = 'foxx-builder';
         this.audience = 'foxx-api';
     }
@@ -64,6 +129,34 @@ class AuthService {
         return jwtSecret;
     }
     
+    /**
+     * Get the JWT signing algorithm from configuration
+     * 
+     * HMAC algorithms sign with `jwtSecret`; asymmetric algorithms sign with
+     * the active key of the signing keys collection, see signing-keys.js.
+     * 
+     * @returns {string} Algorithm, e.g. HS512 or RS256
+     * @throws {Error} If the algorithm is not supported
+     */
+    getJwtAlgorithm() {
+        const algorithm = this.context.configuration.jwtAlgorithm || this.algorithm;
+        
+        if (!this.hmacAlgorithms.includes(algorithm) && !signingKeys.ALGORITHMS.includes(algorithm)) {
+            throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+        }
+        
+        return algorithm;
+    }
+    
+    /**
+     * Check whether tokens are signed with asymmetric keys
+     * 
+     * @returns {boolean} True if the configured algorithm is asymmetric
+     */
+    useSigningKeys() {
+        return signingKeys.ALGORITHMS.includes(this.getJwtAlgorithm());
+    }
+    
     /**
      * Get the session TTL from configuration
      * 
@@ -104,11 +197,117 @@ class AuthService {
         return useRefreshTokens === true; // Default to false if not specified
     }
     
+    /**
+     * Get the number of PBKDF2 iterations for password hashes from configuration
+     * 
+     * @returns {number} Iterations
+     */
+    getPasswordHashIterations() {
+        const { passwordHashIterations } = this.context.configuration;
+        return passwordHashIterations || password.DEFAULT_ITERATIONS;
+    }
+    
+    /**
+     * Hash a password for storage
+     * 
+     * @param {string} plain - Plain text password
+     * @returns {string} Password hash in the versioned format
+     */
+    hashPassword(plain) {
+        return password.hash(plain, { iterations: this.getPasswordHashIterations() });
+    }
+    
+    /**
+     * Verify a password against a stored hash, including legacy SHA-384 hashes
+     * 
+     * @param {string} plain - Plain text password
+     * @param {string} stored - Stored password hash
+     * @returns {boolean} True if the password matches
+     */
+    verifyPassword(plain, stored) {
+        return password.verify(plain, stored);
+    }
+    
+    /**
+     * Verify a password against a hash no password matches
+     * 
+     * Used when no account matches a login, so the response takes as long
+     * as a real verification.
+     * 
+     * @param {string} plain - Plain text password
+     * @returns {boolean} Always false
+     */
+    verifyDummyPassword(plain) {
+        password.verify(plain, password.dummyHash({ iterations: this.getPasswordHashIterations() }));
+        return false;
+    }
+    
+    /**
+     * Check whether a stored hash should be upgraded, e.g. after a successful login
+     * 
+     * @param {string} stored - Stored password hash
+     * @returns {boolean} True if the hash is legacy or weaker than configured
+     */
+    passwordNeedsRehash(stored) {
+        return password.needsRehash(stored, { iterations: this.getPasswordHashIterations() });
+    }
+    
+    /**
+     * Get the password reset token TTL from configuration
+     * 
+     * @returns {number} Password reset token TTL in seconds
+     */
+    getPasswordResetTtl() {
+        const { passwordResetTokenTtl } = this.context.configuration;
+        return passwordResetTokenTtl || 3600;
+    }
+    
+    /**
+     * Check if new users have to verify their email address
+     * 
+     * @returns {boolean} True if email verification is required
+     */
+    requireEmailVerification() {
+        const { requireEmailVerification } = this.context.configuration;
+        return requireEmailVerification === true; // Default to false if not specified
+    }
+    
+    /**
+     * Get the email verification token TTL from configuration
+     * 
+     * @returns {number} Email verification token TTL in seconds
+     */
+    getEmailVerificationTtl() {
+        const { emailVerificationTokenTtl } = this.context.configuration;
+        return emailVerificationTokenTtl || 86400;
+    }
+    
+    /**
+     * Get the minimum time between two verification emails from configuration
+     * 
+     * @returns {number} Resend interval in seconds
+     */
+    getEmailVerificationResendInterval() {
+        const { emailVerificationResendInterval } = this.context.configuration;
+        return emailVerificationResendInterval || 300;
+    }
+    
+    /**
+     * Get the MFA pending token TTL from configuration
+     * 
+     * @returns {number} MFA token TTL in seconds
+     */
+    getMfaTokenTtl() {
+        const { mfaTokenTtl } = this.context.configuration;
+        return mfaTokenTtl || 300;
+    }
+    
     /**
      * Encode a payload into a JWT token
      * 
      * @param {Object} payload - Payload to encode
      * @param {Object} options - Additional options
+     * @param {number} options.sessionTtl - Token lifetime in seconds (default: configured session TTL)
      * @returns {string} JWT token
      * @throws {Error} If encoding fails
      */
@@ -118,8 +317,8 @@ class AuthService {
                 throw new Error('Payload cannot be empty');
             }
             
-            const jwtSecret = this.getJwtSecret();
-            const sessionTtl = this.getSessionTtl();
+            const algorithm = this.getJwtAlgorithm();
+            const sessionTtl = options.sessionTtl || this.getSessionTtl();
             const useExpiration = options.useExpiration !== undefined 
                 ? options.useExpiration 
                 : this.useTokenExpiration();
@@ -136,6 +335,9 @@ class AuthService {
                 nbf: now,
                 jti: crypto.uuidv4(),
                 
+                // Issue time in milliseconds, compared against user-wide revocations
+                issuedOn: Date.now(),
+                
                 // Custom claims
                 ...payload,
                 type: options.type || 'access'
@@ -156,11 +358,16 @@ class AuthService {
                 throw new Error(`Invalid token payload: ${error.message}`);
             }
             
+            // Sign with the active key, its kid goes into the token header
+            if (signingKeys.ALGORITHMS.includes(algorithm)) {
+                return signingKeys.encode(tokenPayload, algorithm);
+            }
+            
             // Convert to JSON string
             const jsonPayload = JSON.stringify(tokenPayload);
             
             // Encode the token
-            return crypto.jwtEncode(jwtSecret, jsonPayload, this.algorithm);
+            return crypto.jwtEncode(this.getJwtSecret(), jsonPayload, algorithm);
         } catch (error) {
             throw new Error(`Token encoding failed: ${error.message}`);
         }
@@ -191,6 +398,33 @@ class AuthService {
         });
     }
     
+    /**
+     * Verify the signature of a JWT token and return its payload
+     * 
+     * Tokens with a `kid` of an asymmetric algorithm are verified with that
+     * key as long as it is active or retiring, whatever the configured
+     * algorithm, so switching back to HMAC keeps them valid. HMAC tokens are
+     * only accepted while an HMAC algorithm is configured.
+     * 
+     * @param {string} token - JWT token
+     * @returns {string} Payload as JSON string
+     * @throws {Error} If the signature is invalid or the algorithm not accepted
+     */
+    verifySignature(token) {
+        const header = signingKeys.readHeader(token);
+        
+        if (signingKeys.ALGORITHMS.includes(header.alg)) {
+            return signingKeys.decode(token);
+        }
+        
+        const algorithm = this.getJwtAlgorithm();
+        if (header.alg !== algorithm) {
+            throw new Error(`Token algorithm ${header.alg} is not accepted`);
+        }
+        
+        return crypto.jwtDecode(this.getJwtSecret(), token);
+    }
+    
     /**
      * Decode and validate a JWT token
      * 
@@ -205,10 +439,8 @@ class AuthService {
                 throw new Error('Token cannot be empty');
             }
             
-            const jwtSecret = this.getJwtSecret();
-            
             // Verify the token signature and decode
-            const payloadJson = crypto.jwtDecode(jwtSecret, token, true);
+            const payloadJson = this.verifySignature(token);
             
             // Parse the payload
             const payload = JSON.parse(payloadJson);
@@ -268,9 +500,7 @@ class AuthService {
             let payload;
             
             if (typeof tokenOrPayload === 'string') {
-                const jwtSecret = this.getJwtSecret();
-                const payloadJson = crypto.jwtDecode(jwtSecret, tokenOrPayload, false);
-                payload = JSON.parse(payloadJson);
+                payload = JSON.parse(this.verifySignature(tokenOrPayload));
             } else {
                 payload = tokenOrPayload;
             }
@@ -359,46 +589,1103 @@ class AuthService {
     }
     
     /**
-     * Create middleware for JWT authentication
+     * Get the collection of revoked tokens, creating it if needed
      * 
-     * @param {Object} options - Configuration options
-     * @returns {Function} Express middleware function
+     * @returns {ArangoCollection} Revoked tokens collection
      */
-    createMiddleware(options = {}) {
+    getRevokedTokensCollection() {
+        let collection = db._collection(REVOKED_TOKENS_COLLECTION);
+        
+        if (!collection) {
+            collection = db._createDocumentCollection(REVOKED_TOKENS_COLLECTION);
+            collection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+        }
+        
+        return collection;
+    }
+    
+    /**
+     * Revoke a single token
+     * 
+     * The token ID (jti) is kept until the token would have expired anyway.
+     * 
+     * @param {string|Object} tokenOrPayload - JWT token or decoded payload
+     * @param {string} reason - Reason for the revocation, e.g. 'logout'
+     * @returns {string} Revoked token ID
+     * @throws {Error} If the token has no ID
+     */
+    revokeToken(tokenOrPayload, reason = 'revoked') {
+        const payload = typeof tokenOrPayload === 'string'
+            ? this.decode(tokenOrPayload, { skipExpirationCheck: true })
+            : tokenOrPayload;
+        
+        if (!payload || !payload.jti) {
+            throw new Error('Token has no ID (jti) and cannot be revoked');
+        }
+        
+        this.getRevokedTokensCollection().save({
+            _key: payload.jti,
+            userId: payload.userId,
+            type: payload.type || 'access',
+            reason,
+            revokedAt: Date.now(),
+            // ISO date string, evaluated by the TTL index; tokens without expiration are kept
+            expiresAt: payload.exp ? new Date(payload.exp * 1000).toISOString() : null
+        }, { overwriteMode: 'ignore' });
+        
+        return payload.jti;
+    }
+    
+    /**
+     * Revoke all tokens issued to a user up to now
+     * 
+     * Used when a password changes or a user is disabled. Tokens issued
+     * afterwards are not affected.
+     * 
+     * @param {string} userId - User ID
+     * @param {string} reason - Reason for the revocation
+     * @returns {number} Revocation timestamp (ms)
+     */
+    revokeUserTokens(userId, reason = 'revoked') {
+        const now = Date.now();
+        
+        // Every token issued before now has expired once the longest token lifetime has passed
+        const maxTtl = Math.max(this.getSessionTtl(), this.useRefreshTokens() ? this.getRefreshTokenTtl() : 0);
+        
+        this.getRevokedTokensCollection().save({
+            _key: `user-${userId}`,
+            userId,
+            type: 'user',
+            reason,
+            revokedAt: now,
+            expiresAt: this.useTokenExpiration() ? new Date(now + maxTtl * 1000).toISOString() : null
+        }, { overwriteMode: 'replace' });
+        
+        // The tokens are covered by the revocation above, only the session records are left
+        sessions.revoke({ userId }, reason);
+        
+        return now;
+    }
+    
+    /**
+     * Check whether a token has been revoked, by itself or with all tokens of its user
+     * 
+     * @param {Object} payload - Decoded token payload
+     * @returns {boolean} True if the token has been revoked
+     */
+    isRevoked(payload) {
+        const collection = db._collection(REVOKED_TOKENS_COLLECTION);
+        
+        if (!payload || !collection) {
+            return false;
+        }
+        
+        // Tokens issued before issuedOn was introduced only carry iat (seconds)
+        const issuedOn = payload.issuedOn || (payload.iat || 0) * 1000;
+        
+        const [revoked] = query`
+            LET token = DOCUMENT(${collection}, ${payload.jti || ''})
+            LET user = DOCUMENT(${collection}, ${`user-${payload.userId}`})
+            RETURN token != null OR (user != null AND ${issuedOn} < user.revokedAt)
+        `.toArray();
+        
+        return revoked === true;
+    }
+    
+    /**
+     * Get the collection of refresh tokens, creating it if needed
+     * 
+     * @returns {ArangoCollection} Refresh tokens collection
+     */
+    getRefreshTokensCollection() {
+        let collection = db._collection(REFRESH_TOKENS_COLLECTION);
+        
+        if (!collection) {
+            collection = db._createDocumentCollection(REFRESH_TOKENS_COLLECTION);
+            collection.ensureIndex({ type: 'persistent', fields: ['familyId'] });
+            collection.ensureIndex({ type: 'persistent', fields: ['userId'] });
+            collection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+        }
+        
+        return collection;
+    }
+    
+    /**
+     * Issue an access token and a refresh token
+     * 
+     * Without a family ID a new token family is started, as on login. The
+     * access token carries the family ID (fid), so logging out with it ends
+     * the family as well.
+     * 
+     * @param {string} userId - User ID
+     * @param {Object} claims - Additional claims of both tokens, e.g. roles and permissions
+     * @param {Object} options - Options
+     * @param {string} options.familyId - Family to continue (default: new family)
+     * @param {string} options.parentId - ID of the refresh token this one replaces
+     * @returns {Object} Tokens ({ accessToken, refreshToken, familyId, expiresIn, refreshExpiresIn })
+     * @throws {Error} If refresh tokens are not enabled
+     */
+    issueTokens(userId, claims = {}, options = {}) {
+        if (!this.useRefreshTokens()) {
+            throw new Error('Refresh tokens are not enabled in configuration');
+        }
+        
+        const familyId = options.familyId || crypto.uuidv4();
+        const refreshJti = crypto.uuidv4();
+        const accessJti = crypto.uuidv4();
+        const refreshTokenTtl = this.getRefreshTokenTtl();
+        
+        const accessToken = this.encode({ ...claims, userId, jti: accessJti, fid: familyId });
+        const refreshToken = this.createRefreshToken(userId, { ...claims, jti: refreshJti, fid: familyId });
+        const access = this.decode(accessToken, { skipExpirationCheck: true });
+        const now = Date.now();
+        
+        this.getRefreshTokensCollection().save({
+            _key: refreshJti,
+            familyId,
+            userId,
+            parentId: options.parentId || null,
+            status: 'active',
+            accessJti,
+            accessExpiresAt: access.exp || null,
+            createdAt: now,
+            usedAt: null,
+            // ISO date string, evaluated by the TTL index
+            expiresAt: new Date(now + refreshTokenTtl * 1000).toISOString()
+        });
+        
+        return {
+            accessToken,
+            refreshToken,
+            familyId,
+            expiresIn: this.getSessionTtl(),
+            refreshExpiresIn: refreshTokenTtl
+        };
+    }
+    
+    /**
+     * Exchange a refresh token for a new access token and refresh token
+     * 
+     * Every refresh token can be used once. Presenting a token that was
+     * already used means it leaked, so its whole family is revoked and the
+     * client has to log in again.
+     * 
+     * @param {string|Object} refreshToken - Refresh token, or its payload as returned by decode() with type 'refresh'
+     * @param {Object} claims - Claims of the new tokens, e.g. current roles and permissions
+     * @returns {Object} New tokens, see issueTokens()
+     * @throws {Error} If the token is invalid, revoked or reused
+     */
+    rotateRefreshToken(refreshToken, claims = {}) {
+        // A payload was verified by the caller, which saves verifying the signature twice
+        const payload = typeof refreshToken === 'string'
+            ? this.decode(refreshToken, { type: 'refresh' })
+            : refreshToken;
+        
+        if (!payload || payload.type !== 'refresh') {
+            throw new Error('Invalid token type: expected refresh');
+        }
+        
+        const collection = this.getRefreshTokensCollection();
+        
+        if (!payload.jti || !payload.fid || !collection.exists(payload.jti)) {
+            throw new Error('Unknown refresh token');
+        }
+        
+        if (this.isRevoked(payload)) {
+            throw new Error('Refresh token has been revoked');
+        }
+        
+        // Mark the token as used; only one request can win this update
+        const [used] = query`
+            FOR token IN ${collection}
+            FILTER token._key == ${payload.jti} AND token.status == 'active'
+            UPDATE token WITH { status: 'rotated', usedAt: ${Date.now()} } IN ${collection}
+            RETURN NEW
+        `.toArray();
+        
+        if (!used) {
+            const { status } = collection.document(payload.jti);
+            
+            if (status === 'rotated') {
+                this.revokeRefreshFamily(payload.fid, 'reuse_detected');
+                throw new Error('Refresh token reuse detected, all tokens of this session have been revoked');
+            }
+            
+            throw new Error('Refresh token has been revoked');
+        }
+        
+        // The new tokens stay in the session of the refresh token
+        const tokens = this.issueTokens(payload.userId, { ...claims, ...(payload.sid ? { sid: payload.sid } : {}) }, {
+            familyId: payload.fid,
+            parentId: payload.jti
+        });
+        
+        collection.update(payload.jti, { replacedBy: this.decode(tokens.refreshToken).jti });
+        
+        if (payload.sid) {
+            this.updateSessionToken(tokens.accessToken, Date.now() + tokens.refreshExpiresIn * 1000);
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Revoke a refresh token family together with its current access token
+     * 
+     * @param {string} familyId - Family ID
+     * @param {string} reason - Reason for the revocation
+     * @returns {number} Number of revoked refresh tokens
+     */
+    revokeRefreshFamily(familyId, reason = 'revoked') {
+        const collection = db._collection(REFRESH_TOKENS_COLLECTION);
+        
+        if (!collection || !familyId) {
+            return 0;
+        }
+        
+        const revoked = query`
+            FOR token IN ${collection}
+            FILTER token.familyId == ${familyId} AND token.status != 'revoked'
+            UPDATE token WITH { status: 'revoked', revokedAt: ${Date.now()}, reason: ${reason} } IN ${collection}
+            RETURN OLD
+        `.toArray();
+        
+        // Only the access token issued with the latest refresh token can still be valid
+        for (const token of revoked.filter(item => item.status === 'active' && item.accessJti)) {
+            this.revokeToken({
+                jti: token.accessJti,
+                userId: token.userId,
+                exp: token.accessExpiresAt
+            }, reason);
+        }
+        
+        if (reason === 'reuse_detected') {
+            console.warn(`Refresh token reuse detected, revoked token family ${familyId}`);
+        }
+        
+        return revoked.length;
+    }
+    
+    /**
+     * Issue the tokens of a login and record it as session, see sessions.js
+     * 
+     * The tokens carry the session ID as `sid` claim. With refresh tokens the
+     * session lasts as long as the refresh token family can be renewed,
+     * otherwise as long as the access token.
+     * 
+     * @param {string} userId - User ID
+     * @param {Object} claims - Claims of the tokens, e.g. roles and permissions
+     * @param {Object} options - Options
+     * @param {string} options.ipAddress - IP address of the client
+     * @param {string} options.userAgent - User agent of the client
+     * @param {boolean} options.refresh - Whether to issue a refresh token (default: if enabled)
+     * @param {Object} options.encodeOptions - Options of encode() without refresh token
+     * @returns {Object} Tokens, see issueTokens(), with sessionId
+     */
+    startSession(userId, claims = {}, options = {}) {
         const {
-            exempt = ['/', '/login', '/signup'],
-            tokenExtractor = this.defaultTokenExtractor.bind(this),
-            onSuccess,
-            onError,
-            tokenType = 'access'
+            ipAddress = null,
+            userAgent = null,
+            refresh = this.useRefreshTokens(),
+            encodeOptions = {}
         } = options;
         
-        return (req, res, next) => {
-            try {
-                // Check if the path is exempt from authentication
-                if (this.isExemptPath(req.path, exempt)) {
-                    return next();
-                }
-                
-                // Extract token from request
-                const token = tokenExtractor(req);
-                if (!token) {
-                    return this.handleAuthError(res, 'Missing authentication token', 401, onError);
-                }
-                
-                // Validate token
-                let userId;
-                try {
-                    userId = this.validateToken(token, { type: tokenType });
-                } catch (error) {
-                    return this.handleAuthError(res, error.message, 403, onError);
+        const sessionId = sessions.generateId();
+        const sessionClaims = { ...claims, sid: sessionId };
+        
+        const tokens = refresh
+            ? this.issueTokens(userId, sessionClaims)
+            : { accessToken: this.encode(sessionClaims, encodeOptions) };
+        const access = this.decode(tokens.accessToken, { skipExpirationCheck: true });
+        
+        let expiresAt = access.exp ? access.exp * 1000 : null;
+        if (tokens.refreshToken) {
+            expiresAt = Date.now() + tokens.refreshExpiresIn * 1000;
+        }
+        
+        sessions.create({
+            id: sessionId,
+            userId,
+            jti: access.jti,
+            accessExpiresAt: access.exp || null,
+            familyId: tokens.familyId || null,
+            expiresAt,
+            ipAddress,
+            userAgent
+        });
+        
+        return { ...tokens, sessionId };
+    }
+    
+    /**
+     * Link a newly issued access token to the session in its `sid` claim
+     * 
+     * @param {string} accessToken - Access token
+     * @param {number} expiresAt - New end of the session in milliseconds (default: expiration of a token without refresh token family)
+     * @returns {boolean} True if an active session was updated
+     */
+    updateSessionToken(accessToken, expiresAt) {
+        const access = this.decode(accessToken, { skipExpirationCheck: true });
+        
+        // Without refresh tokens the session ends with its latest access token
+        const sessionEnd = expiresAt === undefined && !access.fid && access.exp ? access.exp * 1000 : expiresAt;
+        
+        return sessions.updateToken(access.sid, {
+            jti: access.jti,
+            accessExpiresAt: access.exp || null,
+            expiresAt: sessionEnd
+        });
+    }
+    
+    /**
+     * List the active sessions of a user
+     * 
+     * @param {string} userId - User ID
+     * @returns {Object[]} Sessions, most recently seen first
+     */
+    listSessions(userId) {
+        return sessions.list(userId);
+    }
+    
+    /**
+     * Get a session
+     * 
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Session or null if not found
+     */
+    getSession(sessionId) {
+        return sessions.get(sessionId);
+    }
+    
+    /**
+     * Revoke the tokens of revoked sessions
+     * 
+     * @param {Object[]} revoked - Sessions as they were before the revocation
+     * @param {string} reason - Reason for the revocation
+     */
+    revokeSessionTokens(revoked, reason) {
+        for (const session of revoked) {
+            if (session.jti) {
+                this.revokeToken({
+                    jti: session.jti,
+                    userId: session.userId,
+                    exp: session.accessExpiresAt
+                }, reason);
+            }
+            
+            this.revokeRefreshFamily(session.familyId, reason);
+        }
+    }
+    
+    /**
+     * Revoke a session with its access and refresh tokens
+     * 
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Reason for the revocation
+     * @returns {Object|null} Session as it was before, or null if it was not active
+     */
+    revokeSession(sessionId, reason = 'revoked') {
+        if (!sessionId) {
+            return null;
+        }
+        
+        const revoked = sessions.revoke({ id: sessionId }, reason);
+        this.revokeSessionTokens(revoked, reason);
+        
+        return revoked[0] || null;
+    }
+    
+    /**
+     * Revoke all sessions of a user but one, e.g. "log out my other devices"
+     * 
+     * @param {string} userId - User ID
+     * @param {string} exceptSessionId - Session to keep, usually the current one
+     * @param {string} reason - Reason for the revocation
+     * @returns {number} Number of revoked sessions
+     */
+    revokeOtherSessions(userId, exceptSessionId, reason = 'revoked') {
+        const revoked = sessions.revoke({ userId, exceptId: exceptSessionId || null }, reason);
+        this.revokeSessionTokens(revoked, reason);
+        
+        return revoked.length;
+    }
+    
+    /**
+     * Get the collection of one-time tokens, creating it if needed
+     * 
+     * @returns {ArangoCollection} One-time tokens collection
+     */
+    getOneTimeTokensCollection() {
+        let collection = db._collection(ONE_TIME_TOKENS_COLLECTION);
+        
+        if (!collection) {
+            collection = db._createDocumentCollection(ONE_TIME_TOKENS_COLLECTION);
+            collection.ensureIndex({ type: 'persistent', fields: ['userId', 'purpose'] });
+            collection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+        }
+        
+        return collection;
+    }
+    
+    /**
+     * Create a single-use token for a user
+     * 
+     * Unused tokens of the same user and purpose are discarded, so only the
+     * latest token is valid. The token itself is not stored, only its hash.
+     * 
+     * @param {string} userId - User ID
+     * @param {string} purpose - Purpose of the token, e.g. 'password_reset'
+     * @param {number} ttl - Lifetime in seconds
+     * @returns {Object} Token ({ token, expiresAt })
+     */
+    createOneTimeToken(userId, purpose, ttl) {
+        const collection = this.getOneTimeTokensCollection();
+        const token = crypto.genRandomAlphaNumbers(48);
+        const now = Date.now();
+        
+        query`
+            FOR item IN ${collection}
+            FILTER item.userId == ${userId} AND item.purpose == ${purpose} AND item.usedAt == null
+            REMOVE item IN ${collection}
+        `;
+        
+        collection.save({
+            _key: crypto.sha256(token),
+            userId,
+            purpose,
+            createdAt: now,
+            usedAt: null,
+            // ISO date string, evaluated by the TTL index
+            expiresAt: new Date(now + ttl * 1000).toISOString()
+        });
+        
+        return { token, expiresAt: now + ttl * 1000 };
+    }
+    
+    /**
+     * Use a one-time token
+     * 
+     * The token is marked as used in the same operation that checks it, so
+     * it can be used only once even by concurrent requests.
+     * 
+     * @param {string} token - Token as sent to the user
+     * @param {string} purpose - Expected purpose
+     * @returns {Object|null} Token document ({ userId, purpose, createdAt, usedAt }), or null if the token is unknown, used or expired
+     */
+    consumeOneTimeToken(token, purpose) {
+        const collection = db._collection(ONE_TIME_TOKENS_COLLECTION);
+        
+        if (!collection || !token) {
+            return null;
+        }
+        
+        const [used] = query`
+            FOR item IN ${collection}
+            FILTER item._key == ${crypto.sha256(token)}
+                AND item.purpose == ${purpose}
+                AND item.usedAt == null
+                AND item.expiresAt > ${new Date().toISOString()}
+            UPDATE item WITH { usedAt: ${Date.now()} } IN ${collection}
+            RETURN NEW
+        `.toArray();
+        
+        return used || null;
+    }
+    
+    /**
+     * Get an email template, with the configured fields over the defaults
+     * 
+     * @param {string} name - Template name, e.g. 'passwordReset'
+     * @returns {Object} Template ({ subject, text, html, url })
+     * @throws {Error} If the template is unknown
+     */
+    getEmailTemplate(name) {
+        const { authEmailTemplates } = this.context.configuration;
+        const configured = (authEmailTemplates || {})[name];
+        
+        if (!DEFAULT_EMAIL_TEMPLATES[name] && !configured) {
+            throw new Error(`Unknown email template "${name}"`);
+        }
+        
+        return { ...DEFAULT_EMAIL_TEMPLATES[name], ...configured };
+    }
+    
+    /**
+     * Send an email from a template
+     * 
+     * Placeholders like {{username}} are replaced by the given variables.
+     * A template `url` is rendered first and is available as {{url}}.
+     * Values inserted into the HTML body are escaped.
+     * 
+     * @param {string} name - Template name
+     * @param {string} to - Recipient email address
+     * @param {Object} variables - Template variables
+     * @returns {Object} Result of the email sending operation
+     */
+    sendTemplateEmail(name, to, variables = {}) {
+        const template = this.getEmailTemplate(name);
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const render = (text, values, encode = value => value) => text.replace(/\{\{\s*(\w+)\s*\}\}/g,
+            (match, key) => (values[key] === undefined || values[key] === null ? '' : encode(values[key])));
+        
+        const values = { ...variables };
+        if (template.url) {
+            values.url = render(template.url, variables, encodeURIComponent);
+        }
+        
+        if (!emailService.config) {
+            emailService.init(this.context);
+        }
+        
+        return emailService.send({
+            to,
+            subject: render(template.subject, values),
+            text: template.text ? render(template.text, values) : undefined,
+            html: template.html ? render(template.html, values, escape) : undefined
+        });
+    }
+    
+    /**
+     * Email a verification link to a user
+     * 
+     * Creates a new verification token, which invalidates earlier links.
+     * 
+     * @param {Object} user - User with _key, username and email
+     * @returns {Object} Token expiration ({ expiresAt })
+     */
+    sendEmailVerification(user) {
+        const ttl = this.getEmailVerificationTtl();
+        const { token, expiresAt } = this.createOneTimeToken(user._key, 'email_verification', ttl);
+        
+        this.sendTemplateEmail('emailVerification', user.email, {
+            username: user.username,
+            token,
+            expiresInHours: Math.round(ttl / 3600)
+        });
+        
+        return { expiresAt };
+    }
+    
+    /**
+     * Get the login throttling settings, configured values over the defaults
+     * 
+     * @returns {Object} Settings ({ delayAfter, lockAfter, ipDelayAfter, ipLockAfter, maxDelay, lockDuration, window })
+     */
+    getLoginThrottling() {
+        const { loginThrottling } = this.context.configuration;
+        return { ...loginAttempts.DEFAULTS, ...(loginThrottling || {}) };
+    }
+    
+    /**
+     * Check whether a login attempt may proceed, before checking credentials
+     * 
+     * @param {string|Object} username - Username or email the login is for, or its account ({ accountId })
+     * @param {string} ip - IP address of the client
+     * @returns {Object} Result ({ allowed, locked, retryAfter }), retryAfter in seconds
+     */
+    checkLoginAttempt(username, ip) {
+        return loginAttempts.check(username, ip);
+    }
+    
+    /**
+     * Record a failed login for the account or username and the IP address
+     * 
+     * @param {string|Object} username - Username or email the login was for, or its account ({ accountId })
+     * @param {string} ip - IP address of the client
+     * @returns {Object} Counters ({ username, ip }) with failures, nextAttemptAt, lockedUntil and lockedNow
+     */
+    recordLoginFailure(username, ip) {
+        return loginAttempts.recordFailure(username, ip, this.getLoginThrottling());
+    }
+    
+    /**
+     * Clear failed login counters, e.g. after a successful login or to unlock a user
+     * 
+     * @param {Object} identifiers - Identifiers ({ usernames, ips }), usernames as names or accounts ({ accountId })
+     * @returns {number} Number of cleared counters
+     */
+    resetLoginAttempts(identifiers) {
+        return loginAttempts.reset(identifiers);
+    }
+    
+    /**
+     * Get the collection of MFA settings, creating it if needed
+     * 
+     * @returns {ArangoCollection} MFA settings collection
+     */
+    getMfaCollection() {
+        return db._collection(USER_MFA_COLLECTION) || db._createDocumentCollection(USER_MFA_COLLECTION);
+    }
+    
+    /**
+     * Get the MFA status of a user
+     * 
+     * @param {string} userId - User ID
+     * @returns {Object} Status ({ enabled, enabledAt, recoveryCodesRemaining, enrollmentPending })
+     */
+    getMfaStatus(userId) {
+        const collection = db._collection(USER_MFA_COLLECTION);
+        const settings = collection && collection.exists(userId) ? collection.document(userId) : null;
+        
+        return {
+            enabled: Boolean(settings && settings.enabled),
+            enabledAt: settings && settings.enabled ? settings.enabledAt : null,
+            recoveryCodesRemaining: settings && settings.enabled ? settings.recoveryCodes.length : 0,
+            enrollmentPending: Boolean(settings && settings.pendingSecret)
+        };
+    }
+    
+    /**
+     * Check whether a user has MFA enabled
+     * 
+     * @param {string} userId - User ID
+     * @returns {boolean} True if MFA is enabled
+     */
+    isMfaEnabled(userId) {
+        return this.getMfaStatus(userId).enabled;
+    }
+    
+    /**
+     * Check whether any of the given roles requires MFA
+     * 
+     * @param {string[]} roleIds - Role IDs of a user
+     * @returns {boolean} True if a role has requireMfa set
+     */
+    isMfaRequired(roleIds = []) {
+        const [required] = query`
+            FOR roleId IN ${roleIds}
+            LET role = DOCUMENT(roles, roleId)
+            FILTER role.requireMfa == true
+            LIMIT 1
+            RETURN true
+        `.toArray();
+        
+        return required === true;
+    }
+    
+    /**
+     * Start MFA enrollment with a new secret
+     * 
+     * The secret only becomes active once a code generated from it has been
+     * verified with completeMfaEnrollment().
+     * 
+     * @param {Object} user - User with _key and username
+     * @returns {Object} Enrollment ({ secret, uri })
+     * @throws {Error} If MFA is already enabled
+     */
+    startMfaEnrollment(user) {
+        if (this.isMfaEnabled(user._key)) {
+            throw new Error('MFA is already enabled');
+        }
+        
+        const { mfaIssuer } = this.context.configuration;
+        const secret = totp.generateSecret();
+        
+        this.getMfaCollection().save({
+            _key: user._key,
+            enabled: false,
+            pendingSecret: secret,
+            pendingSince: Date.now()
+        }, { overwriteMode: 'replace' });
+        
+        return {
+            secret,
+            uri: totp.uri(secret, { issuer: mfaIssuer || this.issuer, account: user.email || user.username })
+        };
+    }
+    
+    /**
+     * Complete MFA enrollment with the first code from the authenticator app
+     * 
+     * @param {string} userId - User ID
+     * @param {string} code - Code generated from the pending secret
+     * @returns {Object} Result ({ recoveryCodes }), the plain recovery codes are only returned here
+     * @throws {Error} If no enrollment is pending or the code is invalid
+     */
+    completeMfaEnrollment(userId, code) {
+        const collection = this.getMfaCollection();
+        const settings = collection.exists(userId) ? collection.document(userId) : null;
+        
+        if (!settings || !settings.pendingSecret) {
+            throw new Error('No MFA enrollment in progress');
+        }
+        
+        const step = totp.verify(settings.pendingSecret, code);
+        if (step === null) {
+            throw new Error('Invalid MFA code');
+        }
+        
+        const recoveryCodes = this.generateRecoveryCodes();
+        
+        collection.replace(userId, {
+            enabled: true,
+            secret: settings.pendingSecret,
+            enabledAt: Date.now(),
+            lastUsedStep: step,
+            recoveryCodes: recoveryCodes.map(recoveryCode => crypto.sha256(recoveryCode))
+        });
+        
+        return { recoveryCodes };
+    }
+    
+    /**
+     * Generate plain recovery codes
+     * 
+     * @returns {string[]} Recovery codes like "k3x9q-7hz2m"
+     */
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const code = crypto.genRandomAlphaNumbers(10).toLowerCase();
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+    }
+    
+    /**
+     * Replace the recovery codes of a user with MFA enabled
+     * 
+     * @param {string} userId - User ID
+     * @returns {string[]} New plain recovery codes
+     * @throws {Error} If MFA is not enabled
+     */
+    regenerateRecoveryCodes(userId) {
+        if (!this.isMfaEnabled(userId)) {
+            throw new Error('MFA is not enabled');
+        }
+        
+        const recoveryCodes = this.generateRecoveryCodes();
+        this.getMfaCollection().update(userId, {
+            recoveryCodes: recoveryCodes.map(recoveryCode => crypto.sha256(recoveryCode))
+        });
+        
+        return recoveryCodes;
+    }
+    
+    /**
+     * Verify an MFA code or a recovery code
+     * 
+     * TOTP codes are only accepted for a later time step than the last used
+     * code, and recovery codes are removed when used, so neither can be
+     * replayed.
+     * 
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code or recovery code
+     * @returns {Object|null} Result ({ method, recoveryCodesRemaining }), or null if the code is invalid
+     */
+    verifyMfaCode(userId, code) {
+        const collection = db._collection(USER_MFA_COLLECTION);
+        const settings = collection && collection.exists(userId) ? collection.document(userId) : null;
+        
+        if (!settings || !settings.enabled || !code) {
+            return null;
+        }
+        
+        const step = totp.verify(settings.secret, code, { afterStep: settings.lastUsedStep });
+        if (step !== null) {
+            const [updated] = query`
+                FOR item IN ${collection}
+                FILTER item._key == ${userId} AND (item.lastUsedStep == null OR item.lastUsedStep < ${step})
+                UPDATE item WITH { lastUsedStep: ${step}, lastUsedAt: ${Date.now()} } IN ${collection}
+                RETURN NEW
+            `.toArray();
+            
+            return updated ? { method: 'totp', recoveryCodesRemaining: updated.recoveryCodes.length } : null;
+        }
+        
+        const hash = crypto.sha256(String(code).trim().toLowerCase());
+        const [updated] = query`
+            FOR item IN ${collection}
+            FILTER item._key == ${userId} AND ${hash} IN item.recoveryCodes
+            UPDATE item WITH { recoveryCodes: REMOVE_VALUE(item.recoveryCodes, ${hash}), lastUsedAt: ${Date.now()} } IN ${collection}
+            RETURN NEW
+        `.toArray();
+        
+        return updated ? { method: 'recovery', recoveryCodesRemaining: updated.recoveryCodes.length } : null;
+    }
+    
+    /**
+     * Disable MFA for a user
+     * 
+     * @param {string} userId - User ID
+     * @returns {boolean} True if MFA settings were removed
+     */
+    disableMfa(userId) {
+        const collection = db._collection(USER_MFA_COLLECTION);
+        
+        if (!collection || !collection.exists(userId)) {
+            return false;
+        }
+        
+        collection.remove(userId);
+        return true;
+    }
+    
+    /**
+     * Create a short-lived token that proves the password step of a login
+     * 
+     * It is exchanged together with an MFA code at POST /auth/mfa.
+     * 
+     * @param {string} userId - User ID
+     * @param {Object} claims - Additional claims, e.g. rememberMe
+     * @returns {string} MFA pending token
+     */
+    createMfaToken(userId, claims = {}) {
+        return this.encode({ userId, ...claims }, {
+            type: 'mfa',
+            sessionTtl: this.getMfaTokenTtl(),
+            useExpiration: true
+        });
+    }
+    
+    /**
+     * Create an API key, see api-keys.js
+     * 
+     * @param {Object} definition - Key definition ({ name, ownerId, scopes, expiresAt })
+     * @param {string} createdBy - User ID of the creator
+     * @returns {Object} Result ({ key, apiKey }), the plain key is only returned here
+     */
+    createApiKey(definition, createdBy) {
+        return apiKeys.create(definition, createdBy);
+    }
+    
+    /**
+     * List API keys without their hashes
+     * 
+     * @param {Object} filters - Filters ({ ownerId, status })
+     * @returns {Object[]} API keys
+     */
+    listApiKeys(filters) {
+        return apiKeys.list(filters);
+    }
+    
+    /**
+     * Get an API key without its hash
+     * 
+     * @param {string} id - API key ID
+     * @returns {Object|null} API key or null if not found
+     */
+    getApiKey(id) {
+        return apiKeys.get(id);
+    }
+    
+    /**
+     * Revoke an API key
+     * 
+     * @param {string} id - API key ID
+     * @param {Object} details - Details ({ revokedBy, reason })
+     * @returns {Object|null} Revoked API key or null if not found
+     */
+    revokeApiKey(id, details) {
+        return apiKeys.revoke(id, details);
+    }
+    
+    /**
+     * Verify an API key and record its use
+     * 
+     * @param {string} key - Plain API key
+     * @param {string} ip - IP address of the client
+     * @returns {Object|null} API key or null if the key is not valid
+     */
+    verifyApiKey(key, ip) {
+        return apiKeys.verify(key, ip);
+    }
+    
+    /**
+     * Get the time in seconds a replaced signing key keeps verifying tokens
+     * 
+     * This is the lifetime of the longest-living token, so no token signed
+     * with a key outlives it.
+     * 
+     * @returns {number} Time in seconds
+     */
+    getSigningKeyRetirement() {
+        return Math.max(
+            this.getSessionTtl(),
+            this.useRefreshTokens() ? this.getRefreshTokenTtl() : 0,
+            this.getMfaTokenTtl()
+        );
+    }
+    
+    /**
+     * Replace the active signing key, see signing-keys.js
+     * 
+     * The previous key keeps verifying the tokens it signed until they have
+     * expired, so a rotation does not sign anybody out.
+     * 
+     * @returns {Object} New key without private fields
+     * @throws {Error} If the configured algorithm is not asymmetric
+     */
+    rotateSigningKey() {
+        if (!this.useSigningKeys()) {
+            throw new Error(`Invalid JWT algorithm for signing keys: ${this.getJwtAlgorithm()}`);
+        }
+        
+        return signingKeys.rotate(this.getJwtAlgorithm(), this.getSigningKeyRetirement());
+    }
+    
+    /**
+     * Create the first signing key unless there is an active one, see signing-keys.js
+     * 
+     * Called by the setup script, so no login has to wait for a key to be generated.
+     * 
+     * @returns {Object|null} Result ({ key, created }), null if the configured algorithm is not asymmetric
+     */
+    ensureSigningKey() {
+        return this.useSigningKeys() ? signingKeys.ensureActiveKey(this.getJwtAlgorithm()) : null;
+    }
+    
+    /**
+     * Remove a signing key at once, tokens signed with it become invalid
+     * 
+     * @param {string} kid - Key ID
+     * @returns {boolean} True if the key was removed
+     */
+    removeSigningKey(kid) {
+        return signingKeys.remove(kid);
+    }
+    
+    /**
+     * List signing keys without private fields
+     * 
+     * @returns {Object[]} Signing keys
+     */
+    listSigningKeys() {
+        return signingKeys.list();
+    }
+    
+    /**
+     * Get the public keys that verify tokens as JWK set
+     * 
+     * @returns {Object} JWKS ({ keys })
+     */
+    getJwks() {
+        return signingKeys.jwks();
+    }
+    
+    /**
+     * Create middleware for JWT authentication
+     * 
+     * Also accepts API keys, from the `apiKeyHeader` or the token extractor;
+     * the default extractor does not take them from the `token` query
+     * parameter, which ends up in logs. Requests with an API key get `req.apiKey`, and `req.token` holds
+     * the api role and the scopes of the key as permissions. Reading requests
+     * (GET, HEAD, OPTIONS) need the `read` scope of `apiKeyScopes`, all others
+     * the `write` scope; finer scopes are up to the routes. API keys act for
+     * their owner, but are refused with 403 on the `apiKeyDeniedPaths`, where
+     * the owner's account is managed.
+     * 
+     * @param {Object} options - Configuration options
+     * @returns {Function} Express middleware function
+     */
+    createMiddleware(options = {}) {
+        const {
+            exempt = ['/', '/login', '/signup'],
+            tokenExtractor = null,
+            onSuccess,
+            onError,
+            tokenType = 'access',
+            checkRevocation = true,
+            mfaEnrollmentPaths = ['/profile/mfa', '/profile/mfa/*', '/logout'],
+            apiKeyHeader = 'x-api-key',
+            apiKeyDeniedPaths = ['/profile', '/profile/*', '/logout'],
+            apiKeyScopes = { read: 'api:read', write: 'api:write' }
+        } = options;
+        const extractToken = tokenExtractor || this.defaultTokenExtractor.bind(this);
+        
+        return (req, res, next) => {
+            try {
+                // Check if the path is exempt from authentication
+                if (this.isExemptPath(req.path, exempt)) {
+                    return next();
+                }
+                
+                // Extract API key or token from request
+                const headerKey = apiKeyHeader && req.headers[apiKeyHeader];
+                const token = headerKey || extractToken(req);
+                if (!token) {
+                    return this.handleAuthError(res, 'Missing authentication token', 401, onError);
+                }
+                
+                if (apiKeys.isApiKey(token)) {
+                    // A custom extractor is trusted, the default one only for keys outside the query string
+                    const fromQuery = !tokenExtractor && token !== headerKey &&
+                        this.defaultTokenExtractor(req, { query: false }) !== token;
+                    if (fromQuery) {
+                        return this.handleAuthError(res, 'API keys must not be sent as query parameter', 401, onError);
+                    }
+                    
+                    const apiKey = this.verifyApiKey(token, req.remoteAddress);
+                    if (!apiKey) {
+                        return this.handleAuthError(res, 'Invalid or expired API key', 401, onError);
+                    }
+                    
+                    // A leaked key must not change the owner's email, MFA or sessions and take over the account
+                    if (this.isExemptPath(req.path, apiKeyDeniedPaths)) {
+                        return this.handleAuthError(res, 'API keys cannot manage the account of their owner', 403, onError);
+                    }
+                    
+                    // The method decides whether the key needs the read or the write scope
+                    if (apiKeyScopes) {
+                        const reading = ['GET', 'HEAD', 'OPTIONS'].includes(String(req.method).toUpperCase());
+                        const scope = reading ? apiKeyScopes.read : apiKeyScopes.write;
+                        
+                        if (scope && !(apiKey.scopes || []).includes(scope)) {
+                            return this.handleAuthError(res, `API key lacks the ${scope} scope`, 403, onError);
+                        }
+                    }
+                    
+                    const apiRole = apiKeys.getApiRole();
+                    
+                    req.userId = apiKey.ownerId;
+                    req.apiKey = apiKey;
+                    req.token = {
+                        userId: apiKey.ownerId,
+                        roles: apiRole ? [apiRole._key] : [],
+                        permissions: apiKey.scopes,
+                        type: 'apiKey',
+                        apiKeyId: apiKey._key
+                    };
+                    
+                    if (onSuccess) {
+                        onSuccess(req, res);
+                    }
+                    
+                    return next();
+                }
+                
+                // Validate token
+                let userId;
+                try {
+                    userId = this.validateToken(token, { type: tokenType });
+                } catch (error) {
+                    return this.handleAuthError(res, error.message, 403, onError);
+                }
+                
+                const payload = this.decode(token);
+                
+                // Reject tokens revoked on logout or by an administrator
+                if (checkRevocation && this.isRevoked(payload)) {
+                    return this.handleAuthError(res, 'Token has been revoked', 401, onError);
+                }
+                
+                // Reject tokens of revoked sessions, and record the session as seen
+                if (checkRevocation && payload.sid && !sessions.touch(payload.sid, req.remoteAddress)) {
+                    return this.handleAuthError(res, 'Session has been revoked', 401, onError);
+                }
+                
+                // Users whose role requires MFA only get an enrollment token until they have set it up
+                if (payload.mfaEnrollment && !this.isExemptPath(req.path, mfaEnrollmentPaths)) {
+                    return this.handleAuthError(res, 'Two-factor authentication enrollment required', 403, onError);
                 }
                 
                 // Attach user ID to request
                 req.userId = userId;
                 
                 // Attach decoded token to request
-                req.token = this.decode(token);
+                req.token = payload;
                 
                 // Call optional success handler
                 if (onSuccess) {
@@ -416,9 +1703,11 @@ class AuthService {
      * Default token extractor function
      * 
      * @param {Object} req - Request object
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.query] - Also read the `token` query parameter (default: true)
      * @returns {string|null} Extracted token or null
      */
-    defaultTokenExtractor(req) {
+    defaultTokenExtractor(req, options = {}) {
         // Try Authorization header (Bearer token)
         const authHeader = req.headers.authorization;
         if (authHeader && authHeader.startsWith('Bearer ')) {
@@ -432,7 +1721,7 @@ class AuthService {
         }
         
         // Try query parameter
-        if (req.queryParams && req.queryParams.token) {
+        if (options.query !== false && req.queryParams && req.queryParams.token) {
             return req.queryParams.token;
         }
         
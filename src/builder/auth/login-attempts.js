@@ -0,0 +1,226 @@
+/**
+ * Login throttling for Foxx Builder
+ *
+ * @module builder/auth/login-attempts
+ *
+ * Failed logins are counted per account and per IP address. Logins by
+ * username and by email of the same account share its counter; logins
+ * naming no account are counted under the name given. Once a
+ * counter reaches `delayAfter` failures, each further attempt has to wait
+ * a doubling delay (up to `maxDelay` seconds); at `lockAfter` failures the
+ * username or address is locked for `lockDuration` seconds. A counter starts
+ * over when no failure was recorded within `window` seconds.
+ *
+ * Counters are kept in the `loginAttempts` collection under a hash of the
+ * account, name or address, and removed by a TTL index once they have run out.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const { db, query } = require('@arangodb');
+const crypto = require('@arangodb/crypto');
+
+/**
+ * Collection of failed login counters
+ * @type {string}
+ */
+const LOGIN_ATTEMPTS_COLLECTION = 'loginAttempts';
+
+/**
+ * Default throttling settings, overridden by the `loginThrottling` configuration
+ */
+const DEFAULTS = {
+    delayAfter: 3,
+    lockAfter: 10,
+    ipDelayAfter: 20,
+    ipLockAfter: 100,
+    maxDelay: 60,
+    lockDuration: 900,
+    window: 900
+};
+
+/**
+ * Merge configured settings over the defaults
+ *
+ * @param {Object} [configured] - Configured settings
+ * @returns {Object} Settings
+ */
+const resolveSettings = configured => ({ ...DEFAULTS, ...(configured || {}) });
+
+/**
+ * Get the collection of failed login counters, creating it if needed
+ *
+ * @returns {ArangoCollection} Login attempts collection
+ */
+const getCollection = () => {
+    let collection = db._collection(LOGIN_ATTEMPTS_COLLECTION);
+
+    if (!collection) {
+        collection = db._createDocumentCollection(LOGIN_ATTEMPTS_COLLECTION);
+        collection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+    }
+
+    return collection;
+};
+
+/**
+ * Normalize a username, so "Admin" and " admin" share a counter
+ *
+ * @param {string} username - Username or email
+ * @returns {string} Normalized username
+ */
+const normalize = username => String(username || '').trim().toLowerCase();
+
+/**
+ * Identifier a login is counted under
+ *
+ * @param {string|Object} login - Username or email, or the account it names ({ accountId })
+ * @returns {string} Identifier, `account:<_key>` or the normalized name
+ */
+const subjectOf = login => (login && typeof login === 'object'
+    ? `account:${login.accountId}`
+    : normalize(login));
+
+/**
+ * Key of the counter of a login or IP address
+ *
+ * @param {string} type - 'username' or 'ip'
+ * @param {string} identifier - Counted identifier, see subjectOf(), or IP address
+ * @returns {string} Document key
+ */
+const keyOf = (type, identifier) => crypto.sha256(`${type}:${identifier}`);
+
+/**
+ * Check whether a login attempt may proceed
+ *
+ * @param {string|Object} username - Username or email the login is for, or its account ({ accountId })
+ * @param {string} ip - IP address of the client
+ * @returns {Object} Result ({ allowed, locked, retryAfter }), retryAfter in seconds
+ */
+const check = (username, ip) => {
+    const collection = db._collection(LOGIN_ATTEMPTS_COLLECTION);
+    const result = { allowed: true, locked: false, retryAfter: 0 };
+
+    if (!collection) {
+        return result;
+    }
+
+    const now = Date.now();
+    const counters = query`
+        FOR key IN ${[keyOf('username', subjectOf(username)), keyOf('ip', ip)]}
+        LET counter = DOCUMENT(${collection}, key)
+        FILTER counter != null
+        RETURN counter
+    `.toArray();
+
+    for (const counter of counters) {
+        const locked = counter.lockedUntil && counter.lockedUntil > now;
+        const until = locked ? counter.lockedUntil : counter.nextAttemptAt;
+
+        if (until && until > now) {
+            result.allowed = false;
+            result.locked = result.locked || Boolean(locked);
+            result.retryAfter = Math.max(result.retryAfter, Math.ceil((until - now) / 1000));
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Count a failure on one counter and apply delay or lock
+ *
+ * @param {ArangoCollection} collection - Login attempts collection
+ * @param {string} type - 'username' or 'ip'
+ * @param {string} identifier - Counted identifier, see subjectOf(), or IP address
+ * @param {number} delayAfter - Failures before delays apply
+ * @param {number} lockAfter - Failures before the lock applies
+ * @param {Object} settings - Settings
+ * @returns {Object} Counter
+ */
+const countFailure = (collection, type, identifier, delayAfter, lockAfter, settings) => {
+    const now = Date.now();
+    const key = keyOf(type, identifier);
+
+    const [counter] = query`
+        UPSERT { _key: ${key} }
+        INSERT { _key: ${key}, type: ${type}, identifier: ${identifier}, failures: 1, firstFailureAt: ${now}, lastFailureAt: ${now} }
+        UPDATE {
+            failures: OLD.lastFailureAt < ${now - settings.window * 1000} ? 1 : OLD.failures + 1,
+            firstFailureAt: OLD.lastFailureAt < ${now - settings.window * 1000} ? ${now} : OLD.firstFailureAt,
+            lastFailureAt: ${now}
+        }
+        IN ${collection}
+        RETURN NEW
+    `.toArray();
+
+    const update = { nextAttemptAt: null, lockedUntil: counter.lockedUntil > now ? counter.lockedUntil : null };
+
+    if (counter.failures >= lockAfter) {
+        update.lockedUntil = now + settings.lockDuration * 1000;
+    } else if (counter.failures >= delayAfter) {
+        const delay = Math.min(settings.maxDelay, Math.pow(2, counter.failures - delayAfter));
+        update.nextAttemptAt = now + delay * 1000;
+    }
+
+    // ISO date string, evaluated by the TTL index
+    update.expiresAt = new Date(Math.max(now + settings.window * 1000, update.lockedUntil || 0)).toISOString();
+
+    collection.update(key, update);
+
+    return { ...counter, ...update, lockedNow: Boolean(update.lockedUntil) && !(counter.lockedUntil > now) };
+};
+
+/**
+ * Record a failed login
+ *
+ * @param {string|Object} username - Username or email the login was for, or its account ({ accountId })
+ * @param {string} ip - IP address of the client
+ * @param {Object} [configured] - Configured settings
+ * @returns {Object} Counters ({ username, ip }), `lockedNow` is set on a counter that has just been locked
+ */
+const recordFailure = (username, ip, configured) => {
+    const settings = resolveSettings(configured);
+    const collection = getCollection();
+
+    return {
+        username: countFailure(collection, 'username', subjectOf(username), settings.delayAfter, settings.lockAfter, settings),
+        ip: countFailure(collection, 'ip', ip, settings.ipDelayAfter, settings.ipLockAfter, settings)
+    };
+};
+
+/**
+ * Remove the counters of logins or IP addresses
+ *
+ * @param {Object} identifiers - Identifiers ({ usernames, ips }), usernames as for check()
+ * @returns {number} Number of removed counters
+ */
+const reset = ({ usernames = [], ips = [] }) => {
+    const collection = db._collection(LOGIN_ATTEMPTS_COLLECTION);
+
+    if (!collection) {
+        return 0;
+    }
+
+    const keys = [
+        ...usernames.filter(Boolean).map(username => keyOf('username', subjectOf(username))),
+        ...ips.filter(Boolean).map(ip => keyOf('ip', ip))
+    ];
+
+    return query`
+        FOR key IN ${keys}
+        LET counter = DOCUMENT(${collection}, key)
+        FILTER counter != null
+        REMOVE counter IN ${collection}
+        RETURN 1
+    `.toArray().length;
+};
+
+module.exports = {
+    LOGIN_ATTEMPTS_COLLECTION,
+    DEFAULTS,
+    check,
+    recordFailure,
+    reset
+};
@@ -0,0 +1,182 @@
+/**
+ * Password hashing for Foxx Builder
+ *
+ * @module builder/auth/password
+ *
+ * Passwords are hashed with PBKDF2 and a random per-user salt. Hashes are
+ * stored in a versioned, self-describing format:
+ *
+ *   $pbkdf2-sha512$v=1$i=210000$<salt>$<hash>
+ *
+ * so the algorithm and iteration count can be raised later without
+ * breaking existing hashes. Unsalted SHA-384 hashes of earlier versions are
+ * still verified and reported by `needsRehash()`, so they can be upgraded on
+ * the next successful login.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const crypto = require('@arangodb/crypto');
+
+/**
+ * Current version of the hash format
+ * @type {number}
+ */
+const HASH_VERSION = 1;
+
+/**
+ * HMAC digest used by PBKDF2
+ * @type {string}
+ */
+const ALGORITHM = 'sha512';
+
+/**
+ * Default number of PBKDF2 iterations
+ * @type {number}
+ */
+const DEFAULT_ITERATIONS = 210000;
+
+/**
+ * Lowest accepted number of PBKDF2 iterations
+ * @type {number}
+ */
+const MIN_ITERATIONS = 10000;
+
+const SALT_LENGTH = 32;
+const KEY_LENGTH = 64;
+const LEGACY_PATTERN = /^[0-9a-f]{96}$/i;
+
+/**
+ * Check whether a stored hash is an unsalted SHA-384 hash
+ *
+ * @param {string} stored - Stored password hash
+ * @returns {boolean} True for legacy hashes
+ */
+const isLegacy = stored => typeof stored === 'string' && LEGACY_PATTERN.test(stored);
+
+/**
+ * Parse a stored hash
+ *
+ * @param {string} stored - Stored password hash
+ * @returns {Object|null} Parsed hash ({ algorithm, version, iterations, salt, hash }) or null if unknown
+ */
+const parse = (stored) => {
+    const parts = typeof stored === 'string' ? stored.split('$') : [];
+
+    if (parts.length !== 6 || parts[0] !== '' || !parts[1].startsWith('pbkdf2-')) {
+        return null;
+    }
+
+    const version = Number(parts[2].replace('v=', ''));
+    const iterations = Number(parts[3].replace('i=', ''));
+
+    if (!Number.isInteger(version) || !Number.isInteger(iterations)) {
+        return null;
+    }
+
+    return {
+        algorithm: parts[1].slice('pbkdf2-'.length),
+        version,
+        iterations,
+        salt: parts[4],
+        hash: parts[5]
+    };
+};
+
+/**
+ * Resolve the number of iterations to hash with
+ *
+ * @param {number} [iterations] - Configured iterations
+ * @returns {number} Iterations
+ * @throws {Error} If the number is too low
+ */
+const resolveIterations = (iterations = DEFAULT_ITERATIONS) => {
+    if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS) {
+        throw new Error(`Invalid password hash iterations: ${iterations}. Must be an integer of at least ${MIN_ITERATIONS}`);
+    }
+
+    return iterations;
+};
+
+/**
+ * Hash a password
+ *
+ * @param {string} password - Plain text password
+ * @param {Object} [options] - Options
+ * @param {number} [options.iterations] - PBKDF2 iterations (default: 210000)
+ * @returns {string} Stored password hash
+ */
+const hash = (password, options = {}) => {
+    const iterations = resolveIterations(options.iterations);
+    const salt = crypto.genRandomAlphaNumbers(SALT_LENGTH);
+    const derived = crypto.pbkdf2(salt, password, iterations, KEY_LENGTH, ALGORITHM);
+
+    return `$pbkdf2-${ALGORITHM}$v=${HASH_VERSION}$i=${iterations}$${salt}$${derived}`;
+};
+
+/**
+ * Verify a password against a stored hash
+ *
+ * @param {string} password - Plain text password
+ * @param {string} stored - Stored password hash, current or legacy format
+ * @returns {boolean} True if the password matches
+ */
+const verify = (password, stored) => {
+    if (typeof password !== 'string' || !stored) {
+        return false;
+    }
+
+    if (isLegacy(stored)) {
+        return crypto.constantEquals(crypto.sha384(password), stored.toLowerCase());
+    }
+
+    const parsed = parse(stored);
+    if (!parsed) {
+        return false;
+    }
+
+    const derived = crypto.pbkdf2(parsed.salt, password, parsed.iterations, parsed.hash.length / 2, parsed.algorithm);
+    return crypto.constantEquals(derived, parsed.hash);
+};
+
+/**
+ * Build a hash no password matches
+ *
+ * Verified when a login names no account, so the response takes as long
+ * as for an existing account and does not reveal which usernames exist.
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.iterations] - Configured PBKDF2 iterations
+ * @returns {string} Hash in the current format
+ */
+const dummyHash = (options = {}) => {
+    const iterations = resolveIterations(options.iterations);
+    return `$pbkdf2-${ALGORITHM}$v=${HASH_VERSION}$i=${iterations}$${'0'.repeat(SALT_LENGTH)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+};
+
+/**
+ * Check whether a stored hash should be replaced by a fresh one
+ *
+ * @param {string} stored - Stored password hash
+ * @param {Object} [options] - Options
+ * @param {number} [options.iterations] - Configured PBKDF2 iterations
+ * @returns {boolean} True for legacy hashes, older formats and fewer iterations than configured
+ */
+const needsRehash = (stored, options = {}) => {
+    const parsed = parse(stored);
+
+    return !parsed ||
+        parsed.version < HASH_VERSION ||
+        parsed.algorithm !== ALGORITHM ||
+        parsed.iterations < resolveIterations(options.iterations);
+};
+
+module.exports = {
+    DEFAULT_ITERATIONS,
+    isLegacy,
+    hash,
+    verify,
+    needsRehash,
+    dummyHash
+};
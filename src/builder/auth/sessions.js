@@ -0,0 +1,286 @@
+/**
+ * Login sessions for Foxx Builder
+ *
+ * @module builder/auth/sessions
+ *
+ * Every login creates a session record in the `userSessions` collection,
+ * with the device, IP address and user agent it was made from. Tokens of the
+ * session carry its ID as `sid` claim, and the record holds the `jti` of the
+ * latest access token and the refresh token family, so a session can be
+ * revoked with all its tokens. A TTL index removes records once the session
+ * can no longer be refreshed.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const { db, query } = require('@arangodb');
+const crypto = require('@arangodb/crypto');
+
+/**
+ * Collection of login sessions
+ * @type {string}
+ */
+const USER_SESSIONS_COLLECTION = 'userSessions';
+
+/**
+ * Minimum time in milliseconds between two updates of lastSeenAt
+ * @type {number}
+ */
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+/**
+ * Browsers by user agent pattern, in the order they are tested
+ */
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime\//]
+];
+
+/**
+ * Operating systems by user agent pattern, in the order they are tested
+ */
+const OPERATING_SYSTEMS = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux|X11/]
+];
+
+/**
+ * Get the collection of sessions, creating it if needed
+ *
+ * @returns {ArangoCollection} Sessions collection
+ */
+const getCollection = () => {
+    let collection = db._collection(USER_SESSIONS_COLLECTION);
+
+    if (!collection) {
+        collection = db._createDocumentCollection(USER_SESSIONS_COLLECTION);
+        collection.ensureIndex({ type: 'persistent', fields: ['userId', 'status'] });
+        collection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+    }
+
+    return collection;
+};
+
+/**
+ * Describe the device of a user agent
+ *
+ * @param {string} userAgent - User agent header
+ * @returns {Object} Device ({ browser, os, type }), type is 'mobile', 'tablet', 'desktop' or 'other'
+ */
+const describeDevice = (userAgent) => {
+    const agent = String(userAgent || '');
+    const match = list => (list.find(([, pattern]) => pattern.test(agent)) || ['Unknown'])[0];
+    const os = match(OPERATING_SYSTEMS);
+
+    let type = 'other';
+    if (/iPad|Tablet/.test(agent) || (os === 'Android' && !/Mobile/.test(agent))) {
+        type = 'tablet';
+    } else if (/Mobile|iPhone|iPod/.test(agent)) {
+        type = 'mobile';
+    } else if (os !== 'Unknown') {
+        type = 'desktop';
+    }
+
+    return { browser: match(BROWSERS), os, type };
+};
+
+/**
+ * Remove internal fields from a session
+ *
+ * @param {Object} session - Session document
+ * @returns {Object} Session
+ */
+const sanitize = (session) => {
+    const { _id, _rev, ...rest } = session;
+    return rest;
+};
+
+/**
+ * Expiration of a session as ISO date string for the TTL index
+ *
+ * @param {number|null} expiresAt - Timestamp in milliseconds, null if the session does not expire
+ * @returns {string|null} ISO date string
+ */
+const toTtl = expiresAt => (expiresAt ? new Date(expiresAt).toISOString() : null);
+
+/**
+ * Generate a session ID
+ *
+ * @returns {string} Session ID
+ */
+const generateId = () => crypto.uuidv4();
+
+/**
+ * Create a session
+ *
+ * @param {Object} session - Session details
+ * @param {string} session.id - Session ID, as carried by the tokens in `sid`
+ * @param {string} session.userId - User ID
+ * @param {string} session.jti - ID of the access token
+ * @param {number} [session.accessExpiresAt] - Expiration of the access token in seconds (exp)
+ * @param {string} [session.familyId] - Refresh token family
+ * @param {number} [session.expiresAt] - Timestamp in milliseconds the session ends (default: never)
+ * @param {string} [session.ipAddress] - IP address of the client
+ * @param {string} [session.userAgent] - User agent of the client
+ * @returns {Object} Session
+ */
+const create = ({ id, userId, jti, accessExpiresAt = null, familyId = null, expiresAt = null, ipAddress = null, userAgent = null }) => {
+    const now = Date.now();
+    const session = {
+        _key: id,
+        userId,
+        status: 'active',
+        device: describeDevice(userAgent),
+        ipAddress,
+        userAgent,
+        jti,
+        accessExpiresAt,
+        familyId,
+        createdAt: now,
+        lastSeenAt: now,
+        lastSeenIp: ipAddress,
+        // ISO date string, evaluated by the TTL index
+        expiresAt: toTtl(expiresAt)
+    };
+
+    getCollection().save(session);
+
+    return sanitize(session);
+};
+
+/**
+ * Link a new access token to a session, e.g. after a refresh
+ *
+ * @param {string} id - Session ID
+ * @param {Object} token - Token details ({ jti, accessExpiresAt, expiresAt }), expiresAt in milliseconds
+ * @returns {boolean} True if an active session was updated
+ */
+const updateToken = (id, { jti, accessExpiresAt = null, expiresAt }) => {
+    const collection = db._collection(USER_SESSIONS_COLLECTION);
+
+    if (!collection || !id) {
+        return false;
+    }
+
+    const update = { jti, accessExpiresAt, lastSeenAt: Date.now() };
+    if (expiresAt !== undefined) {
+        update.expiresAt = toTtl(expiresAt);
+    }
+
+    return query`
+        FOR session IN ${collection}
+        FILTER session._key == ${id} AND session.status == 'active'
+        UPDATE session WITH ${update} IN ${collection}
+        RETURN 1
+    `.toArray().length > 0;
+};
+
+/**
+ * Check that a session is active and record it as seen, at most once a minute
+ *
+ * Tokens issued before sessions were introduced have no session and pass.
+ *
+ * @param {string} id - Session ID from the `sid` claim
+ * @param {string} [ip] - IP address of the client
+ * @returns {boolean} False if the session was revoked or has ended
+ */
+const touch = (id, ip = null) => {
+    const collection = db._collection(USER_SESSIONS_COLLECTION);
+
+    if (!collection || !id || !collection.exists(id)) {
+        return true;
+    }
+
+    const session = collection.document(id);
+    const now = Date.now();
+
+    if (session.status !== 'active' || (session.expiresAt && Date.parse(session.expiresAt) <= now)) {
+        return false;
+    }
+
+    if (now - session.lastSeenAt >= LAST_SEEN_INTERVAL || session.lastSeenIp !== ip) {
+        collection.update(id, { lastSeenAt: now, lastSeenIp: ip });
+    }
+
+    return true;
+};
+
+/**
+ * Get a session
+ *
+ * @param {string} id - Session ID
+ * @returns {Object|null} Session, or null if not found
+ */
+const get = (id) => {
+    const collection = db._collection(USER_SESSIONS_COLLECTION);
+    return collection && id && collection.exists(id) ? sanitize(collection.document(id)) : null;
+};
+
+/**
+ * List the active sessions of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Object[]} Sessions, most recently seen first
+ */
+const list = (userId) => {
+    const collection = db._collection(USER_SESSIONS_COLLECTION);
+
+    if (!collection) {
+        return [];
+    }
+
+    return query`
+        FOR session IN ${collection}
+        FILTER session.userId == ${userId} AND session.status == 'active'
+        FILTER session.expiresAt == null OR session.expiresAt > ${new Date().toISOString()}
+        SORT session.lastSeenAt DESC
+        RETURN UNSET(session, "_id", "_rev")
+    `.toArray();
+};
+
+/**
+ * Mark sessions as revoked
+ *
+ * Only marks the records; the tokens are revoked by the caller.
+ *
+ * @param {Object} filter - Sessions to revoke ({ id } or { userId, exceptId })
+ * @param {string} reason - Reason for the revocation
+ * @returns {Object[]} Revoked sessions as they were before
+ */
+const revoke = ({ id = null, userId = null, exceptId = null }, reason) => {
+    const collection = db._collection(USER_SESSIONS_COLLECTION);
+
+    if (!collection || (!id && !userId)) {
+        return [];
+    }
+
+    return query`
+        FOR session IN ${collection}
+        FILTER ${id} == null OR session._key == ${id}
+        FILTER ${userId} == null OR session.userId == ${userId}
+        FILTER session._key != ${exceptId} AND session.status == 'active'
+        UPDATE session WITH { status: 'revoked', revokedAt: ${Date.now()}, reason: ${reason} } IN ${collection}
+        RETURN UNSET(OLD, "_id", "_rev")
+    `.toArray();
+};
+
+module.exports = {
+    USER_SESSIONS_COLLECTION,
+    describeDevice,
+    generateId,
+    create,
+    updateToken,
+    touch,
+    get,
+    list,
+    revoke
+};
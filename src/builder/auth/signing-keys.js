@@ -0,0 +1,682 @@
+/**
+ * Asymmetric JWT signing keys for Foxx Builder
+ *
+ * @module builder/auth/signing-keys
+ *
+ * RS256 (RSASSA-PKCS1-v1_5 with SHA-256) keys are generated in the service
+ * and stored in the `signingKeys` collection as JWKs, keyed by their `kid`.
+ * `@arangodb/crypto` only signs JWTs with HMAC, so the RSA operations are
+ * implemented here on BigInt; SHA-256 and random bytes come from
+ * `@arangodb/crypto`.
+ *
+ * Key lifecycle:
+ * - `active`: signs new tokens; a unique sparse index on `activeAlg`, only
+ *   set on the active key, keeps a second key from becoming active
+ * - `retiring`: replaced by a newer key, still verifies the tokens it signed
+ *   until they have expired; a TTL index removes it afterwards
+ *
+ * Both are published as JWKS, so other services can verify tokens without
+ * sharing a secret.
+ *
+ * Generating a key takes seconds, so the first key is created by the setup
+ * script or a rotation, never while a token is signed.
+ *
+ * Trade-offs of the BigInt implementation: private keys are stored as plain
+ * JWKs, so the collection must be as restricted as `jwtSecret`; BigInt
+ * arithmetic is not constant-time, so signatures are blinded with a random
+ * factor, which hides the message from timing but not the key size or the
+ * exponent bit length.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const { db, query } = require('@arangodb');
+const crypto = require('@arangodb/crypto');
+
+/**
+ * Collection of signing keys
+ * @type {string}
+ */
+const SIGNING_KEYS_COLLECTION = 'signingKeys';
+
+/**
+ * Supported asymmetric algorithms
+ * @type {string[]}
+ */
+const ALGORITHMS = ['RS256'];
+
+/**
+ * Size of generated RSA keys in bits
+ * @type {number}
+ */
+const RSA_KEY_SIZE = 2048;
+
+const PUBLIC_EXPONENT = 65537n;
+
+/**
+ * ArangoDB error number of a unique constraint violation
+ * @type {number}
+ */
+const ERROR_UNIQUE_CONSTRAINT_VIOLATED = 1210;
+
+/**
+ * DER prefix of a SHA-256 DigestInfo (RFC 8017, section 9.2)
+ * @type {string}
+ */
+const SHA256_DIGEST_INFO = '3031300d060960864801650304020105000420';
+
+const SMALL_PRIMES = (() => {
+    const primes = [];
+    for (let candidate = 3; candidate < 2000; candidate += 2) {
+        if (primes.every(prime => candidate % prime !== 0)) {
+            primes.push(candidate);
+        }
+    }
+    return primes.map(BigInt);
+})();
+
+/**
+ * Encode bytes as base64url without padding
+ *
+ * @param {Buffer} bytes - Bytes
+ * @returns {string} Base64url string
+ */
+const toBase64Url = bytes => Buffer.from(bytes).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+/**
+ * Decode a base64url string
+ *
+ * @param {string} text - Base64url string
+ * @returns {Buffer} Bytes
+ */
+const fromBase64Url = text => Buffer.from(String(text).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * Convert big-endian bytes to a BigInt
+ *
+ * @param {Buffer} bytes - Bytes
+ * @returns {BigInt} Number
+ */
+const toBigInt = bytes => (bytes.length === 0 ? 0n : BigInt(`0x${Buffer.from(bytes).toString('hex')}`));
+
+/**
+ * Convert a BigInt to big-endian bytes
+ *
+ * @param {BigInt} value - Number
+ * @param {number} [length] - Length in bytes, left-padded with zeros (default: minimal)
+ * @returns {Buffer} Bytes
+ */
+const toBytes = (value, length = 0) => {
+    let hex = value.toString(16);
+    if (hex.length % 2) {
+        hex = `0${hex}`;
+    }
+    return Buffer.from(hex.padStart(length * 2, '0'), 'hex');
+};
+
+/**
+ * Modular exponentiation
+ *
+ * @param {BigInt} base - Base
+ * @param {BigInt} exponent - Exponent
+ * @param {BigInt} modulus - Modulus
+ * @returns {BigInt} base^exponent mod modulus
+ */
+const modPow = (base, exponent, modulus) => {
+    let result = 1n;
+    let current = base % modulus;
+    let remaining = exponent;
+
+    while (remaining > 0n) {
+        if (remaining & 1n) {
+            result = (result * current) % modulus;
+        }
+        current = (current * current) % modulus;
+        remaining >>= 1n;
+    }
+
+    return result;
+};
+
+/**
+ * Modular inverse
+ *
+ * @param {BigInt} value - Value
+ * @param {BigInt} modulus - Modulus
+ * @returns {BigInt} Inverse of value mod modulus
+ * @throws {Error} If the value has no inverse
+ */
+const modInverse = (value, modulus) => {
+    let [oldR, r] = [value % modulus, modulus];
+    let [oldS, s] = [1n, 0n];
+
+    while (r !== 0n) {
+        const quotient = oldR / r;
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+    }
+
+    if (oldR !== 1n) {
+        throw new Error('Value has no modular inverse');
+    }
+
+    return ((oldS % modulus) + modulus) % modulus;
+};
+
+/**
+ * Random BigInt with the given number of bits, top two bits and lowest bit set
+ *
+ * @param {number} bits - Number of bits, a multiple of 8
+ * @returns {BigInt} Random odd number
+ */
+const randomOdd = (bits) => {
+    const bytes = Buffer.from(crypto.genRandomBytes(bits / 8));
+    bytes[0] |= 0xc0;
+    bytes[bytes.length - 1] |= 0x01;
+    return toBigInt(bytes);
+};
+
+/**
+ * Miller-Rabin probable prime test, after trial division by small primes
+ *
+ * @param {BigInt} candidate - Odd number to test
+ * @param {number} [rounds] - Number of random bases
+ * @returns {boolean} True if the number is probably prime
+ */
+const isProbablePrime = (candidate, rounds = 8) => {
+    for (const prime of SMALL_PRIMES) {
+        if (candidate % prime === 0n) {
+            return candidate === prime;
+        }
+    }
+
+    let d = candidate - 1n;
+    let r = 0;
+    while ((d & 1n) === 0n) {
+        d >>= 1n;
+        r++;
+    }
+
+    for (let round = 0; round < rounds; round++) {
+        const base = 2n + toBigInt(crypto.genRandomBytes(16)) % (candidate - 4n);
+        let x = modPow(base, d, candidate);
+
+        if (x === 1n || x === candidate - 1n) {
+            continue;
+        }
+
+        let composite = true;
+        for (let i = 1; i < r; i++) {
+            x = (x * x) % candidate;
+            if (x === candidate - 1n) {
+                composite = false;
+                break;
+            }
+        }
+
+        if (composite) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Generate a prime suitable for an RSA key with the public exponent
+ *
+ * @param {number} bits - Number of bits
+ * @returns {BigInt} Prime
+ */
+const generatePrime = (bits) => {
+    for (;;) {
+        const candidate = randomOdd(bits);
+        if ((candidate - 1n) % PUBLIC_EXPONENT !== 0n && isProbablePrime(candidate)) {
+            return candidate;
+        }
+    }
+};
+
+/**
+ * Generate an RSA key pair
+ *
+ * @param {number} [bits] - Modulus size in bits
+ * @returns {Object} Private key as JWK fields ({ kty, n, e, d, p, q, dp, dq, qi })
+ */
+const generateRsaKey = (bits = RSA_KEY_SIZE) => {
+    for (;;) {
+        const p = generatePrime(bits / 2);
+        const q = generatePrime(bits / 2);
+        const n = p * q;
+
+        if (p === q || n.toString(2).length !== bits) {
+            continue;
+        }
+
+        const d = modInverse(PUBLIC_EXPONENT, (p - 1n) * (q - 1n));
+
+        return {
+            kty: 'RSA',
+            n: toBase64Url(toBytes(n)),
+            e: toBase64Url(toBytes(PUBLIC_EXPONENT)),
+            d: toBase64Url(toBytes(d)),
+            p: toBase64Url(toBytes(p)),
+            q: toBase64Url(toBytes(q)),
+            dp: toBase64Url(toBytes(d % (p - 1n))),
+            dq: toBase64Url(toBytes(d % (q - 1n))),
+            qi: toBase64Url(toBytes(modInverse(q, p)))
+        };
+    }
+};
+
+/**
+ * EMSA-PKCS1-v1_5 encoding of a message with SHA-256
+ *
+ * @param {string} message - Message, the JWT signing input
+ * @param {number} length - Modulus length in bytes
+ * @returns {Buffer} Encoded message
+ */
+const encodeMessage = (message, length) => {
+    const digestInfo = Buffer.from(SHA256_DIGEST_INFO + crypto.sha256(message), 'hex');
+    const padding = Buffer.alloc(length - digestInfo.length - 3, 0xff);
+    return Buffer.concat([Buffer.from([0x00, 0x01]), padding, Buffer.from([0x00]), digestInfo]);
+};
+
+/**
+ * Random blinding factor and its inverse for a modulus
+ *
+ * @param {BigInt} n - Modulus
+ * @param {number} length - Modulus length in bytes
+ * @returns {BigInt[]} Factor and inverse ([r, rInverse])
+ */
+const blindingFactor = (n, length) => {
+    for (;;) {
+        const r = toBigInt(crypto.genRandomBytes(length)) % n;
+        try {
+            return [r, modInverse(r, n)];
+        } catch (error) {
+            // r shares a factor with n, pick another one
+        }
+    }
+};
+
+/**
+ * Sign a message with RS256
+ *
+ * @param {string} message - Message, the JWT signing input
+ * @param {Object} key - Private key as JWK
+ * @returns {string} Base64url signature
+ */
+const sign = (message, key) => {
+    const n = toBigInt(fromBase64Url(key.n));
+    const e = toBigInt(fromBase64Url(key.e));
+    const p = toBigInt(fromBase64Url(key.p));
+    const q = toBigInt(fromBase64Url(key.q));
+    const length = fromBase64Url(key.n).length;
+    const m = toBigInt(encodeMessage(message, length));
+
+    // Blinding: the private key operation works on m * r^e, unrelated to the message
+    const [r, rInverse] = blindingFactor(n, length);
+    const blinded = (m * modPow(r, e, n)) % n;
+
+    // Chinese remainder theorem, about four times faster than m^d mod n
+    const m1 = modPow(blinded, toBigInt(fromBase64Url(key.dp)), p);
+    const m2 = modPow(blinded, toBigInt(fromBase64Url(key.dq)), q);
+    const h = (toBigInt(fromBase64Url(key.qi)) * (((m1 - m2) % p) + p)) % p;
+    const signature = (((m2 + h * q) % n) * rInverse) % n;
+
+    return toBase64Url(toBytes(signature, length));
+};
+
+/**
+ * Verify an RS256 signature
+ *
+ * @param {string} message - Message, the JWT signing input
+ * @param {string} signature - Base64url signature
+ * @param {Object} key - Public key as JWK
+ * @returns {boolean} True if the signature is valid
+ */
+const verifySignature = (message, signature, key) => {
+    const modulus = fromBase64Url(key.n);
+    const bytes = fromBase64Url(signature);
+    const n = toBigInt(modulus);
+    const s = toBigInt(bytes);
+
+    if (bytes.length !== modulus.length || s >= n) {
+        return false;
+    }
+
+    const encoded = toBytes(modPow(s, toBigInt(fromBase64Url(key.e)), n), modulus.length);
+    return crypto.constantEquals(encoded.toString('hex'), encodeMessage(message, modulus.length).toString('hex'));
+};
+
+/**
+ * Get the collection of signing keys, creating it if needed
+ *
+ * @returns {ArangoCollection} Signing keys collection
+ */
+const getCollection = () => {
+    let collection = db._collection(SIGNING_KEYS_COLLECTION);
+
+    if (!collection) {
+        collection = db._createDocumentCollection(SIGNING_KEYS_COLLECTION);
+        collection.ensureIndex({ type: 'persistent', fields: ['status'] });
+        collection.ensureIndex({ type: 'persistent', fields: ['activeAlg'], unique: true, sparse: true });
+        collection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+    }
+
+    return collection;
+};
+
+/**
+ * Public parts of a stored key
+ *
+ * @param {Object} key - Stored key
+ * @returns {Object} Key without private fields
+ */
+const describe = key => ({
+    kid: key.kid,
+    alg: key.alg,
+    status: key.status,
+    createdAt: key.createdAt,
+    retiringSince: key.retiringSince || null,
+    expiresAt: key.expiresAt ? Date.parse(key.expiresAt) : null
+});
+
+/**
+ * Create a new key without activating it
+ *
+ * @param {string} alg - Algorithm
+ * @returns {Object} Stored key
+ * @throws {Error} If the algorithm is not supported
+ */
+const createKey = (alg) => {
+    if (!ALGORITHMS.includes(alg)) {
+        throw new Error(`Invalid signing algorithm "${alg}". Supported algorithms are: ${ALGORITHMS.join(', ')}`);
+    }
+
+    const kid = crypto.genRandomAlphaNumbers(16);
+    const { kty, n, e, ...privateFields } = generateRsaKey();
+
+    return {
+        _key: kid,
+        kid,
+        alg,
+        publicJwk: { kty, n, e, kid, alg, use: 'sig' },
+        privateJwk: { kty, n, e, ...privateFields },
+        createdAt: Date.now()
+    };
+};
+
+/**
+ * Find the key that signs new tokens
+ *
+ * @param {string} alg - Algorithm
+ * @returns {Object|null} Stored key, or null if there is none
+ */
+const findActiveKey = (alg) => {
+    const collection = db._collection(SIGNING_KEYS_COLLECTION);
+
+    if (!collection) {
+        return null;
+    }
+
+    const [active] = query`
+        FOR key IN ${collection}
+        FILTER key.status == 'active' AND key.alg == ${alg}
+        SORT key.createdAt DESC
+        LIMIT 1
+        RETURN key
+    `.toArray();
+
+    return active || null;
+};
+
+/**
+ * Get the key that signs new tokens
+ *
+ * @param {string} alg - Algorithm
+ * @returns {Object} Stored key
+ * @throws {Error} If there is no active key, see ensureActiveKey()
+ */
+const getActiveKey = (alg) => {
+    const active = findActiveKey(alg);
+
+    if (!active) {
+        throw new Error(`No active ${alg} signing key. Run the setup script of the service to create one`);
+    }
+
+    return active;
+};
+
+/**
+ * Create the first active key unless there is one
+ *
+ * Called by the setup script. When several calls race, the unique index
+ * on `activeAlg` lets only one key become active; the others return it.
+ *
+ * @param {string} alg - Algorithm
+ * @returns {Object} Result ({ key, created }), key without private fields
+ */
+const ensureActiveKey = (alg) => {
+    const existing = findActiveKey(alg);
+    if (existing) {
+        return { key: describe(existing), created: false };
+    }
+
+    const collection = getCollection();
+    const key = { ...createKey(alg), status: 'active', activeAlg: alg };
+
+    try {
+        collection.save(key);
+    } catch (error) {
+        if (error.errorNum !== ERROR_UNIQUE_CONSTRAINT_VIOLATED) {
+            throw error;
+        }
+        return { key: describe(getActiveKey(alg)), created: false };
+    }
+
+    return { key: describe(key), created: true };
+};
+
+/**
+ * Replace the active key by a new one
+ *
+ * The previous active keys become retiring and are removed once the
+ * tokens they signed have expired. Both happen in one exclusive
+ * transaction, so concurrent rotations leave exactly one active key.
+ *
+ * @param {string} alg - Algorithm of the new key
+ * @param {number} retireAfter - Time in seconds retiring keys keep verifying tokens
+ * @returns {Object} Description of the new key
+ */
+const rotate = (alg, retireAfter) => {
+    const collection = getCollection();
+
+    // Generated before the transaction, it takes seconds
+    const key = { ...createKey(alg), status: 'active', activeAlg: alg };
+
+    db._executeTransaction({
+        collections: { exclusive: [collection.name()] },
+        params: { name: collection.name(), key, retireAfter },
+        action: function (params) {
+            const { db, query } = require('@arangodb');
+            const target = db._collection(params.name);
+            const now = Date.now();
+
+            query`
+                FOR item IN ${target}
+                FILTER item.status == 'active'
+                UPDATE item WITH {
+                    status: 'retiring',
+                    activeAlg: null,
+                    retiringSince: ${now},
+                    expiresAt: ${new Date(now + params.retireAfter * 1000).toISOString()}
+                } IN ${target}
+                OPTIONS { keepNull: false }
+            `;
+
+            target.save(params.key);
+        }
+    });
+
+    return describe(key);
+};
+
+/**
+ * Remove a key at once, tokens it signed are no longer accepted
+ *
+ * @param {string} kid - Key ID
+ * @returns {boolean} True if the key was removed
+ */
+const remove = (kid) => {
+    const collection = db._collection(SIGNING_KEYS_COLLECTION);
+
+    if (!collection || !collection.exists(kid)) {
+        return false;
+    }
+
+    collection.remove(kid);
+    return true;
+};
+
+/**
+ * Find the key that verifies a token
+ *
+ * @param {string} kid - Key ID from the token header
+ * @returns {Object|null} Stored key, or null if unknown or expired
+ */
+const findVerificationKey = (kid) => {
+    const collection = db._collection(SIGNING_KEYS_COLLECTION);
+
+    if (!collection || !kid || !collection.exists(kid)) {
+        return null;
+    }
+
+    const key = collection.document(kid);
+    const expired = key.expiresAt && Date.parse(key.expiresAt) <= Date.now();
+
+    return ['active', 'retiring'].includes(key.status) && !expired ? key : null;
+};
+
+/**
+ * List keys without private fields
+ *
+ * @returns {Object[]} Key descriptions, newest first
+ */
+const list = () => {
+    const collection = db._collection(SIGNING_KEYS_COLLECTION);
+
+    if (!collection) {
+        return [];
+    }
+
+    return query`
+        FOR key IN ${collection}
+        SORT key.createdAt DESC
+        RETURN key
+    `.toArray().map(describe);
+};
+
+/**
+ * Public keys of all keys that verify tokens, as JWK set
+ *
+ * @returns {Object} JWKS ({ keys })
+ */
+const jwks = () => {
+    const collection = db._collection(SIGNING_KEYS_COLLECTION);
+
+    if (!collection) {
+        return { keys: [] };
+    }
+
+    const keys = query`
+        FOR key IN ${collection}
+        FILTER key.status IN ['active', 'retiring']
+        FILTER key.expiresAt == null OR key.expiresAt > ${new Date().toISOString()}
+        SORT key.createdAt DESC
+        RETURN key.publicJwk
+    `.toArray();
+
+    return { keys };
+};
+
+/**
+ * Encode and sign a JWT with the active key
+ *
+ * @param {Object} payload - Token payload
+ * @param {string} alg - Algorithm
+ * @returns {string} JWT
+ */
+const encode = (payload, alg) => {
+    const key = getActiveKey(alg);
+    const header = toBase64Url(Buffer.from(JSON.stringify({ alg, typ: 'JWT', kid: key.kid })));
+    const body = toBase64Url(Buffer.from(JSON.stringify(payload)));
+
+    return `${header}.${body}.${sign(`${header}.${body}`, key.privateJwk)}`;
+};
+
+/**
+ * Read the header of a JWT without verifying it
+ *
+ * @param {string} token - JWT
+ * @returns {Object} Header
+ * @throws {Error} If the token is malformed
+ */
+const readHeader = (token) => {
+    const parts = String(token).split('.');
+
+    if (parts.length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    try {
+        return JSON.parse(fromBase64Url(parts[0]).toString('utf8'));
+    } catch (error) {
+        throw new Error('Malformed token header');
+    }
+};
+
+/**
+ * Verify a JWT signed with a stored key and return its payload
+ *
+ * @param {string} token - JWT
+ * @returns {string} Payload as JSON string
+ * @throws {Error} If the key is unknown or the signature is invalid
+ */
+const decode = (token) => {
+    const header = readHeader(token);
+    const key = findVerificationKey(header.kid);
+
+    if (!key || key.alg !== header.alg) {
+        throw new Error('Unknown signing key');
+    }
+
+    const [headerPart, payloadPart, signature] = token.split('.');
+    if (!verifySignature(`${headerPart}.${payloadPart}`, signature, key.publicJwk)) {
+        throw new Error('Invalid token signature');
+    }
+
+    return fromBase64Url(payloadPart).toString('utf8');
+};
+
+module.exports = {
+    SIGNING_KEYS_COLLECTION,
+    ALGORITHMS,
+    generateRsaKey,
+    sign,
+    verifySignature,
+    readHeader,
+    encode,
+    decode,
+    getActiveKey,
+    ensureActiveKey,
+    rotate,
+    remove,
+    list,
+    jwks
+};
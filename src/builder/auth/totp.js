@@ -0,0 +1,196 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for Foxx Builder
+ *
+ * @module builder/auth/totp
+ *
+ * Codes are HMAC-SHA1 based, 6 digits with a 30 second period, which is
+ * what authenticator apps expect from an otpauth URI without further
+ * parameters. Secrets are exchanged in base32.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const crypto = require('@arangodb/crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Default code settings
+ */
+const DEFAULTS = {
+    digits: 6,
+    period: 30,
+    window: 1
+};
+
+/**
+ * Encode bytes as base32 without padding
+ *
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (bytes) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ *
+ * @param {string} text - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains invalid characters
+ */
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character "${char}"`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random secret
+ *
+ * @param {number} [length] - Length in bytes (default: 20, as recommended for SHA1)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (length = 20) => base32Encode(crypto.genRandomBytes(length));
+
+/**
+ * Calculate the code of a time step
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch divided by the period)
+ * @param {number} [digits] - Number of digits
+ * @returns {string} Code, zero-padded
+ */
+const codeAt = (secret, step, digits = DEFAULTS.digits) => {
+    // The step is an 8-byte big-endian counter; key and counter are passed as binary buffers
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+    counter.writeUInt32BE(step % 0x100000000, 4);
+
+    const digest = Buffer.from(crypto.hmac(base32Decode(secret), counter, 'sha1'), 'hex');
+
+    // Dynamic truncation (RFC 4226, section 5.3)
+    const offset = digest[digest.length - 1] & 15;
+    const binary = ((digest[offset] & 127) << 24) |
+        (digest[offset + 1] << 16) |
+        (digest[offset + 2] << 8) |
+        digest[offset + 3];
+
+    return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+/**
+ * Get the time step of an instant
+ *
+ * @param {number} [time] - Timestamp in milliseconds (default: now)
+ * @param {number} [period] - Period in seconds
+ * @returns {number} Time step
+ */
+const stepAt = (time = Date.now(), period = DEFAULTS.period) => Math.floor(time / 1000 / period);
+
+/**
+ * Generate the current code, e.g. for tests or to show an example
+ *
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - Options ({ time, digits, period })
+ * @returns {string} Code
+ */
+const generate = (secret, options = {}) => {
+    const { digits, period } = { ...DEFAULTS, ...options };
+    return codeAt(secret, stepAt(options.time, period), digits);
+};
+
+/**
+ * Verify a code, accepting `window` steps of clock drift in both directions
+ *
+ * Returns the matched time step, so the caller can reject codes of the
+ * same or an earlier step that were already used.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Options ({ time, digits, period, window, afterStep })
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+const verify = (secret, code, options = {}) => {
+    const { digits, period, window } = { ...DEFAULTS, ...options };
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+        return null;
+    }
+
+    const current = stepAt(options.time, period);
+
+    for (let step = current - window; step <= current + window; step++) {
+        if (options.afterStep !== undefined && options.afterStep !== null && step <= options.afterStep) {
+            continue;
+        }
+
+        if (crypto.constantEquals(codeAt(secret, step, digits), normalized)) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the otpauth URI for authenticator apps, usually shown as QR code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - Options
+ * @param {string} options.issuer - Service name shown in the app
+ * @param {string} options.account - Account name, e.g. username or email
+ * @returns {string} otpauth URI
+ */
+const uri = (secret, { issuer, account }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${DEFAULTS.digits}&period=${DEFAULTS.period}`;
+};
+
+module.exports = {
+    DEFAULTS,
+    generateSecret,
+    generate,
+    verify,
+    uri
+};
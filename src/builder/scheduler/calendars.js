@@ -0,0 +1,253 @@
+/**
+ * Blackout calendars for the Foxx Builder scheduler
+ *
+ * @module builder/scheduler/calendars
+ *
+ * A calendar defines when tasks that reference it must not run:
+ * - `holidays`: dates ("YYYY-MM-DD") that are excluded as a whole
+ * - `maintenanceWindows`: excluded periods, either fixed (`start` and `end`
+ *   as ISO strings or timestamps) or recurring (`cron` expression and
+ *   `duration` in milliseconds)
+ * - `businessHours`: if set, only these periods are open, as a list of
+ *   `{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }` (0 is Sunday)
+ *
+ * Dates and times are evaluated in the `timezone` of the calendar (default: UTC).
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const cron = require('./cron');
+
+/**
+ * Collection calendars are stored in
+ * @type {string}
+ */
+const CALENDARS_COLLECTION = 'schedulerCalendars';
+
+/**
+ * Maximum number of blackouts passed when looking for the next open time
+ * @type {number}
+ */
+const MAX_BLACKOUT_STEPS = 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ *
+ * @param {string} value - Time of day
+ * @returns {number} - Minutes since midnight
+ */
+const toMinutes = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Check that a "YYYY-MM-DD" string is a real calendar date
+ *
+ * @param {string} value - Date
+ * @returns {boolean} - False for malformed strings and dates like 2024-02-30
+ */
+const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(value || '')) {
+        return false;
+    }
+
+    // new Date() rolls impossible days over into the next month, so compare the round trip
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Convert a fixed window boundary to a timestamp
+ *
+ * @param {string|number} value - ISO string or timestamp
+ * @returns {number} - Timestamp in milliseconds
+ */
+const toTimestamp = value => (typeof value === 'number' ? value : Date.parse(value));
+
+/**
+ * Validate a calendar definition
+ *
+ * @param {Object} calendar - Calendar definition
+ * @throws {Error} If the calendar is invalid
+ */
+const validate = (calendar) => {
+    const {
+        name,
+        timezone = cron.DEFAULT_TIMEZONE,
+        holidays = [],
+        maintenanceWindows = [],
+        businessHours = null
+    } = calendar;
+
+    if (!name) {
+        throw new Error('Invalid calendar: name is required');
+    }
+
+    if (!cron.isValidTimezone(timezone)) {
+        throw new Error(`Invalid timezone "${timezone}"`);
+    }
+
+    for (const holiday of holidays) {
+        const date = typeof holiday === 'string' ? holiday : holiday && holiday.date;
+        if (!isValidDate(date)) {
+            throw new Error(`Invalid calendar holiday "${date}": expected YYYY-MM-DD`);
+        }
+    }
+
+    for (const window of maintenanceWindows) {
+        if (window.cron) {
+            cron.parse(window.cron);
+            if (!(window.duration > 0)) {
+                throw new Error('Invalid maintenance window: recurring windows need a positive duration');
+            }
+        } else if (isNaN(toTimestamp(window.start)) || isNaN(toTimestamp(window.end)) || toTimestamp(window.end) <= toTimestamp(window.start)) {
+            throw new Error('Invalid maintenance window: start and end are required and end must be after start');
+        }
+    }
+
+    for (const period of businessHours || []) {
+        if (!Array.isArray(period.days) || period.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new Error('Invalid business hours: days must be a list of weekdays from 0 (Sunday) to 6');
+        }
+
+        if (!TIME_PATTERN.test(period.start || '') || !TIME_PATTERN.test(period.end || '') || toMinutes(period.end) <= toMinutes(period.start)) {
+            throw new Error('Invalid business hours: start and end must be HH:mm with end after start');
+        }
+    }
+};
+
+/**
+ * Find the next opening of the business hours
+ *
+ * @param {Object[]} businessHours - Business hour periods
+ * @param {number} wallClock - Naive wall-clock timestamp
+ * @returns {number|null} - Naive wall-clock timestamp of the next opening
+ */
+const nextOpening = (businessHours, wallClock) => {
+    const today = Math.floor(wallClock / DAY) * DAY;
+    let opening = null;
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = today + offset * DAY;
+        const weekday = new Date(day).getUTCDay();
+
+        for (const period of businessHours) {
+            const candidate = day + toMinutes(period.start) * 60000;
+            if (period.days.includes(weekday) && candidate > wallClock && (opening === null || candidate < opening)) {
+                opening = candidate;
+            }
+        }
+    }
+
+    return opening;
+};
+
+/**
+ * Check whether an instant falls into a blackout of a calendar
+ *
+ * @param {Object} calendar - Calendar
+ * @param {number} instant - Timestamp in milliseconds
+ * @returns {Object|null} - Blackout ({ calendar, reason, until }) or null if the calendar is open
+ */
+const getBlackout = (calendar, instant) => {
+    const timezone = calendar.timezone || cron.DEFAULT_TIMEZONE;
+    const wallClock = cron.toWallClock(instant, timezone);
+    const date = new Date(wallClock).toISOString().slice(0, 10);
+    const blackout = (reason, until) => ({ calendar: calendar.name, reason, until });
+
+    for (const holiday of calendar.holidays || []) {
+        const holidayDate = typeof holiday === 'string' ? holiday : holiday.date;
+        if (holidayDate === date) {
+            const name = typeof holiday === 'string' ? holiday : holiday.name || holiday.date;
+            return blackout(`Holiday ${name}`, cron.fromWallClock(Math.floor(wallClock / DAY) * DAY + DAY, timezone));
+        }
+    }
+
+    for (const window of calendar.maintenanceWindows || []) {
+        const description = window.description || 'Maintenance window';
+
+        if (window.cron) {
+            // A recurring window is active if it started within its duration
+            const started = cron.next(window.cron, { after: instant - window.duration, timezone });
+            if (started <= instant) {
+                return blackout(description, started + window.duration);
+            }
+        } else if (toTimestamp(window.start) <= instant && instant < toTimestamp(window.end)) {
+            return blackout(description, toTimestamp(window.end));
+        }
+    }
+
+    const { businessHours } = calendar;
+    if (businessHours && businessHours.length > 0) {
+        const weekday = new Date(wallClock).getUTCDay();
+        const minutes = (wallClock - Math.floor(wallClock / DAY) * DAY) / 60000;
+        const open = businessHours.some(period => period.days.includes(weekday) &&
+            toMinutes(period.start) <= minutes && minutes < toMinutes(period.end));
+
+        if (!open) {
+            const opening = nextOpening(businessHours, wallClock);
+            return blackout('Outside business hours', opening === null ? null : cron.fromWallClock(opening, timezone));
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Find the first blackout of any calendar at an instant
+ *
+ * @param {Object[]} calendars - Calendars
+ * @param {number} instant - Timestamp in milliseconds
+ * @returns {Object|null} - Blackout or null if all calendars are open
+ */
+const findBlackout = (calendars, instant) => {
+    for (const calendar of calendars) {
+        const blackout = getBlackout(calendar, instant);
+        if (blackout) {
+            return blackout;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Find the earliest instant at which all calendars are open
+ *
+ * @param {Object[]} calendars - Calendars
+ * @param {number} instant - Timestamp in milliseconds to start from
+ * @returns {number|null} - Open timestamp, or null if none was found
+ */
+const nextOpenTime = (calendars, instant) => {
+    let candidate = instant;
+
+    for (let step = 0; step < MAX_BLACKOUT_STEPS; step++) {
+        const blackout = findBlackout(calendars, candidate);
+
+        if (!blackout) {
+            return candidate;
+        }
+
+        if (blackout.until === null || blackout.until <= candidate) {
+            return null;
+        }
+
+        candidate = blackout.until;
+    }
+
+    return null;
+};
+
+module.exports = {
+    CALENDARS_COLLECTION,
+    validate,
+    getBlackout,
+    findBlackout,
+    nextOpenTime
+};
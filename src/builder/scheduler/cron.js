@@ -0,0 +1,496 @@
+/**
+ * Cron expression engine for the Foxx Builder scheduler
+ *
+ * @module builder/scheduler/cron
+ *
+ * Supports 5-field (minute hour day-of-month month day-of-week) and
+ * 6-field (second minute hour day-of-month month day-of-week) expressions with:
+ * - Wildcards, ranges, steps and lists: `*`, `1-5`, `*\/15`, `10-40/10`, `1,15,30`
+ * - Named months and weekdays: `JAN-DEC`, `MON-FRI`
+ * - `L` for the last day of the month, `5L` for the last Friday of the month
+ * - `?` as an alias for `*` in the day fields
+ * - Macros: `@yearly`, `@annually`, `@monthly`, `@weekly`, `@daily`, `@midnight`, `@hourly`
+ *
+ * Next run times are computed in the wall-clock time of an IANA time zone,
+ * so schedules keep their local time across DST changes. Occurrences that fall
+ * into a DST gap run at the first valid time after the gap, occurrences inside
+ * a DST overlap run once, at the earlier instant.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Maximum number of years to search for the next occurrence,
+ * protects against expressions that can never match (e.g. "0 0 30 2 *")
+ */
+const MAX_SEARCH_YEARS = 5;
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * Field definitions in 6-field order
+ */
+const FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+/**
+ * Cache of Intl formatters per time zone
+ * @type {Object<string, Intl.DateTimeFormat>}
+ */
+const formatters = {};
+
+/**
+ * Get a formatter that renders instants as wall-clock parts in a time zone
+ *
+ * @param {string} timezone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} - Formatter
+ * @throws {Error} If the time zone is not supported
+ */
+const getFormatter = (timezone) => {
+    if (!formatters[timezone]) {
+        try {
+            formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        } catch (error) {
+            throw new Error(`Invalid timezone "${timezone}"`);
+        }
+    }
+
+    return formatters[timezone];
+};
+
+/**
+ * Check whether a time zone name is supported
+ *
+ * @param {string} timezone - IANA time zone name
+ * @returns {boolean} - True if the time zone can be used
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Convert an instant to its wall-clock time in a time zone.
+ * The wall-clock time is returned as a "naive" timestamp, i.e. the UTC
+ * timestamp that has the same calendar fields.
+ *
+ * @param {number} instant - Timestamp in milliseconds
+ * @param {string} timezone - IANA time zone name
+ * @returns {number} - Naive wall-clock timestamp
+ */
+const toWallClock = (instant, timezone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(new Date(instant))) {
+        parts[type] = value;
+    }
+
+    return Date.UTC(
+        Number(parts.year),
+        Number(parts.month) - 1,
+        Number(parts.day),
+        Number(parts.hour) % 24,
+        Number(parts.minute),
+        Number(parts.second)
+    );
+};
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ *
+ * @param {number} instant - Timestamp in milliseconds
+ * @param {string} timezone - IANA time zone name
+ * @returns {number} - Offset in milliseconds
+ */
+const getOffset = (instant, timezone) => {
+    const seconds = Math.floor(instant / 1000) * 1000;
+    return toWallClock(seconds, timezone) - seconds;
+};
+
+/**
+ * Convert a naive wall-clock timestamp in a time zone to an instant
+ *
+ * @param {number} wallClock - Naive wall-clock timestamp
+ * @param {string} timezone - IANA time zone name
+ * @returns {number} - Timestamp in milliseconds
+ */
+const fromWallClock = (wallClock, timezone) => {
+    const day = 24 * 60 * 60 * 1000;
+    const offsetBefore = getOffset(wallClock - day, timezone);
+    const offsetAfter = getOffset(wallClock + day, timezone);
+
+    // Both offsets are candidates around a DST change; keep those that
+    // really map back to the requested wall-clock time and take the earliest
+    const candidates = [wallClock - offsetBefore, wallClock - offsetAfter]
+        .filter(instant => toWallClock(instant, timezone) === wallClock);
+
+    if (candidates.length > 0) {
+        return Math.min(...candidates);
+    }
+
+    // The wall-clock time falls into a DST gap, shift it past the gap
+    return wallClock - Math.min(offsetBefore, offsetAfter);
+};
+
+/**
+ * Replace month and weekday names with their numeric values
+ *
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {string} - Value with names replaced
+ */
+const replaceNames = (value, field) => {
+    if (!field.names) {
+        return value;
+    }
+
+    return value.toUpperCase().replace(/[A-Z]{3}/g, (name) => {
+        const index = field.names.indexOf(name);
+        if (index === -1) {
+            throw new Error(`unknown ${field.name} name "${name}"`);
+        }
+        return String(index + field.nameOffset);
+    });
+};
+
+/**
+ * Parse a number within the bounds of a field
+ *
+ * @param {string} value - Raw value
+ * @param {Object} field - Field definition
+ * @returns {number} - Parsed number
+ */
+const parseNumber = (value, field) => {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`invalid ${field.name} value "${value}"`);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value ${number} out of range ${field.min}-${field.max}`);
+    }
+
+    return number;
+};
+
+/**
+ * Parse a single cron field into the set of allowed values
+ *
+ * @param {string} source - Field source
+ * @param {Object} field - Field definition
+ * @returns {Object} - Parsed field with values, wildcard flag and `L` markers
+ */
+const parseField = (source, field) => {
+    const result = {
+        values: new Set(),
+        wildcard: source === '*' || source === '?',
+        last: false,
+        lastWeekdays: new Set()
+    };
+
+    const isDayField = field.name === 'dayOfMonth' || field.name === 'dayOfWeek';
+    if (source === '?' && !isDayField) {
+        throw new Error(`"?" is only allowed in day fields, not in ${field.name}`);
+    }
+
+    for (const rawPart of source.split(',')) {
+        const part = replaceNames(rawPart, field);
+
+        if (part === '') {
+            throw new Error(`empty value in ${field.name} field`);
+        }
+
+        // Last day of month
+        if (part === 'L' && field.name === 'dayOfMonth') {
+            result.last = true;
+            continue;
+        }
+
+        // Last given weekday of the month, e.g. 5L
+        if (/^\d+L$/.test(part) && field.name === 'dayOfWeek') {
+            result.lastWeekdays.add(parseNumber(part.slice(0, -1), field) % 7);
+            continue;
+        }
+
+        const [range, stepSource] = part.split('/');
+        const step = stepSource === undefined ? 1 : parseInt(stepSource, 10);
+
+        if (stepSource !== undefined && (!/^\d+$/.test(stepSource) || step < 1)) {
+            throw new Error(`invalid step "${stepSource}" in ${field.name} field`);
+        }
+
+        // Open-ended weekdays stop at Saturday, 7 would be Sunday again
+        const openEnd = field.name === 'dayOfWeek' ? 6 : field.max;
+
+        let start, end;
+        if (range === '*' || range === '?') {
+            start = field.min;
+            end = openEnd;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseNumber(from, field);
+            end = parseNumber(to, field);
+            if (start > end) {
+                throw new Error(`invalid range "${range}" in ${field.name} field`);
+            }
+        } else {
+            start = parseNumber(range, field);
+            end = stepSource === undefined ? start : openEnd;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            // Sunday can be written as 0 or 7
+            result.values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - 5- or 6-field cron expression or macro
+ * @returns {Object} - Parsed schedule, `source` holds the expression for messages
+ * @throws {Error} If the expression is invalid
+ */
+const parse = (expression) => {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('Invalid cron expression: expression must be a non-empty string');
+    }
+
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== 5 && parts.length !== 6) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 or 6 fields, got ${parts.length}`);
+    }
+
+    // 5-field expressions run at second 0
+    if (parts.length === 5) {
+        parts.unshift('0');
+    }
+
+    try {
+        const [second, minute, hour, dayOfMonth, month, dayOfWeek] =
+            parts.map((part, index) => parseField(part, FIELDS[index]));
+
+        return { source: expression, second, minute, hour, dayOfMonth, month, dayOfWeek };
+    } catch (error) {
+        throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+};
+
+/**
+ * Check whether a day matches the day-of-month and day-of-week fields.
+ * As in standard cron, when both fields are restricted a day matches if
+ * either of them matches.
+ *
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Naive wall-clock date
+ * @returns {boolean} - True if the day matches
+ */
+const matchesDay = (schedule, date) => {
+    const { dayOfMonth, dayOfWeek } = schedule;
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay();
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+    const domMatch = dayOfMonth.values.has(day) || (dayOfMonth.last && day === daysInMonth);
+    const dowMatch = dayOfWeek.values.has(weekday) ||
+        (dayOfWeek.lastWeekdays.has(weekday) && day + 7 > daysInMonth);
+
+    if (dayOfMonth.wildcard && dayOfWeek.wildcard) {
+        return true;
+    }
+    if (dayOfMonth.wildcard) {
+        return dowMatch;
+    }
+    if (dayOfWeek.wildcard) {
+        return domMatch;
+    }
+    return domMatch || dowMatch;
+};
+
+/**
+ * Find the first naive wall-clock time at or after the given one that
+ * matches the schedule
+ *
+ * @param {Object} schedule - Parsed schedule
+ * @param {number} wallClock - Naive wall-clock timestamp to start from
+ * @returns {number|null} - Matching naive timestamp or null if none was found
+ */
+const findNextWallClock = (schedule, wallClock) => {
+    const date = new Date(Math.ceil(wallClock / 1000) * 1000);
+    const limit = date.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+    while (date.getUTCFullYear() <= limit) {
+        if (!schedule.month.values.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!matchesDay(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!schedule.hour.values.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!schedule.minute.values.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        if (!schedule.second.values.has(date.getUTCSeconds())) {
+            date.setUTCSeconds(date.getUTCSeconds() + 1, 0);
+            continue;
+        }
+
+        return date.getTime();
+    }
+
+    return null;
+};
+
+/**
+ * Compute the next run time of a cron expression
+ *
+ * @param {string|Object} expression - Cron expression or parsed schedule
+ * @param {Object} [options] - Options
+ * @param {number} [options.after] - Timestamp after which to search (default: now)
+ * @param {string} [options.timezone] - IANA time zone (default: UTC)
+ * @returns {number} - Next run timestamp in milliseconds
+ * @throws {Error} If the expression is invalid or never matches
+ */
+const next = (expression, options = {}) => {
+    const { after = new Date().getTime(), timezone = DEFAULT_TIMEZONE } = options;
+    const schedule = typeof expression === 'string' ? parse(expression) : expression;
+
+    let from = after;
+
+    // A DST overlap can map a matching wall-clock time to an instant that
+    // is not after `after`; keep searching from the next second in that case
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const wallClock = findNextWallClock(schedule, toWallClock(from, timezone) + 1000);
+
+        if (wallClock === null) {
+            break;
+        }
+
+        const instant = fromWallClock(wallClock, timezone);
+        if (instant > after) {
+            return instant;
+        }
+
+        from = instant + 1000;
+    }
+
+    throw new Error(`Invalid cron expression "${schedule.source}": no occurrence within ${MAX_SEARCH_YEARS} years`);
+};
+
+/**
+ * Get the next occurrences of a cron expression
+ *
+ * @param {string|Object} expression - Cron expression or parsed schedule
+ * @param {Object} [options] - Options
+ * @param {number} [options.count] - Number of occurrences (default: 5)
+ * @param {number} [options.after] - Timestamp after which to search (default: now)
+ * @param {string} [options.timezone] - IANA time zone (default: UTC)
+ * @returns {number[]} - Run timestamps in milliseconds
+ * @throws {Error} If the expression is invalid or never matches
+ */
+const upcoming = (expression, options = {}) => {
+    const { count = 5, after = new Date().getTime(), timezone = DEFAULT_TIMEZONE } = options;
+    const schedule = typeof expression === 'string' ? parse(expression) : expression;
+    const occurrences = [];
+
+    let from = after;
+    while (occurrences.length < count) {
+        from = next(schedule, { after: from, timezone });
+        occurrences.push(from);
+    }
+
+    return occurrences;
+};
+
+/**
+ * Format an instant as ISO 8601 local time with the UTC offset of a time zone,
+ * e.g. "2024-03-31T03:00:00+02:00"
+ *
+ * @param {number} instant - Timestamp in milliseconds
+ * @param {string} [timezone] - IANA time zone (default: UTC)
+ * @returns {string} - Local time
+ */
+const formatLocal = (instant, timezone = DEFAULT_TIMEZONE) => {
+    const offset = Math.round(getOffset(instant, timezone) / 60000);
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+    return `${new Date(toWallClock(instant, timezone)).toISOString().slice(0, 19)}${sign}${hours}:${minutes}`;
+};
+
+/**
+ * Validate a cron expression and time zone
+ *
+ * @param {string} expression - Cron expression
+ * @param {string} [timezone] - IANA time zone
+ * @throws {Error} If the expression or the time zone is invalid
+ */
+const validate = (expression, timezone = DEFAULT_TIMEZONE) => {
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`Invalid timezone "${timezone}"`);
+    }
+
+    next(parse(expression), { timezone });
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    parse,
+    next,
+    upcoming,
+    formatLocal,
+    validate,
+    isValidTimezone,
+    toWallClock,
+    fromWallClock
+};
@@ -0,0 +1,205 @@
+/**
+ * Scheduled task declarations for the Foxx Builder scheduler
+ *
+ * @module builder/scheduler/declarations
+ *
+ * Tasks can be declared in code instead of being created at runtime:
+ * - A `src/tasks/<handler>.schedule.json` file next to a handler, either one
+ *   definition or an array of definitions. The task type is `script` and the
+ *   handler is `<handler>.js`; the name defaults to the handler name. The
+ *   schedule is read as JSON, so the handler module is not loaded and its
+ *   top-level code does not run when the service is set up.
+ * - A `schedules` section in the service manifest, either an array of task
+ *   definitions or an object keyed by task name.
+ *
+ * Definitions use the same fields as `scheduler.createTask()`, workflow
+ * references (`dependsOn`, `onSuccess`, `onFailure`) may use task names,
+ * and `enabled: false` keeps a declared task disabled.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('@arangodb/crypto');
+
+/**
+ * Directory of script task handlers
+ * @type {string}
+ */
+const TASKS_DIRECTORY = path.resolve(__dirname, '..', '..', 'tasks');
+
+/**
+ * Suffix of the schedule file of a handler
+ * @type {string}
+ */
+const SCHEDULE_SUFFIX = '.schedule.json';
+
+/**
+ * Declarable task fields with the defaults of `scheduler.createTask()`,
+ * a field removed from a declaration is reset to its default
+ */
+const DEFAULTS = {
+    description: '',
+    type: 'script',
+    handler: null,
+    params: {},
+    schedule: null,
+    timezone: 'UTC',
+    recurring: false,
+    maxRetries: 0,
+    retryDelay: 60000,
+    retryBackoff: 'fixed',
+    maxRetryDelay: 60 * 60 * 1000,
+    retryJitter: 0,
+    concurrency: 'forbid',
+    leaseDuration: 10 * 60 * 1000,
+    timeout: null,
+    missedRunPolicy: 'runOnce',
+    maxCatchUp: 10,
+    executionRetentionDays: null,
+    notifications: null,
+    calendars: [],
+    onBlackout: 'skip',
+    dependsOn: [],
+    onSuccess: [],
+    onFailure: [],
+    enabled: true
+};
+
+/**
+ * Read the schedule files of the task handlers
+ *
+ * A file that cannot be read yields a declaration carrying the error, so
+ * the task it declares is reported rather than treated as removed.
+ *
+ * @returns {Object[]} - Task definitions with their origin
+ */
+const fromTaskFiles = () => {
+    if (!fs.exists(TASKS_DIRECTORY)) {
+        return [];
+    }
+
+    const definitions = [];
+
+    for (const file of fs.list(TASKS_DIRECTORY).filter(name => name.endsWith(SCHEDULE_SUFFIX)).sort()) {
+        const handler = file.slice(0, -SCHEDULE_SUFFIX.length);
+        const origin = `tasks/${file}`;
+        let schedule;
+
+        try {
+            schedule = JSON.parse(fs.read(path.join(TASKS_DIRECTORY, file)));
+        } catch (error) {
+            definitions.push({ name: handler, origin, error: `invalid JSON: ${error.message}` });
+            continue;
+        }
+
+        if (!fs.exists(path.join(TASKS_DIRECTORY, `${handler}.js`))) {
+            definitions.push({ name: handler, origin, error: `handler tasks/${handler}.js not found` });
+            continue;
+        }
+
+        const entries = Array.isArray(schedule) ? schedule : [schedule];
+        for (const entry of entries) {
+            definitions.push({
+                name: entries.length === 1 ? handler : undefined,
+                ...entry,
+                type: 'script',
+                handler,
+                origin
+            });
+        }
+    }
+
+    return definitions;
+};
+
+/**
+ * Read the `schedules` section of the service manifest
+ *
+ * @param {Object} manifest - Service manifest
+ * @returns {Object[]} - Task definitions with their origin
+ */
+const fromManifest = (manifest) => {
+    const schedules = manifest && manifest.schedules;
+
+    if (!schedules) {
+        return [];
+    }
+
+    const entries = Array.isArray(schedules)
+        ? schedules
+        : Object.keys(schedules).map(name => ({ name, ...schedules[name] }));
+
+    return entries.map(entry => ({ ...entry, origin: 'manifest' }));
+};
+
+/**
+ * Bring a declaration into canonical form
+ *
+ * @param {Object} declaration - Task declaration
+ * @returns {Object} - Definition with all declarable fields
+ * @throws {Error} If the declaration could not be read, or the name or schedule is missing
+ */
+const normalize = (declaration) => {
+    const { name, origin } = declaration;
+
+    if (!name) {
+        throw new Error(`Invalid task declaration in ${origin}: name is required`);
+    }
+
+    if (declaration.error) {
+        throw new Error(`Invalid task declaration "${name}" in ${origin}: ${declaration.error}`);
+    }
+
+    if (!declaration.schedule) {
+        throw new Error(`Invalid task declaration "${name}" in ${origin}: schedule is required`);
+    }
+
+    const definition = { name };
+    for (const field of Object.keys(DEFAULTS)) {
+        definition[field] = declaration[field] !== undefined ? declaration[field] : DEFAULTS[field];
+    }
+
+    return definition;
+};
+
+/**
+ * Hash a normalized definition, used to detect changed declarations
+ *
+ * @param {Object} definition - Normalized definition
+ * @returns {string} - Definition hash
+ */
+const hash = definition => crypto.sha256(JSON.stringify(definition));
+
+/**
+ * Load all task declarations
+ *
+ * Declarations with a name that is already taken are ignored.
+ *
+ * @param {Object} context - Foxx module context
+ * @returns {Object[]} - Task declarations with their origin
+ */
+const load = (context) => {
+    const declarations = [];
+    const names = new Set();
+
+    for (const declaration of [...fromTaskFiles(), ...fromManifest(context && context.manifest)]) {
+        if (declaration.name && names.has(declaration.name)) {
+            console.warn(`Ignoring duplicate task declaration "${declaration.name}" in ${declaration.origin}`);
+            continue;
+        }
+
+        names.add(declaration.name);
+        declarations.push(declaration);
+    }
+
+    return declarations;
+};
+
+module.exports = {
+    load,
+    normalize,
+    hash
+};
@@ -13,131 +13,150 @@
  * @author skitsanos
  */
 const { db, query } = require('@arangodb');
+const fs = require('fs');
+const path = require('path');
 const tasks = require('@arangodb/tasks');
 const crypto = require('@arangodb/crypto');
 const request = require('@arangodb/request');
 const aql = require('@arangodb').aql;
 const emailService = require('../email');
+const cron = require('./cron');
+const notifications = require('./notifications');
+const declarations = require('./declarations');
+const calendars = require('./calendars');
+const templates = require('./templates');
 
 /**
- * Helper function to parse cron-like expressions
+ * Root of the service sources (src/), used to resolve script task handlers
+ * @type {string}
+ */
+const APP_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Default time in milliseconds a run holds the lease on its task
+ * @type {number}
+ */
+const DEFAULT_LEASE_DURATION = 10 * 60 * 1000;
+
+/**
+ * Supported concurrency policies for overlapping runs of the same task
+ * @type {string[]}
+ */
+const CONCURRENCY_POLICIES = ['forbid', 'allow', 'replace'];
+
+/**
+ * Supported strategies for the delay between retries
+ * @type {string[]}
+ */
+const BACKOFF_STRATEGIES = ['fixed', 'linear', 'exponential'];
+
+/**
+ * Default upper bound in milliseconds for the delay between retries
+ * @type {number}
+ */
+const DEFAULT_MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+/**
+ * Policies for occurrences of recurring tasks missed while the service was down
+ */
+const MISSED_RUN_POLICIES = ['skip', 'runOnce', 'catchUp'];
+const DEFAULT_MAX_CATCH_UP = 10;
+
+/**
+ * Delay after which an occurrence counts as missed rather than late
+ */
+const MISSED_RUN_GRACE_PERIOD = 5 * 60 * 1000;
+
+/**
+ * Handling of occurrences that fall into a blackout of the task calendars
+ * @type {string[]}
+ */
+const BLACKOUT_POLICIES = ['skip', 'defer'];
+
+/**
+ * Delay in milliseconds before a task whose calendars have no open time ahead
+ * is checked again, e.g. after the calendar has been changed
+ * @type {number}
+ */
+const BLACKOUT_RECHECK_DELAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Collection that stores the execution history of scheduled tasks
+ * @type {string}
+ */
+const EXECUTIONS_COLLECTION = 'scheduledTaskExecutions';
+
+/**
+ * Default number of days execution records are kept
+ * @type {number}
+ */
+const DEFAULT_EXECUTION_RETENTION_DAYS = 30;
+
+/**
+ * Collection that stores the state of workflow runs
+ * @type {string}
+ */
+const WORKFLOW_RUNS_COLLECTION = 'scheduledWorkflowRuns';
+
+/**
+ * Workflow step statuses that keep a workflow run open
+ * @type {string[]}
+ */
+const ACTIVE_STEP_STATUSES = ['queued', 'running', 'retrying'];
+
+/**
+ * Defaults for AQL tasks
+ */
+const AQL_DEFAULT_MAX_RUNTIME = 300; // seconds
+const AQL_DEFAULT_RESULT_LIMIT = 100; // documents kept in the execution record
+
+/**
+ * Final execution statuses of a run that did not complete successfully
+ */
+const UNSUCCESSFUL_STATUSES = ['failed', 'timed-out', 'cancelled'];
+
+/**
+ * Helper function to parse cron expressions
  * 
- * @param {string} cronExpression - Cron-like expression (e.g., "0 0 * * *" for daily at midnight)
+ * @param {string} cronExpression - Cron expression (e.g., "0 0 * * *" for daily at midnight)
+ * @param {string} [timezone] - IANA time zone the expression is evaluated in (default: UTC)
+ * @param {number} [after] - Timestamp after which the next run is computed (default: now)
  * @returns {Object} Next run time information
+ * @throws {Error} If the expression or time zone is invalid
  */
-const parseCronExpression = (cronExpression) => {
-    try {
-        // Simple cron parser for common patterns
-        // In a production system, you might want to use a more robust parser
-        
-        // Daily at specific time: "0 8 * * *" (8:00 AM daily)
-        if (cronExpression.match(/^(\d+)\s+(\d+)\s+\*\s+\*\s+\*$/)) {
-            const [_, minute, hour] = cronExpression.split(/\s+/);
-            const now = new Date();
-            const nextRun = new Date(now);
-            
-            nextRun.setHours(parseInt(hour));
-            nextRun.setMinutes(parseInt(minute));
-            nextRun.setSeconds(0);
-            nextRun.setMilliseconds(0);
-            
-            // If the time has already passed today, schedule for tomorrow
-            if (nextRun <= now) {
-                nextRun.setDate(nextRun.getDate() + 1);
-            }
-            
-            return {
-                nextRun: nextRun.getTime(),
-                period: 24 * 60 * 60 * 1000, // Daily (in ms)
-                type: 'daily'
-            };
-        }
-        
-        // Hourly at specific minute: "30 * * * *" (at minute 30 of every hour)
-        if (cronExpression.match(/^(\d+)\s+\*\s+\*\s+\*\s+\*$/)) {
-            const [_, minute] = cronExpression.split(/\s+/);
-            const now = new Date();
-            const nextRun = new Date(now);
-            
-            nextRun.setMinutes(parseInt(minute));
-            nextRun.setSeconds(0);
-            nextRun.setMilliseconds(0);
-            
-            // If the time has already passed this hour, schedule for next hour
-            if (nextRun <= now) {
-                nextRun.setHours(nextRun.getHours() + 1);
-            }
-            
-            return {
-                nextRun: nextRun.getTime(),
-                period: 60 * 60 * 1000, // Hourly (in ms)
-                type: 'hourly'
-            };
-        }
-        
-        // Weekly on specific day and time: "0 8 * * 1" (8:00 AM on Mondays)
-        if (cronExpression.match(/^(\d+)\s+(\d+)\s+\*\s+\*\s+(\d+)$/)) {
-            const [_, minute, hour, dayOfWeek] = cronExpression.split(/\s+/);
-            const now = new Date();
-            const nextRun = new Date(now);
-            
-            nextRun.setHours(parseInt(hour));
-            nextRun.setMinutes(parseInt(minute));
-            nextRun.setSeconds(0);
-            nextRun.setMilliseconds(0);
-            
-            // Set to the next occurrence of the specified day of week
-            const currentDay = nextRun.getDay();
-            const targetDay = parseInt(dayOfWeek);
-            let daysToAdd = targetDay - currentDay;
-            
-            if (daysToAdd < 0 || (daysToAdd === 0 && nextRun <= now)) {
-                daysToAdd += 7;
-            }
-            
-            nextRun.setDate(nextRun.getDate() + daysToAdd);
-            
-            return {
-                nextRun: nextRun.getTime(),
-                period: 7 * 24 * 60 * 60 * 1000, // Weekly (in ms)
-                type: 'weekly'
-            };
-        }
-        
-        // Monthly on specific day: "0 0 1 * *" (midnight on the 1st of every month)
-        if (cronExpression.match(/^(\d+)\s+(\d+)\s+(\d+)\s+\*\s+\*$/)) {
-            const [_, minute, hour, dayOfMonth] = cronExpression.split(/\s+/);
-            const now = new Date();
-            const nextRun = new Date(now.getFullYear(), now.getMonth(), parseInt(dayOfMonth), parseInt(hour), parseInt(minute), 0, 0);
-            
-            // If the time has already passed this month, schedule for next month
-            if (nextRun <= now) {
-                nextRun.setMonth(nextRun.getMonth() + 1);
-            }
-            
-            return {
-                nextRun: nextRun.getTime(),
-                period: 30 * 24 * 60 * 60 * 1000, // ~Monthly (in ms)
-                type: 'monthly'
-            };
-        }
-        
-        // Default: treat as a one-time task at the specified time
-        throw new Error('Unsupported cron expression format');
-    } catch (error) {
-        console.error(`Error parsing cron expression "${cronExpression}":`, error.message);
-        
-        // Default to a daily task at midnight
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        
-        return {
-            nextRun: tomorrow.getTime(),
-            period: 24 * 60 * 60 * 1000, // Daily (in ms)
-            type: 'daily'
-        };
+const parseCronExpression = (cronExpression, timezone = cron.DEFAULT_TIMEZONE, after = new Date().getTime()) => {
+    if (!cron.isValidTimezone(timezone)) {
+        throw new Error(`Invalid timezone "${timezone}"`);
+    }
+    
+    const schedule = cron.parse(cronExpression);
+    const nextRun = cron.next(schedule, { after, timezone });
+    
+    // Period is informational only, the next run is always computed from the expression
+    const followingRun = cron.next(schedule, { after: nextRun, timezone });
+    
+    return {
+        nextRun,
+        period: followingRun - nextRun,
+        type: 'cron'
+    };
+};
+
+/**
+ * Wrap an error of a task run, keeping whether the run may be retried
+ * 
+ * @param {string} message - Error message
+ * @param {Error|Object} [cause] - Original error or failure result
+ * @returns {Error} - Error with the retryable flag of the cause
+ */
+const wrapTaskError = (message, cause = {}) => {
+    const error = new Error(message);
+    
+    if (cause.retryable !== undefined) {
+        error.retryable = cause.retryable;
     }
+    
+    return error;
 };
 
 /**
@@ -183,6 +202,66 @@ const scheduler = {
             throw collectionError;
         }
         
+        // Ensure the execution history collection exists
+        try {
+            if (!db._collection(EXECUTIONS_COLLECTION)) {
+                console.log(`${EXECUTIONS_COLLECTION} collection not found. Creating it now.`);
+                const executionCollection = db._createDocumentCollection(EXECUTIONS_COLLECTION);
+                executionCollection.ensureIndex({ type: 'persistent', fields: ['taskId', 'startTime'] });
+                executionCollection.ensureIndex({ type: 'persistent', fields: ['status'] });
+                executionCollection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+                console.log(`Created indexes for ${EXECUTIONS_COLLECTION} collection`);
+            }
+            
+            this.migrateEmbeddedExecutions();
+        } catch (collectionError) {
+            console.error(`Error creating ${EXECUTIONS_COLLECTION} collection:`, collectionError.message);
+            throw collectionError;
+        }
+        
+        // Ensure the workflow run collection exists
+        try {
+            if (!db._collection(WORKFLOW_RUNS_COLLECTION)) {
+                console.log(`${WORKFLOW_RUNS_COLLECTION} collection not found. Creating it now.`);
+                const workflowCollection = db._createDocumentCollection(WORKFLOW_RUNS_COLLECTION);
+                workflowCollection.ensureIndex({ type: 'persistent', fields: ['rootTaskId', 'createdAt'] });
+                workflowCollection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+                console.log(`Created indexes for ${WORKFLOW_RUNS_COLLECTION} collection`);
+            }
+        } catch (collectionError) {
+            console.error(`Error creating ${WORKFLOW_RUNS_COLLECTION} collection:`, collectionError.message);
+            throw collectionError;
+        }
+        
+        // Ensure the failure notification collection exists
+        try {
+            const { NOTIFICATIONS_COLLECTION } = notifications;
+            if (!db._collection(NOTIFICATIONS_COLLECTION)) {
+                console.log(`${NOTIFICATIONS_COLLECTION} collection not found. Creating it now.`);
+                const notificationCollection = db._createDocumentCollection(NOTIFICATIONS_COLLECTION);
+                notificationCollection.ensureIndex({ type: 'persistent', fields: ['taskId', 'createdAt'] });
+                notificationCollection.ensureIndex({ type: 'persistent', fields: ['read', 'createdAt'] });
+                console.log(`Created indexes for ${NOTIFICATIONS_COLLECTION} collection`);
+            }
+        } catch (collectionError) {
+            console.error(`Error creating ${notifications.NOTIFICATIONS_COLLECTION} collection:`, collectionError.message);
+            throw collectionError;
+        }
+        
+        // Ensure the calendar collection exists
+        try {
+            const { CALENDARS_COLLECTION } = calendars;
+            if (!db._collection(CALENDARS_COLLECTION)) {
+                console.log(`${CALENDARS_COLLECTION} collection not found. Creating it now.`);
+                const calendarCollection = db._createDocumentCollection(CALENDARS_COLLECTION);
+                calendarCollection.ensureIndex({ type: 'persistent', fields: ['name'], unique: true });
+                console.log(`Created indexes for ${CALENDARS_COLLECTION} collection`);
+            }
+        } catch (collectionError) {
+            console.error(`Error creating ${calendars.CALENDARS_COLLECTION} collection:`, collectionError.message);
+            throw collectionError;
+        }
+        
         // Initialize email service
         emailService.init(context);
         
@@ -191,7 +270,74 @@ const scheduler = {
         console.log('Scheduler initialization completed');
         return this;
     },
-    
+
+    /**
+     * Move execution history embedded in task documents by earlier versions
+     * into the execution collection
+     * 
+     * @returns {number} - Number of migrated executions
+     */
+    migrateEmbeddedExecutions() {
+        const retentionMs = this.getExecutionRetentionDays() * 24 * 60 * 60 * 1000;
+        
+        const migrated = query`
+            FOR task IN scheduledTasks
+            FILTER HAS(task, 'executions')
+            LET moved = (
+                FOR execution IN (task.executions || [])
+                FILTER execution.id != null
+                INSERT {
+                    _key: execution.id,
+                    taskId: task._key,
+                    taskName: task.name,
+                    status: execution.status,
+                    startTime: execution.startTime,
+                    endTime: execution.updatedAt || execution.startTime,
+                    duration: execution.duration,
+                    error: execution.error,
+                    result: execution.result,
+                    createdAt: execution.createdAt,
+                    updatedAt: execution.updatedAt || execution.createdAt,
+                    expiresAt: DATE_ISO8601(execution.startTime + ${retentionMs})
+                } INTO ${db._collection(EXECUTIONS_COLLECTION)} OPTIONS { ignoreErrors: true }
+                RETURN 1
+            )
+            UPDATE task WITH { executions: null } IN scheduledTasks OPTIONS { keepNull: false }
+            RETURN LENGTH(moved)
+        `.toArray().reduce((total, count) => total + count, 0);
+        
+        if (migrated > 0) {
+            console.log(`Migrated ${migrated} embedded task executions to ${EXECUTIONS_COLLECTION}`);
+        }
+        
+        return migrated;
+    },
+
+    /**
+     * Attach the scheduler to a context without registering runner tasks
+     *
+     * Used by route handlers and by the task runner, which executes inside the
+     * isolated @arangodb/tasks context where module.context is not available.
+     * Only the serializable parts of the context are kept.
+     *
+     * @param {Object} context - Foxx module context or a plain runtime context
+     * @param {string} [context.mount] - Service mount point
+     * @param {Object} [context.configuration] - Service configuration
+     * @returns {Object} - Scheduler instance
+     */
+    attach(context) {
+        if (!context) {
+            throw new Error('Context is required to attach the scheduler');
+        }
+
+        this.context = {
+            mount: context.mount || '/api',
+            configuration: context.configuration || {}
+        };
+
+        return this;
+    },
+
     /**
      * Set up the task runner that periodically checks for due tasks
      * @param {number} checkInterval - Interval in seconds between checks (default: 60)
@@ -244,48 +390,37 @@ const scheduler = {
                 console.log('Error during scheduler task cleanup:', error.message);
             }
             
-            // Register the task runner with inline implementation
+            // Register the task runner. The command is serialized and runs in an
+            // isolated context, so everything it needs is passed through params
+            // and the scheduler module is loaded there by its absolute path.
             tasks.register({
                 name: 'scheduler-task-runner',
                 period: checkInterval,
                 offset: 5, // Small offset to avoid potential timing issues
-                command: function() {
+                params: {
+                    schedulerModule: __filename,
+                    maxTasksPerRun: 10,
+                    context: {
+                        mount: this.context.mount || '/api',
+                        configuration: this.context.configuration || {}
+                    }
+                },
+                command: function(params) {
                     try {
                         const startTime = new Date().getTime();
-                        
-                        // Inline implementation of processDueTasks to avoid context issues
-                        const { db, query } = require('@arangodb');
-                        const now = new Date().getTime();
-                        const maxTasksPerRun = 10;
-                        
-                        // Get tasks that are due for execution
-                        const dueTasks = query`
-                            FOR task IN scheduledTasks
-                            FILTER 
-                                task.nextRun <= ${now} AND 
-                                task.status IN ['active', 'retry-scheduled']
-                            SORT task.nextRun ASC
-                            LIMIT ${maxTasksPerRun}
-                            RETURN task
-                        `.toArray();
-                        
-                        if (dueTasks.length > 0) {
-                            console.log(`Processing ${dueTasks.length} due tasks`);
-                        }
-                        
-                        // For now, just log the tasks that would be processed
-                        // Full task execution would require more complex inline implementation
-                        for (const task of dueTasks) {
-                            console.log(`Task due for execution: ${task.name} (${task.type})`);
-                        }
-                        
+
+                        const scheduler = require(params.schedulerModule);
+                        scheduler.attach(params.context);
+
+                        const processed = scheduler.processDueTasks(params.maxTasksPerRun);
+
                         const duration = new Date().getTime() - startTime;
-                        
+
                         if (duration > 30000) { // If processing takes more than 30 seconds
                             console.warn(`Scheduler task processing took ${duration}ms, which is longer than expected`);
                         }
-                        
-                        return dueTasks.length;
+
+                        return processed;
                     } catch (error) {
                         console.error('Error in scheduler task runner:', error.stack || error.message);
                     }
@@ -343,12 +478,21 @@ const scheduler = {
         const now = new Date().getTime();
         
         try {
-            // Get tasks that are due for execution
+            // Time out runs that exceeded their task timeout, then release
+            // tasks whose runner crashed before finishing
+            this.recoverTimedOutTasks(now);
+            this.recoverStaleLeases(now);
+            
+            // Get tasks that are due for execution. Recurring tasks with the
+            // "allow" or "replace" policy may start while a previous run is active.
             const dueTasks = query`
                 FOR task IN scheduledTasks
                 FILTER 
-                    task.nextRun <= ${now} AND 
-                    task.status IN ['active', 'retry-scheduled']
+                    task.nextRun != null AND task.nextRun <= ${now} AND 
+                    (
+                        task.status IN ['active', 'retry-scheduled'] OR
+                        (task.status == 'running' AND task.recurring AND task.concurrency IN ['allow', 'replace'])
+                    )
                 SORT task.nextRun ASC
                 LIMIT ${maxTasksPerRun}
                 RETURN task
@@ -358,24 +502,29 @@ const scheduler = {
                 console.log(`Processing ${dueTasks.length} due tasks`);
             }
             
+            let processed = 0;
+            
             // Process each due task
             for (const task of dueTasks) {
+                // Another runner may have claimed the task in the meantime
+                const lease = this.claimTask(task);
+                if (!lease) {
+                    continue;
+                }
+                
+                processed++;
+                
                 try {
-                    this.executeTask(task);
+                    this.executeTask(lease.task, lease);
                 } catch (taskError) {
+                    // executeTask() has already recorded the failure and
+                    // scheduled a retry where applicable
                     console.error(`Failed to execute task ${task._key} (${task.name}):`, taskError.stack || taskError.message);
-                    
-                    // Update task status to avoid continuous failures
-                    if (!this.shouldRetryTask(task)) {
-                        this.updateTaskStatus(task._key, 'failed');
-                        this.recordExecution(task._key, 'failed', null, 
-                            `Task execution failed with unhandled error: ${taskError.message}`);
-                    }
                 }
             }
             
             // Return number of processed tasks
-            return dueTasks.length;
+            return processed;
         } catch (error) {
             console.error('Error processing due tasks:', error.stack || error.message);
             return 0;
@@ -383,152 +532,1098 @@ const scheduler = {
     },
     
     /**
-     * Execute a scheduled task
+     * Atomically claim a task for execution
      * 
-     * @param {Object} task - Task to execute
+     * The claim is an update conditioned on the revision the decision was made on,
+     * so only one runner (or Coordinator) can win it. The winner becomes the lease
+     * owner until the lease expires. Recurring tasks get their next run advanced
+     * with the claim, so the same occurrence is never picked up twice.
+     * 
+     * @param {Object} task - Task to claim
+     * @param {Object} [options] - Claim options
+     * @param {boolean} [options.manual] - Manual execution, the task does not have to be due
+     * @returns {Object|null} - Lease ({ owner, expiresAt, task, scheduledTime }) or null if the task could not be claimed
      */
-    executeTask(task) {
-        try {
-            // Update task status to "running"
-            this.updateTaskStatus(task._key, 'running');
-            
-            // Create execution record
-            const executionKey = this.recordExecution(task._key, 'started');
-            
-            // Execute the task based on its type
-            const startTime = new Date().getTime();
-            let result;
-            
-            switch (task.type) {
-                case 'script':
-                    result = this.executeScriptTask(task);
-                    break;
-                    
-                case 'webhook':
-                    result = this.executeWebhookTask(task);
-                    break;
-                    
-                case 'email':
-                    result = this.executeEmailTask(task);
-                    break;
-                    
-                default:
-                    throw new Error(`Unsupported task type: ${task.type}`);
-            }
-            
-            const endTime = new Date().getTime();
-            const executionTime = endTime - startTime;
-            
-            // Update execution record
-            this.updateExecution(executionKey, 'completed', executionTime, null, result);
+    claimTask(task, options = {}) {
+        const { manual = false } = options;
+        const now = new Date().getTime();
+        const current = this.getTask(task._key);
+        
+        if (!current) {
+            return null;
+        }
+        
+        const concurrency = current.concurrency || 'forbid';
+        const leaseActive = Boolean(current.leaseOwner) && current.leaseExpiresAt > now;
+        
+        if (leaseActive && concurrency === 'forbid') {
+            return null;
+        }
+        
+        if (!manual) {
+            const due = current.nextRun !== null && current.nextRun <= now && (
+                ['active', 'retry-scheduled'].includes(current.status) ||
+                (current.status === 'running' && current.recurring && concurrency !== 'forbid')
+            );
             
-            // Reset retry count on successful execution
-            if (task.retryCount > 0) {
-                this.resetRetryCount(task._key);
+            if (!due) {
+                return null;
             }
             
-            // If the task is recurring, schedule the next run
-            if (task.recurring) {
-                let nextRun = task.nextRun + task.period;
+            // Occurrences inside a blackout of the task calendars are skipped or deferred
+            if (current.calendars && current.calendars.length > 0) {
+                const taskCalendars = this.getTaskCalendars(current);
+                const blackout = calendars.findBlackout(taskCalendars, now);
                 
-                // Ensure we don't schedule multiple missed occurrences
-                while (nextRun < new Date().getTime()) {
-                    nextRun += task.period;
+                if (blackout) {
+                    this.applyBlackout(current, blackout, taskCalendars, now);
+                    return null;
                 }
-                
-                this.updateTaskNextRun(task._key, nextRun);
-                this.updateTaskStatus(task._key, 'active');
-            } else {
-                // One-time task - mark as completed
-                this.updateTaskStatus(task._key, 'completed');
             }
-            
-            return result;
-        } catch (error) {
-            console.error(`Error executing task ${task.name}:`, error.message);
-            
-            // Determine if we should retry
-            const shouldRetry = this.shouldRetryTask(task);
-            
-            if (shouldRetry) {
-                // Increment retry count and schedule retry
-                this.retryTask(task, error.message);
-            } else {
-                // Update task status to "failed"
-                this.updateTaskStatus(task._key, 'failed');
-                
-                // Record failure in task executions
-                this.recordExecution(task._key, 'failed', null, error.message);
+        }
+        
+        // Decide which occurrence of a recurring task this run stands for
+        let occurrence = { scheduledTime: manual ? now : current.nextRun };
+        
+        if (this.isRecurringSchedule(current)) {
+            if (!manual) {
+                occurrence = this.resolveOccurrence(current, now);
+            } else if (current.missedRunPolicy !== 'catchUp') {
+                occurrence.nextRun = this.getNextRunTime(current, now);
             }
             
-            throw error;
+            if (occurrence.skip) {
+                this.skipMissedRun(current, occurrence);
+                return null;
+            }
         }
-    },
-    
-    /**
-     * Execute a script task
-     * 
-     * @param {Object} task - Script task to execute
-     * @returns {Object} - Execution result
-     */
-    executeScriptTask(task) {
-        if (!task.handler) {
-            throw new Error(`Script task ${task.name} has no handler path`);
+        
+        // The lease lasts at least as long as the timeout, so a slow run is
+        // timed out rather than recovered as crashed
+        const owner = crypto.uuidv4();
+        const expiresAt = now + Math.max(current.leaseDuration || DEFAULT_LEASE_DURATION, current.timeout || 0);
+        const claim = {
+            status: 'running',
+            leaseOwner: owner,
+            leaseExpiresAt: expiresAt,
+            timeoutAt: current.timeout ? now + current.timeout : null,
+            updatedAt: now
+        };
+        
+        if (occurrence.nextRun !== undefined) {
+            claim.nextRun = occurrence.nextRun;
+        }
+        
+        if (occurrence.catchUpCount !== undefined) {
+            claim.catchUpCount = occurrence.catchUpCount;
         }
         
         try {
-            // Use the existing runTask method from the context
-            const result = this.context.runTask(
-                `scheduled-${task.name}`,
-                task.handler,
-                task.params || {}
-            );
+            const [claimed] = query`
+                FOR task IN scheduledTasks
+                FILTER task._key == ${current._key} AND task._rev == ${current._rev}
+                UPDATE task WITH ${claim} IN scheduledTasks OPTIONS { ignoreRevs: false }
+                RETURN NEW
+            `.toArray();
             
-            return {
-                success: true,
-                type: 'script',
-                result
-            };
+            if (!claimed) {
+                return null;
+            }
+            
+            // The previous run keeps going, but it no longer owns the task
+            if (leaseActive && concurrency === 'replace' && current.currentExecutionId) {
+                this.updateExecution(current.currentExecutionId, 'superseded', null,
+                    `Superseded by a new run at ${new Date(now).toISOString()}`);
+            }
+            
+            return { owner, expiresAt, task: claimed, scheduledTime: occurrence.scheduledTime };
         } catch (error) {
-            throw new Error(`Script execution failed: ${error.message}`);
+            // A write-write conflict means another runner won the claim
+            console.log(`Could not claim task ${current.name}: ${error.message}`);
+            return null;
         }
     },
     
     /**
-     * Execute a webhook task
+     * Resolve the due occurrence of a recurring task according to its missed-run policy
      * 
-     * @param {Object} task - Webhook task to execute
-     * @returns {Object} - Execution result
+     * An occurrence counts as missed when the runner picks it up more than
+     * five minutes late, e.g. because the service was down.
+     * 
+     * - skip: missed occurrences are not run, the task waits for its next occurrence
+     * - runOnce (default): one run stands for all missed occurrences
+     * - catchUp: every missed occurrence is run, oldest first, one per runner
+     *   pass and at most maxCatchUp per backlog; the rest are skipped
+     * 
+     * @param {Object} task - Due recurring task
+     * @param {number} now - Current timestamp
+     * @returns {Object} - Occurrence ({ scheduledTime, nextRun, catchUpCount, skip })
      */
-    executeWebhookTask(task) {
-        const params = task.params || {};
+    resolveOccurrence(task, now) {
+        const policy = task.missedRunPolicy || 'runOnce';
+        const scheduledTime = task.nextRun;
         
-        if (!params.url) {
-            throw new Error(`Webhook task ${task.name} has no URL specified`);
+        // Retries are not occurrences of the schedule
+        if (task.status === 'retry-scheduled') {
+            return { scheduledTime, nextRun: this.getNextRunTime(task, now) };
         }
         
-        try {
-            // Prepare request options
-            const options = {
-                method: params.method || 'GET',
-                url: params.url,
-                headers: params.headers || {},
-                timeout: params.timeout || 30000, // Default timeout: 30 seconds
-                followRedirect: params.followRedirect !== false
+        const missed = now - scheduledTime > MISSED_RUN_GRACE_PERIOD;
+        
+        if (policy === 'skip' && missed) {
+            return { skip: true, scheduledTime, nextRun: this.getNextRunTime(task, now) };
+        }
+        
+        if (policy !== 'catchUp') {
+            return { scheduledTime, nextRun: this.getNextRunTime(task, now) };
+        }
+        
+        const following = this.getNextRunTime(task, scheduledTime);
+        if (following > now) {
+            // The backlog, if any, is cleared with this run
+            return { scheduledTime, nextRun: following, catchUpCount: 0 };
+        }
+        
+        const catchUpCount = (task.catchUpCount || 0) + 1;
+        const maxCatchUp = task.maxCatchUp || DEFAULT_MAX_CATCH_UP;
+        
+        if (catchUpCount >= maxCatchUp) {
+            console.warn(`Task ${task.name} reached its catch-up limit of ${maxCatchUp} runs, skipping the remaining missed occurrences`);
+            return { scheduledTime, nextRun: this.getNextRunTime(task, now), catchUpCount: 0 };
+        }
+        
+        return { scheduledTime, nextRun: following, catchUpCount };
+    },
+    
+    /**
+     * Move a task past occurrences skipped by its missed-run policy
+     * 
+     * @param {Object} task - Task as read for the claim
+     * @param {Object} occurrence - Skipped occurrence from resolveOccurrence()
+     */
+    skipMissedRun(task, occurrence) {
+        const [skipped] = query`
+            FOR task IN scheduledTasks
+            FILTER task._key == ${task._key} AND task._rev == ${task._rev}
+            UPDATE task WITH {
+                nextRun: ${occurrence.nextRun},
+                lastSkippedRun: ${occurrence.scheduledTime},
+                updatedAt: ${new Date().getTime()}
+            } IN scheduledTasks OPTIONS { ignoreRevs: false }
+            RETURN NEW
+        `.toArray();
+        
+        if (skipped) {
+            console.log(`Skipped missed run of task ${task.name} scheduled for ${new Date(occurrence.scheduledTime).toISOString()}, next run at ${new Date(occurrence.nextRun).toISOString()}`);
+        }
+    },
+    
+    /**
+     * Move a task past an occurrence that falls into a blackout
+     * 
+     * - skip (default): the occurrence is dropped, the task waits for its next occurrence
+     * - defer: the occurrence runs as soon as all calendars of the task are open;
+     *   occurrences that fall into the same blackout are merged into that run
+     * 
+     * One-time tasks and scheduled retries are always deferred. When the
+     * calendars have no open time ahead, the task is blocked: its next run
+     * moves BLACKOUT_RECHECK_DELAY ahead, where the calendars are checked again.
+     * 
+     * @param {Object} task - Task as read for the claim
+     * @param {Object} blackout - Blackout from calendars.findBlackout()
+     * @param {Object[]} taskCalendars - Calendars of the task
+     * @param {number} now - Current timestamp
+     */
+    applyBlackout(task, blackout, taskCalendars, now) {
+        const defer = task.onBlackout === 'defer' || task.status === 'retry-scheduled' || !this.isRecurringSchedule(task);
+        const openTime = defer ? calendars.nextOpenTime(taskCalendars, now) : this.getNextRunTime(task, now);
+        const blocked = openTime === null;
+        const nextRun = blocked ? now + BLACKOUT_RECHECK_DELAY : openTime;
+        const action = blocked ? 'blocked' : (defer ? 'defer' : 'skip');
+        
+        const [updated] = query`
+            FOR task IN scheduledTasks
+            FILTER task._key == ${task._key} AND task._rev == ${task._rev}
+            UPDATE task WITH {
+                nextRun: ${nextRun},
+                lastBlackout: {
+                    time: ${task.nextRun},
+                    calendar: ${blackout.calendar},
+                    reason: ${blackout.reason},
+                    action: ${action}
+                },
+                updatedAt: ${now}
+            } IN scheduledTasks OPTIONS { ignoreRevs: false }
+            RETURN NEW
+        `.toArray();
+        
+        if (updated && blocked) {
+            console.warn(`Task ${task.name} is blacked out by calendar ${blackout.calendar} with no open time ahead, checking again at ${new Date(nextRun).toISOString()}`);
+        } else if (updated) {
+            console.log(`${defer ? 'Deferred' : 'Skipped'} run of task ${task.name} (${blackout.reason}, calendar ${blackout.calendar}), next run at ${new Date(nextRun).toISOString()}`);
+        }
+    },
+    
+    /**
+     * Release a lease and apply the outcome of a run to the task
+     * 
+     * The update is only applied if the lease is still held by the given owner;
+     * a run that was replaced or recovered as stale does not touch the task.
+     * 
+     * @param {string} taskId - Task ID
+     * @param {string} owner - Lease owner
+     * @param {Object} update - Task fields to update
+     * @returns {Object|null} - Updated task or null if the lease was lost
+     */
+    releaseLease(taskId, owner, update = {}) {
+        try {
+            const [released] = query`
+                FOR task IN scheduledTasks
+                FILTER task._key == ${taskId} AND task.leaseOwner == ${owner}
+                UPDATE task WITH ${{
+                    ...update,
+                    leaseOwner: null,
+                    leaseExpiresAt: null,
+                    timeoutAt: null,
+                    currentExecutionId: null,
+                    updatedAt: new Date().getTime()
+                }} IN scheduledTasks
+                RETURN NEW
+            `.toArray();
+            
+            if (!released) {
+                console.warn(`Lease ${owner} on task ${taskId} was lost, run outcome not applied to the task`);
+            }
+            
+            return released || null;
+        } catch (error) {
+            console.error(`Error releasing lease on task "${taskId}":`, error.message);
+            return null;
+        }
+    },
+    
+    /**
+     * Renew the lease of a running task
+     * 
+     * Runs renew their lease while they make progress, so a run that takes
+     * longer than `leaseDuration` is not mistaken for a crashed one. The
+     * lease is only written once half of it has passed.
+     * 
+     * @param {string} taskId - Task ID
+     * @param {string} owner - Lease owner
+     * @returns {boolean} - Whether the lease is still held by the owner
+     */
+    renewLease(taskId, owner) {
+        const task = this.getTask(taskId);
+        
+        if (!owner || !task || task.leaseOwner !== owner) {
+            return false;
+        }
+        
+        const now = new Date().getTime();
+        const duration = task.leaseDuration || DEFAULT_LEASE_DURATION;
+        
+        if (task.leaseExpiresAt - now >= duration / 2) {
+            return true;
+        }
+        
+        try {
+            const [renewed] = query`
+                FOR task IN scheduledTasks
+                FILTER task._key == ${taskId} AND task.leaseOwner == ${owner}
+                UPDATE task WITH { leaseExpiresAt: ${now + duration} } IN scheduledTasks
+                RETURN 1
+            `.toArray();
+            
+            return Boolean(renewed);
+        } catch (error) {
+            // A concurrent update of the task, the lease was held when it was read
+            console.warn(`Could not renew lease ${owner} on task ${taskId}: ${error.message}`);
+            return true;
+        }
+    },
+    
+    /**
+     * Check whether an execution still has AQL queries running
+     * 
+     * @param {string} executionId - Execution ID
+     * @returns {boolean} - Whether a query tagged with the execution is running
+     */
+    hasRunningQueries(executionId) {
+        try {
+            const queries = require('@arangodb/aql/queries');
+            const tag = this.getExecutionQueryTag(executionId);
+            
+            return queries.current().some(running => running.query && running.query.includes(tag));
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    /**
+     * Recover tasks left in "running" state by a crashed run
+     * 
+     * A run renews its lease while it makes progress (see renewLease()), so
+     * an expired lease means the run stopped without releasing the task.
+     * Runs still executing a query of their execution are alive and get
+     * their lease renewed instead. Recovered tasks are made active again;
+     * one-time tasks are rescheduled immediately, recurring tasks wait for
+     * their next occurrence.
+     * 
+     * @param {number} [now] - Current timestamp
+     * @returns {number} - Number of recovered tasks
+     */
+    recoverStaleLeases(now = new Date().getTime()) {
+        try {
+            const stale = query`
+                FOR task IN scheduledTasks
+                FILTER task.status == 'running' AND (task.leaseExpiresAt == null OR task.leaseExpiresAt < ${now})
+                RETURN task
+            `.toArray();
+            
+            let recovered = 0;
+            
+            for (const task of stale) {
+                if (task.currentExecutionId && this.hasRunningQueries(task.currentExecutionId)) {
+                    query`
+                        FOR item IN scheduledTasks
+                        FILTER item._key == ${task._key} AND item.leaseOwner == ${task.leaseOwner}
+                        UPDATE item WITH {
+                            leaseExpiresAt: ${now + (task.leaseDuration || DEFAULT_LEASE_DURATION)}
+                        } IN scheduledTasks
+                    `;
+                    continue;
+                }
+                
+                // Only released if no run has renewed or taken over the lease in the meantime
+                const [released] = query`
+                    FOR item IN scheduledTasks
+                    FILTER item._key == ${task._key} AND item.status == 'running' AND item.leaseOwner == ${task.leaseOwner}
+                    FILTER item.leaseExpiresAt == null OR item.leaseExpiresAt < ${now}
+                    UPDATE item WITH {
+                        status: 'active',
+                        nextRun: item.recurring ? item.nextRun : ${now},
+                        leaseOwner: null,
+                        leaseExpiresAt: null,
+                        timeoutAt: null,
+                        currentExecutionId: null,
+                        updatedAt: ${now}
+                    } IN scheduledTasks
+                    RETURN OLD
+                `.toArray();
+                
+                if (!released) {
+                    continue;
+                }
+                
+                recovered++;
+                console.warn(`Recovered task ${task.name} from an expired lease held by ${task.leaseOwner}`);
+                
+                if (task.currentExecutionId) {
+                    this.updateExecution(task.currentExecutionId, 'failed', null,
+                        'Lease expired before the execution finished');
+                }
+            }
+            
+            return recovered;
+        } catch (error) {
+            console.error('Error recovering stale task leases:', error.message);
+            return 0;
+        }
+    },
+    
+    /**
+     * Time out runs that exceeded their task timeout
+     * 
+     * Handlers run synchronously and cannot be interrupted, so a hanging run
+     * is taken over here: its execution is marked "timed-out", running AQL
+     * queries of the execution are killed and the task is retried or set to
+     * "timed-out". The hanging run has lost its lease and no longer touches
+     * the task once it returns.
+     * 
+     * @param {number} [now] - Current timestamp
+     * @returns {number} - Number of timed out tasks
+     */
+    recoverTimedOutTasks(now = new Date().getTime()) {
+        try {
+            const timedOut = query`
+                FOR task IN scheduledTasks
+                FILTER task.status == 'running' AND task.timeoutAt != null AND task.timeoutAt < ${now}
+                RETURN task
+            `.toArray();
+            
+            for (const task of timedOut) {
+                const message = `Task timed out after ${task.timeout}ms`;
+                console.warn(`Task ${task.name} exceeded its timeout of ${task.timeout}ms`);
+                
+                if (task.currentExecutionId) {
+                    this.updateExecution(task.currentExecutionId, 'timed-out', task.timeout, message);
+                    this.killExecutionQueries(task.currentExecutionId);
+                }
+                
+                this.settleUnsuccessfulRun(task, { owner: task.leaseOwner }, {
+                    status: 'timed-out',
+                    error: message,
+                    executionId: task.currentExecutionId,
+                    workflowRunId: task.workflowRunId
+                });
+            }
+            
+            return timedOut.length;
+        } catch (error) {
+            console.error('Error recovering timed out tasks:', error.message);
+            return 0;
+        }
+    },
+    
+    /**
+     * Cancel the running execution of a task
+     * 
+     * The execution is marked "cancelled" and its AQL queries are killed.
+     * Script handlers can stop early by checking isCancelled() in their
+     * context; other work in flight runs to its end, but its outcome is no
+     * longer applied. The task status is always released: recurring and
+     * manual tasks become active again, one-time tasks are set to "cancelled".
+     * 
+     * @param {string} taskId - Task ID
+     * @param {string} [reason] - Cancellation reason
+     * @returns {Object} - Updated task
+     * @throws {Error} If the task does not exist or is not running
+     */
+    cancelTask(taskId, reason = 'Cancelled by administrator') {
+        const task = this.getTask(taskId);
+        
+        if (!task) {
+            throw new Error(`Task with ID "${taskId}" not found`);
+        }
+        
+        if (task.status !== 'running') {
+            throw new Error(`Task "${task.name}" is not running`);
+        }
+        
+        if (task.currentExecutionId) {
+            this.updateExecution(task.currentExecutionId, 'cancelled', null, reason);
+            this.killExecutionQueries(task.currentExecutionId);
+        }
+        
+        const release = {
+            status: this.isRecurringSchedule(task) ? 'active' : 'cancelled',
+            workflowRunId: null
+        };
+        
+        if (task.schedule === 'manual') {
+            release.status = 'active';
+            release.nextRun = null;
+        }
+        
+        // Released regardless of the lease owner, the run may be stuck for good
+        const [cancelled] = query`
+            FOR task IN scheduledTasks
+            FILTER task._key == ${taskId}
+            UPDATE task WITH ${{
+                ...release,
+                leaseOwner: null,
+                leaseExpiresAt: null,
+                timeoutAt: null,
+                currentExecutionId: null,
+                updatedAt: new Date().getTime()
+            }} IN scheduledTasks
+            RETURN NEW
+        `.toArray();
+        
+        if (task.workflowRunId) {
+            this.advanceWorkflow(task.workflowRunId, task, 'cancelled', task.currentExecutionId, reason);
+        }
+        
+        console.log(`Cancelled running task ${task.name}: ${reason}`);
+        return cancelled;
+    },
+    
+    /**
+     * Check whether an execution has been cancelled or timed out
+     * 
+     * @param {string} executionId - Execution ID
+     * @returns {boolean} - Whether the execution should stop
+     */
+    isExecutionCancelled(executionId) {
+        if (!executionId) {
+            return false;
+        }
+        
+        const [status] = query`
+            FOR execution IN ${db._collection(EXECUTIONS_COLLECTION)}
+            FILTER execution._key == ${executionId}
+            RETURN execution.status
+        `.toArray();
+        
+        return status !== undefined && status !== 'started';
+    },
+    
+    /**
+     * Kill running AQL queries started by an execution
+     * 
+     * Queries of AQL tasks are tagged with their execution ID.
+     * 
+     * @param {string} executionId - Execution ID
+     * @returns {number} - Number of killed queries
+     */
+    killExecutionQueries(executionId) {
+        try {
+            const queries = require('@arangodb/aql/queries');
+            const tag = this.getExecutionQueryTag(executionId);
+            let killed = 0;
+            
+            for (const running of queries.current()) {
+                if (running.query && running.query.includes(tag)) {
+                    queries.kill(running.id);
+                    killed++;
+                }
+            }
+            
+            return killed;
+        } catch (error) {
+            console.warn(`Could not kill queries of execution ${executionId}: ${error.message}`);
+            return 0;
+        }
+    },
+    
+    /**
+     * Get the comment AQL task queries are tagged with
+     * 
+     * @param {string} executionId - Execution ID
+     * @returns {string} - Query tag
+     */
+    getExecutionQueryTag(executionId) {
+        return `/* scheduler-execution:${executionId} */`;
+    },
+    
+    /**
+     * Get the time left until the timeout of a running task
+     * 
+     * @param {Object} task - Claimed task
+     * @param {number} limit - Upper bound in milliseconds
+     * @returns {number} - Remaining time in milliseconds, capped at the limit
+     */
+    getRemainingTime(task, limit) {
+        if (!task.timeoutAt) {
+            return limit;
+        }
+        
+        return Math.max(1, Math.min(limit, task.timeoutAt - new Date().getTime()));
+    },
+    
+    /**
+     * Execute a scheduled task
+     * 
+     * @param {Object} task - Task to execute
+     * @param {Object} [lease] - Lease obtained from claimTask(), claimed on demand if omitted
+     * @param {Object} [options] - Execution options
+     * @param {boolean} [options.dryRun] - Only validate the task, see dryRunTask()
+     * @returns {Object} - Execution result
+     * @throws {Error} If the task is already running or the execution failed
+     */
+    executeTask(task, lease = null, options = {}) {
+        if (options.dryRun) {
+            return this.dryRunTask(task);
+        }
+        
+        if (!lease) {
+            lease = this.claimTask(task, { manual: true });
+        }
+        
+        if (!lease) {
+            throw new Error(`Task "${task.name}" is already running`);
+        }
+        
+        // Work with the state as of the claim
+        task = lease.task || task;
+        
+        let executionKey = null;
+        let workflowRunId = null;
+        const startTime = new Date().getTime();
+        
+        try {
+            // Continue the workflow run that triggered the task, or start a
+            // new one if the task has follow-up tasks
+            workflowRunId = task.workflowRunId || this.startWorkflowRun(task);
+            
+            // Create execution record
+            executionKey = this.recordExecution(task._key, 'started', null, null, {
+                workflowRunId,
+                scheduledTime: lease.scheduledTime || startTime
+            });
+            if (executionKey) {
+                query`
+                    FOR task IN scheduledTasks
+                    FILTER task._key == ${task._key} AND task.leaseOwner == ${lease.owner}
+                    UPDATE task WITH {
+                        currentExecutionId: ${executionKey},
+                        workflowRunId: ${workflowRunId}
+                    } IN scheduledTasks
+                `;
+            }
+            
+            if (workflowRunId) {
+                this.updateWorkflowStep(workflowRunId, task._key, {
+                    status: 'running',
+                    executionId: executionKey,
+                    startedAt: startTime
+                });
+            }
+            
+            // Execute the task based on its type
+            let result;
+            
+            switch (task.type) {
+                case 'script':
+                    result = this.executeScriptTask(task, executionKey, lease.scheduledTime || startTime);
+                    break;
+                    
+                case 'webhook':
+                    result = this.executeWebhookTask(task, executionKey, lease.scheduledTime || startTime);
+                    break;
+                    
+                case 'email':
+                    result = this.executeEmailTask(task, executionKey, lease.scheduledTime || startTime);
+                    break;
+                    
+                case 'aql':
+                    result = this.executeAqlTask(task, executionKey);
+                    break;
+                    
+                default:
+                    throw new Error(`Unsupported task type: ${task.type}`);
+            }
+            
+            const endTime = new Date().getTime();
+            const executionTime = endTime - startTime;
+            
+            // A run that finishes past its timeout counts as timed out
+            if (task.timeoutAt && endTime > task.timeoutAt) {
+                const timeoutError = new Error(`Task timed out after ${task.timeout}ms`);
+                timeoutError.status = 'timed-out';
+                throw timeoutError;
+            }
+            
+            // Update execution record
+            this.updateExecution(executionKey, 'completed', executionTime, null, result);
+            
+            // Recurring tasks got their next run with the claim and become
+            // active again, manual tasks wait for their next trigger and
+            // one-time tasks are completed. The retry count is reset on
+            // successful execution.
+            const completion = {
+                status: this.isRecurringSchedule(task) ? 'active' : 'completed',
+                retryCount: 0,
+                lastRetry: null,
+                workflowRunId: null
+            };
+            
+            if (task.schedule === 'manual') {
+                completion.status = 'active';
+                completion.nextRun = null;
+            }
+            
+            // A cancelled or timed out run no longer holds the lease and
+            // leaves the task and its workflow alone
+            const released = this.releaseLease(task._key, lease.owner, completion);
+            
+            if (released && workflowRunId) {
+                this.advanceWorkflow(workflowRunId, task, 'completed', executionKey);
+            }
+            
+            return result;
+        } catch (error) {
+            console.error(`Error executing task ${task.name}:`, error.message);
+            
+            const status = error.status === 'timed-out' ? 'timed-out' : 'failed';
+            
+            // Mark the started execution as failed
+            const executionTime = new Date().getTime() - startTime;
+            if (executionKey) {
+                this.updateExecution(executionKey, status, executionTime, error.message);
+            } else {
+                this.recordExecution(task._key, status, executionTime, error.message);
+            }
+            
+            this.settleUnsuccessfulRun(task, lease, {
+                status,
+                error: error.message,
+                retryable: error.retryable !== false,
+                executionId: executionKey,
+                workflowRunId
+            });
+            
+            throw error;
+        }
+    },
+    
+    /**
+     * Apply the outcome of a failed or timed out run to the task
+     * 
+     * Retryable failures are retried while retries are left, otherwise the
+     * task ends in the given status and the workflow run continues with its
+     * onFailure tasks. Nothing is changed if the run has lost its lease.
+     * 
+     * @param {Object} task - Task as of the claim
+     * @param {Object} lease - Lease of the run
+     * @param {Object} outcome - Run outcome
+     * @param {string} outcome.status - Final status (failed or timed-out)
+     * @param {string} outcome.error - Error message
+     * @param {boolean} [outcome.retryable] - Whether the failure may be retried (default: true)
+     * @param {string} outcome.executionId - Execution ID
+     * @param {string} outcome.workflowRunId - Workflow run ID if any
+     */
+    settleUnsuccessfulRun(task, lease, outcome) {
+        const { status, error, retryable = true, executionId, workflowRunId } = outcome;
+        
+        if (!retryable && this.shouldRetryTask(task)) {
+            console.log(`Task ${task.name} failed with a non-retryable error, not retrying`);
+        }
+        
+        if (retryable && this.shouldRetryTask(task)) {
+            // Increment retry count and schedule retry
+            const retried = this.retryTask(task, error, lease);
+            
+            if (retried && workflowRunId) {
+                this.updateWorkflowStep(workflowRunId, task._key, {
+                    status: 'retrying',
+                    error
+                });
+            }
+            
+            return;
+        }
+        
+        const released = this.releaseLease(task._key, lease.owner, { status, workflowRunId: null });
+        
+        if (!released) {
+            return;
+        }
+        
+        this.notifyFailure(released, { status, error, executionId });
+        
+        if (workflowRunId) {
+            this.advanceWorkflow(workflowRunId, task, status, executionId, error);
+        }
+    },
+    
+    /**
+     * Notify about a task that failed for good
+     * 
+     * Uses the `notifications` channels of the task, or the global
+     * `schedulerFailureNotifications` channels if the task has none.
+     * An empty list on the task turns notifications off for it.
+     * 
+     * @param {Object} task - Failed task
+     * @param {Object} failure - Failure details
+     * @param {string} failure.status - Final task status (failed or timed-out)
+     * @param {string} failure.error - Error message
+     * @param {string} [failure.executionId] - Execution ID of the last run
+     * @returns {Object[]} - Delivery result per channel
+     */
+    notifyFailure(task, failure) {
+        try {
+            const configuration = (this.context && this.context.configuration) || {};
+            const channels = Array.isArray(task.notifications)
+                ? task.notifications
+                : configuration.schedulerFailureNotifications || [];
+            
+            if (channels.length === 0) {
+                return [];
+            }
+            
+            const executionCollection = db._collection(EXECUTIONS_COLLECTION);
+            const execution = failure.executionId && executionCollection.exists(failure.executionId)
+                ? executionCollection.document(failure.executionId)
+                : null;
+            
+            const notification = {
+                event: `task.${failure.status}`,
+                task: {
+                    id: task._key,
+                    name: task.name,
+                    type: task.type,
+                    schedule: task.schedule,
+                    retryCount: task.retryCount || 0,
+                    maxRetries: task.maxRetries || 0
+                },
+                status: failure.status,
+                error: failure.error,
+                execution: execution && {
+                    id: execution._key,
+                    status: execution.status,
+                    scheduledTime: execution.scheduledTime,
+                    startTime: execution.startTime,
+                    endTime: execution.endTime,
+                    duration: execution.duration,
+                    error: execution.error
+                },
+                timestamp: new Date().getTime()
             };
             
-            // Add body for POST, PUT, PATCH methods
-            if (['POST', 'PUT', 'PATCH'].includes(options.method.toUpperCase()) && params.body) {
-                if (typeof params.body === 'string') {
-                    options.body = params.body;
-                } else {
-                    // If body is an object, stringify it as JSON and set proper content type
-                    options.body = JSON.stringify(params.body);
-                    if (!options.headers['Content-Type']) {
-                        options.headers['Content-Type'] = 'application/json';
+            return notifications.notify(channels, notification, this.context);
+        } catch (error) {
+            console.error(`Error sending failure notifications for task ${task.name}:`, error.message);
+            return [];
+        }
+    },
+    
+    /**
+     * Validate a task without running it
+     * 
+     * Checks the schedule and the type-specific configuration: the handler
+     * file of script tasks is resolved and compiled, but its module code is
+     * not run, so side effects at load time do not happen and the module is
+     * not cached with them; webhook requests are
+     * built but not sent, email providers are resolved but nothing is sent
+     * and AQL queries are explained but not executed. No execution is
+     * recorded and the task is left unchanged.
+     * 
+     * @param {Object} task - Task or unsaved task definition
+     * @returns {Object} - Dry-run result with the outcome of each check
+     */
+    dryRunTask(task) {
+        const params = task.params || {};
+        const checks = [];
+        
+        const check = (name, validate) => {
+            try {
+                checks.push({ name, passed: true, details: validate() || null });
+            } catch (error) {
+                checks.push({ name, passed: false, error: error.message });
+            }
+        };
+        
+        check('schedule', () => ({
+            nextRuns: this.previewSchedule(task, { count: 3 }).map(run => run.utc)
+        }));
+        
+        // Templates are resolved as for a run now, lookups only read data
+        if (['webhook', 'email'].includes(task.type) && (templates.hasTemplates(params) || params.lookups)) {
+            check('templates', () => {
+                templates.validate(params);
+                return { params: this.resolveTaskParams(task) };
+            });
+        }
+        
+        switch (task.type) {
+            case 'script':
+                check('handler', () => {
+                    if (!task.handler) {
+                        throw new Error('Handler path is required for script tasks');
+                    }
+                    
+                    const scriptPath = this.resolveScriptPath(task.handler);
+                    if (!fs.exists(scriptPath)) {
+                        throw new Error(`Handler file ${path.relative(APP_ROOT, scriptPath)} not found`);
+                    }
+                    
+                    if (!fs.isFile(scriptPath)) {
+                        throw new Error(`Handler ${path.relative(APP_ROOT, scriptPath)} is not a file`);
+                    }
+                    
+                    // Compiling the source as function body reports syntax errors without running it
+                    const source = fs.read(scriptPath);
+                    try {
+                        new Function('module', 'exports', 'require', source);
+                    } catch (error) {
+                        throw new Error(`Handler ${task.handler} does not compile: ${error.message}`);
+                    }
+                    
+                    // What the module exports is only known once it runs; a source without exports cannot export a handler
+                    if (!/\bexports\b/.test(source)) {
+                        throw new Error(`Handler ${task.handler} has no exports`);
+                    }
+                    
+                    return { path: path.relative(APP_ROOT, scriptPath) };
+                });
+                break;
+                
+            case 'webhook':
+                check('request', () => {
+                    if (!/^https?:\/\//i.test(params.url || '') && !templates.hasTemplates(params.url)) {
+                        throw new Error('Invalid webhook URL. Must start with http:// or https://');
+                    }
+                    
+                    const options = this.buildWebhookRequest(task);
+                    if (!['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD'].includes(options.method.toUpperCase())) {
+                        throw new Error(`Unsupported HTTP method: ${options.method}`);
+                    }
+                    
+                    return {
+                        method: options.method,
+                        url: options.url,
+                        headers: Object.keys(options.headers),
+                        hasBody: options.body !== undefined,
+                        timeout: options.timeout
+                    };
+                });
+                break;
+                
+            case 'email':
+                check('email', () => {
+                    if (!params.to || !params.subject || (!params.text && !params.html)) {
+                        throw new Error('Recipient (to), subject and text or html content are required for email tasks');
+                    }
+                    
+                    const configuration = (this.context && this.context.configuration) || {};
+                    if (!configuration.emailEnabled) {
+                        throw new Error('Email service is disabled in configuration');
                     }
+                    
+                    if (!emailService.config) {
+                        emailService.init(this.context);
+                    }
+                    
+                    const provider = emailService.getProvider(params.provider);
+                    
+                    return {
+                        provider: provider.name,
+                        recipients: Array.isArray(params.to) ? params.to : [params.to]
+                    };
+                });
+                break;
+                
+            case 'aql':
+                check('query', () => {
+                    this.validateAqlParams(params);
+                    
+                    // Explaining resolves collections and bind parameters without running the query
+                    const { plan } = db._createStatement({
+                        query: params.query,
+                        bindVars: params.bindVars || {}
+                    }).explain();
+                    
+                    return {
+                        collections: (plan.collections || []).map(collection => collection.name),
+                        estimatedCost: plan.estimatedCost
+                    };
+                });
+                break;
+                
+            default:
+                check('type', () => {
+                    throw new Error(`Unsupported task type: ${task.type}`);
+                });
+        }
+        
+        return {
+            success: checks.every(item => item.passed),
+            dryRun: true,
+            taskId: task._key || null,
+            taskName: task.name,
+            type: task.type,
+            checks
+        };
+    },
+    
+    /**
+     * Execute a script task
+     * 
+     * @param {Object} task - Script task to execute
+     * @param {string} [executionId] - Execution ID of the run
+     * @param {number} [scheduledTime] - Logical time of the occurrence being run
+     * @returns {Object} - Execution result
+     */
+    executeScriptTask(task, executionId = null, scheduledTime = null) {
+        if (!task.handler) {
+            throw new Error(`Script task ${task.name} has no handler path`);
+        }
+        
+        try {
+            // Load the handler module directly so it also works inside the
+            // isolated task runner context
+            const handlerModule = require(this.resolveScriptPath(task.handler));
+            const handler = typeof handlerModule === 'function'
+                ? handlerModule
+                : handlerModule && handlerModule.handler;
+            
+            if (typeof handler !== 'function') {
+                throw new Error(`Handler ${task.handler} does not export a function`);
+            }
+            
+            // Catch-up runs tell the handler which period they stand for
+            const params = task.missedRunPolicy === 'catchUp' && scheduledTime
+                ? { ...task.params, scheduledTime }
+                : task.params || {};
+            
+            const result = handler(params, {
+                taskId: task._key,
+                taskName: task.name,
+                scheduledTime,
+                mount: this.context && this.context.mount,
+                configuration: (this.context && this.context.configuration) || {},
+                executionId,
+                deadline: task.timeoutAt || null,
+                // Keeps the lease of the run; long-running handlers call this, or isCancelled(), regularly
+                heartbeat: () => this.renewLease(task._key, task.leaseOwner),
+                // Long-running handlers should check this and stop early
+                isCancelled: () => {
+                    this.renewLease(task._key, task.leaseOwner);
+                    return this.isExecutionCancelled(executionId);
                 }
+            });
+            
+            // Task handlers report failures by returning { success: false }
+            if (result && result.success === false) {
+                throw wrapTaskError(result.error || 'Handler reported failure', result);
+            }
+            
+            return {
+                success: true,
+                type: 'script',
+                result
+            };
+        } catch (error) {
+            throw wrapTaskError(`Script execution failed: ${error.message}`, error);
+        }
+    },
+    
+    /**
+     * Resolve a script task handler to an absolute module path
+     * 
+     * Handlers given as a path with a .js extension (e.g. "scripts/cleanup.js")
+     * are resolved against src/, bare names (e.g. "cleanup-logs") against src/tasks/.
+     * 
+     * @param {string} handler - Handler path or name
+     * @returns {string} - Absolute path to the handler module
+     */
+    resolveScriptPath(handler) {
+        const scriptPath = handler.endsWith('.js')
+            ? path.resolve(APP_ROOT, handler)
+            : path.resolve(APP_ROOT, 'tasks', `${handler}.js`);
+        
+        if (!scriptPath.startsWith(APP_ROOT + path.sep)) {
+            throw new Error(`Handler path ${handler} is outside of the service directory`);
+        }
+        
+        return scriptPath;
+    },
+    
+    /**
+     * Execute a webhook task
+     * 
+     * @param {Object} task - Webhook task to execute
+     * @param {string} [executionId] - Execution ID of the run
+     * @param {number} [scheduledTime] - Logical time of the occurrence being run
+     * @returns {Object} - Execution result
+     */
+    executeWebhookTask(task, executionId = null, scheduledTime = null) {
+        if (!(task.params || {}).url) {
+            throw new Error(`Webhook task ${task.name} has no URL specified`);
+        }
+        
+        try {
+            task = { ...task, params: this.resolveTaskParams(task, executionId, scheduledTime) };
+            const params = task.params;
+            
+            if (!/^https?:\/\//i.test(params.url || '')) {
+                const invalid = new Error(`Invalid webhook URL after templating: ${params.url}`);
+                invalid.retryable = false;
+                throw invalid;
             }
+            const options = this.buildWebhookRequest(task);
             
             // Make the request
             console.log(`Executing webhook task ${task.name} to ${options.method} ${options.url}`);
@@ -546,24 +1641,83 @@ const scheduler = {
             
             // If the response indicates failure, throw an error
             if (!result.success) {
-                throw new Error(`Webhook request failed with status ${response.status}: ${response.statusText}`);
+                const failure = new Error(`Webhook request failed with status ${response.status}: ${response.statusText}`);
+                failure.retryable = this.isRetryableWebhookStatus(response.status, params);
+                throw failure;
             }
             
             return result;
         } catch (error) {
-            throw new Error(`Webhook execution failed: ${error.message}`);
+            // Connection errors and timeouts are retryable
+            throw wrapTaskError(`Webhook execution failed: ${error.message}`, error);
+        }
+    },
+    
+    /**
+     * Build the request options of a webhook task
+     * 
+     * @param {Object} task - Webhook task
+     * @returns {Object} - Options for @arangodb/request
+     */
+    buildWebhookRequest(task) {
+        const params = task.params || {};
+        
+        // Prepare request options
+        const options = {
+            method: params.method || 'GET',
+            url: params.url,
+            headers: { ...(params.headers || {}) },
+            // Default timeout: 30 seconds, never beyond the task timeout
+            timeout: this.getRemainingTime(task, params.timeout || 30000),
+            followRedirect: params.followRedirect !== false
+        };
+        
+        // Add body for POST, PUT, PATCH methods
+        if (['POST', 'PUT', 'PATCH'].includes(options.method.toUpperCase()) && params.body) {
+            if (typeof params.body === 'string') {
+                options.body = params.body;
+            } else {
+                // If body is an object, stringify it as JSON and set proper content type
+                options.body = JSON.stringify(params.body);
+                if (!options.headers['Content-Type']) {
+                    options.headers['Content-Type'] = 'application/json';
+                }
+            }
+        }
+        
+        return options;
+    },
+    
+    /**
+     * Classify a failed webhook response
+     * 
+     * Client errors (4xx) are permanent, except for 408 Request Timeout and
+     * 429 Too Many Requests; server errors (5xx) are retryable. Setting
+     * `retryClientErrors` in the task params makes all failures retryable.
+     * 
+     * @param {number} status - HTTP status code
+     * @param {Object} params - Webhook task parameters
+     * @returns {boolean} - Whether the request may be retried
+     */
+    isRetryableWebhookStatus(status, params = {}) {
+        if (params.retryClientErrors || [408, 429].includes(status)) {
+            return true;
         }
+        
+        return status < 400 || status >= 500;
     },
     
     /**
      * Execute an email task
      * 
      * @param {Object} task - Email task to execute
+     * @param {string} [executionId] - Execution ID of the run
+     * @param {number} [scheduledTime] - Logical time of the occurrence being run
      * @returns {Object} - Execution result
      */
-    executeEmailTask(task) {
+    executeEmailTask(task, executionId = null, scheduledTime = null) {
         try {
-            const params = task.params || {};
+            const params = this.resolveTaskParams(task, executionId, scheduledTime);
             
             // Validate required fields
             if (!params.to) {
@@ -579,10 +1733,17 @@ const scheduler = {
             }
             
             // Check if email service is enabled
-            if (!this.context.configuration.emailEnabled) {
+            const configuration = (this.context && this.context.configuration) || {};
+            if (!configuration.emailEnabled) {
                 throw new Error('Email service is disabled in configuration');
             }
             
+            // The task runner attaches a fresh scheduler instance, so make
+            // sure the email service has been configured as well
+            if (!emailService.config) {
+                emailService.init(this.context);
+            }
+            
             console.log(`Executing email task ${task.name} to ${Array.isArray(params.to) ? params.to.join(', ') : params.to}`);
             
             // Send email using email service
@@ -607,7 +1768,166 @@ const scheduler = {
                 recipients: Array.isArray(params.to) ? params.to : [params.to]
             };
         } catch (error) {
-            throw new Error(`Email task execution failed: ${error.message}`);
+            throw wrapTaskError(`Email task execution failed: ${error.message}`, error);
+        }
+    },
+    
+    /**
+     * Resolve the templates and lookups in the params of a task
+     * 
+     * See the templates module for the available variables and filters.
+     * Lookups are tagged with the execution, so cancelling or timing out
+     * the run kills them, and may not outlive the task timeout.
+     * 
+     * @param {Object} task - Webhook or email task as of the claim
+     * @param {string} [executionId] - Execution ID of the run
+     * @param {number} [scheduledTime] - Logical time of the occurrence being run
+     * @returns {Object} - Resolved params
+     */
+    resolveTaskParams(task, executionId = null, scheduledTime = null) {
+        const params = task.params || {};
+        
+        if (!templates.hasTemplates(params) && !params.lookups) {
+            return params;
+        }
+        
+        const now = new Date().getTime();
+        const variables = {
+            now,
+            scheduledTime: scheduledTime || now,
+            task,
+            lastSuccess: task._key ? this.getLastSuccess(task._key) : null,
+            execution: { id: executionId },
+            config: (this.context && this.context.configuration) || {}
+        };
+        
+        return templates.resolve(params, variables, {
+            queryOptions: { maxRuntime: this.getRemainingTime(task, AQL_DEFAULT_MAX_RUNTIME * 1000) / 1000 },
+            tag: executionId ? this.getExecutionQueryTag(executionId) : ''
+        });
+    },
+    
+    /**
+     * Get the last completed execution of a task
+     * 
+     * @param {string} taskId - Task ID
+     * @returns {Object} - Execution summary ({ id, time, scheduledTime, duration }) or null
+     */
+    getLastSuccess(taskId) {
+        const [execution] = query`
+            FOR execution IN ${db._collection(EXECUTIONS_COLLECTION)}
+            FILTER execution.taskId == ${taskId} AND execution.status == 'completed'
+            SORT execution.startTime DESC
+            LIMIT 1
+            RETURN {
+                id: execution._key,
+                time: execution.startTime,
+                scheduledTime: execution.scheduledTime,
+                duration: execution.duration
+            }
+        `.toArray();
+        
+        return execution || null;
+    },
+    
+    /**
+     * Execute an AQL task
+     * 
+     * Runs the query with the configured runtime and memory limits. Only the
+     * first `resultLimit` documents are kept; the full result count is
+     * reported together with the query statistics.
+     * 
+     * @param {Object} task - AQL task to execute
+     * @param {string} [executionId] - Execution ID the query is tagged with, so it can be killed
+     * @returns {Object} - Execution result
+     */
+    executeAqlTask(task, executionId = null) {
+        const params = task.params || {};
+        
+        if (!params.query) {
+            throw new Error(`AQL task ${task.name} has no query specified`);
+        }
+        
+        try {
+            const {
+                bindVars = {},
+                maxRuntime = AQL_DEFAULT_MAX_RUNTIME,
+                memoryLimit,
+                resultLimit = AQL_DEFAULT_RESULT_LIMIT
+            } = params;
+            
+            // The query may not outlive the task timeout
+            const options = {
+                maxRuntime: this.getRemainingTime(task, maxRuntime * 1000) / 1000
+            };
+            if (memoryLimit) {
+                options.memoryLimit = memoryLimit;
+            }
+            
+            console.log(`Executing AQL task ${task.name} (maxRuntime: ${options.maxRuntime}s${memoryLimit ? `, memoryLimit: ${memoryLimit} bytes` : ''})`);
+            
+            const cursor = db._query({
+                query: executionId ? `${this.getExecutionQueryTag(executionId)} ${params.query}` : params.query,
+                bindVars,
+                count: true,
+                options
+            });
+            
+            const documents = [];
+            while (documents.length < resultLimit && cursor.hasNext()) {
+                documents.push(cursor.next());
+            }
+            
+            const count = cursor.count();
+            const { stats = {} } = cursor.getExtra() || {};
+            cursor.dispose();
+            
+            return {
+                success: true,
+                type: 'aql',
+                count,
+                result: documents,
+                truncated: count > documents.length,
+                stats: {
+                    writesExecuted: stats.writesExecuted,
+                    writesIgnored: stats.writesIgnored,
+                    scannedFull: stats.scannedFull,
+                    scannedIndex: stats.scannedIndex,
+                    filtered: stats.filtered,
+                    executionTime: stats.executionTime,
+                    peakMemoryUsage: stats.peakMemoryUsage
+                }
+            };
+        } catch (error) {
+            throw wrapTaskError(`AQL task execution failed: ${error.message}`, error);
+        }
+    },
+    
+    /**
+     * Validate the parameters of an AQL task
+     * 
+     * @param {Object} params - Task parameters
+     * @throws {Error} If the query is missing, does not parse or a limit is invalid
+     */
+    validateAqlParams(params) {
+        if (!params || typeof params.query !== 'string' || !params.query.trim()) {
+            throw new Error('Invalid AQL task: query is required');
+        }
+        
+        try {
+            db._parse(params.query);
+        } catch (error) {
+            throw new Error(`Invalid AQL query: ${error.message}`);
+        }
+        
+        if (params.bindVars !== undefined && (typeof params.bindVars !== 'object' || Array.isArray(params.bindVars))) {
+            throw new Error('Invalid AQL task: bindVars must be an object');
+        }
+        
+        for (const limit of ['maxRuntime', 'memoryLimit', 'resultLimit']) {
+            if (params[limit] !== undefined && !(typeof params[limit] === 'number' && params[limit] > 0)) {
+                throw new Error(`Invalid AQL task: ${limit} must be a positive number`);
+            }
         }
     },
     
@@ -627,38 +1947,82 @@ const scheduler = {
         return (task.retryCount || 0) < task.maxRetries;
     },
     
+    /**
+     * Get the delay before a retry attempt
+     * 
+     * The base delay is `retryDelay`; the linear strategy multiplies it by
+     * the attempt number, the exponential strategy doubles it with every
+     * attempt. The delay is capped at `maxRetryDelay` and `retryJitter`
+     * (0 to 1) randomly shortens it by up to that fraction, so tasks that
+     * failed together do not retry in lockstep.
+     * 
+     * @param {Object} task - Task object
+     * @param {number} attempt - Retry attempt, starting at 1
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(task, attempt) {
+        const baseDelay = task.retryDelay || 60000; // Default: 1 minute
+        const maxDelay = task.maxRetryDelay || DEFAULT_MAX_RETRY_DELAY;
+        
+        let delay = baseDelay;
+        if (task.retryBackoff === 'linear') {
+            delay = baseDelay * attempt;
+        } else if (task.retryBackoff === 'exponential') {
+            delay = baseDelay * Math.pow(2, attempt - 1);
+        }
+        
+        delay = Math.min(delay, maxDelay);
+        
+        if (task.retryJitter) {
+            delay -= delay * task.retryJitter * Math.random();
+        }
+        
+        return Math.round(delay);
+    },
+    
     /**
      * Retry a failed task after a delay
      * 
      * @param {Object} task - Task to retry
      * @param {string} errorMessage - Error message from previous attempt
+     * @param {Object} [lease] - Lease of the failed run, released with the retry
+     * @returns {boolean} - Whether the retry was scheduled
      */
-    retryTask(task, errorMessage) {
+    retryTask(task, errorMessage, lease = null) {
         try {
             const taskCollection = db._collection('scheduledTasks');
             const retryCount = (task.retryCount || 0) + 1;
             const now = new Date().getTime();
-            const retryDelay = task.retryDelay || 60000; // Default: 1 minute
-            const retryTime = now + retryDelay;
-            
-            // Record the failed execution
-            this.recordExecution(task._key, 'failed', null, 
-                `Execution failed: ${errorMessage}. Retry ${retryCount}/${task.maxRetries} scheduled at ${new Date(retryTime).toISOString()}`);
+            const retryTime = now + this.getRetryDelay(task, retryCount);
             
             // Update task with retry information
-            taskCollection.update(task._key, {
+            const retry = {
                 retryCount,
                 lastRetry: now,
                 nextRun: retryTime,
                 status: 'retry-scheduled',
                 updatedAt: now
-            });
+            };
+            
+            if (lease) {
+                if (!this.releaseLease(task._key, lease.owner, retry)) {
+                    return false;
+                }
+            } else {
+                taskCollection.update(task._key, retry);
+            }
             
-            console.log(`Task ${task.name} scheduled for retry ${retryCount}/${task.maxRetries} at ${new Date(retryTime).toISOString()}`);
+            console.log(`Task ${task.name} failed (${errorMessage}), scheduled for retry ${retryCount}/${task.maxRetries} at ${new Date(retryTime).toISOString()}`);
+            return true;
         } catch (error) {
             console.error(`Error scheduling retry for task ${task._key}:`, error.message);
             // Fall back to marking as failed if we can't schedule a retry
-            this.updateTaskStatus(task._key, 'failed');
+            if (lease) {
+                this.releaseLease(task._key, lease.owner, { status: 'failed' });
+            } else {
+                this.updateTaskStatus(task._key, 'failed');
+            }
+            return false;
         }
     },
     
@@ -689,13 +2053,29 @@ const scheduler = {
      * @param {Object} taskData - Task data
      * @param {string} taskData.name - Task name
      * @param {string} taskData.description - Task description
-     * @param {string} taskData.type - Task type (script, webhook, email, etc.)
+     * @param {string} taskData.type - Task type (script, webhook, email or aql)
      * @param {string} taskData.handler - Task handler script path (for script type)
      * @param {Object} taskData.params - Task parameters
-     * @param {string} taskData.schedule - Cron-like schedule expression or "now" for immediate execution
+     * @param {string} taskData.schedule - Cron expression (5 or 6 fields) or "now" for immediate execution
+     * @param {string} taskData.timezone - IANA time zone the schedule is evaluated in (default: UTC)
      * @param {boolean} taskData.recurring - Whether the task is recurring
      * @param {number} taskData.maxRetries - Maximum retry attempts (0 means no retries)
      * @param {number} taskData.retryDelay - Delay between retries in milliseconds
+     * @param {string} taskData.retryBackoff - Backoff strategy: fixed (default), linear or exponential
+     * @param {number} taskData.maxRetryDelay - Upper bound for the retry delay in milliseconds (default: 1 hour)
+     * @param {number} taskData.retryJitter - Fraction (0 to 1) by which retry delays are randomly shortened (default: 0)
+     * @param {string} taskData.concurrency - Policy for overlapping runs: forbid (default), allow or replace
+     * @param {number} taskData.leaseDuration - Time in milliseconds a run holds the task lease (default: 10 minutes)
+     * @param {number} taskData.timeout - Time in milliseconds after which a run is timed out (default: none)
+     * @param {string} taskData.missedRunPolicy - Handling of missed occurrences: skip, runOnce (default) or catchUp
+     * @param {number} taskData.maxCatchUp - Maximum number of missed occurrences run in catchUp mode (default: 10)
+     * @param {number} taskData.executionRetentionDays - Days execution records are kept (default: service configuration)
+     * @param {Object[]} taskData.notifications - Failure notification channels (default: service configuration)
+     * @param {string[]} taskData.calendars - Names of calendars whose blackouts the task respects
+     * @param {string} taskData.onBlackout - Handling of occurrences in a blackout: skip (default) or defer
+     * @param {string[]} taskData.dependsOn - Keys of tasks that must succeed first within a workflow run
+     * @param {string[]} taskData.onSuccess - Keys of tasks triggered when this task succeeds
+     * @param {string[]} taskData.onFailure - Keys of tasks triggered when this task fails for good
      * @returns {Object} - Created task
      */
     createTask(taskData) {
@@ -706,13 +2086,51 @@ const scheduler = {
             handler, 
             params, 
             schedule, 
+            timezone = cron.DEFAULT_TIMEZONE,
             recurring = false,
             maxRetries = 0,
-            retryDelay = 60000 // Default: 1 minute delay between retries
+            retryDelay = 60000, // Default: 1 minute delay between retries
+            retryBackoff = 'fixed',
+            maxRetryDelay = DEFAULT_MAX_RETRY_DELAY,
+            retryJitter = 0,
+            concurrency = 'forbid',
+            leaseDuration = DEFAULT_LEASE_DURATION,
+            timeout = null,
+            missedRunPolicy = 'runOnce',
+            maxCatchUp = DEFAULT_MAX_CATCH_UP,
+            executionRetentionDays = null,
+            notifications: notificationChannels = null,
+            calendars: calendarNames = [],
+            onBlackout = 'skip',
+            dependsOn = [],
+            onSuccess = [],
+            onFailure = []
         } = taskData;
         
+        // Validate workflow references
+        this.validateWorkflowReferences(null, { dependsOn, onSuccess, onFailure });
+        
+        // Validate concurrency policy
+        if (!CONCURRENCY_POLICIES.includes(concurrency)) {
+            throw new Error(`Invalid concurrency policy: ${concurrency}. Valid policies are: ${CONCURRENCY_POLICIES.join(', ')}`);
+        }
+        
+        this.validateTimeout(timeout);
+        this.validateRetryPolicy({ retryBackoff, maxRetryDelay, retryJitter });
+        
+        if (notificationChannels !== null) {
+            notifications.validateChannels(notificationChannels);
+        }
+        
+        // Validate missed-run policy
+        if (!MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+            throw new Error(`Invalid missed-run policy: ${missedRunPolicy}. Valid policies are: ${MISSED_RUN_POLICIES.join(', ')}`);
+        }
+        
+        this.validateCalendarReferences(calendarNames, onBlackout);
+        
         // Validate task type
-        const validTypes = ['script', 'webhook', 'email'];
+        const validTypes = ['script', 'webhook', 'email', 'aql'];
         if (!validTypes.includes(type)) {
             throw new Error(`Invalid task type: ${type}. Valid types are: ${validTypes.join(', ')}`);
         }
@@ -726,7 +2144,7 @@ const scheduler = {
             if (!params || !params.url) {
                 throw new Error('URL is required for webhook tasks');
             }
-            if (!/^https?:\/\//i.test(params.url)) {
+            if (!/^https?:\/\//i.test(params.url) && !templates.hasTemplates(params.url)) {
                 throw new Error('Invalid webhook URL. Must start with http:// or https://');
             }
         }
@@ -745,6 +2163,14 @@ const scheduler = {
             }
         }
         
+        if (type === 'aql') {
+            this.validateAqlParams(params);
+        }
+        
+        if (['webhook', 'email'].includes(type)) {
+            templates.validate(params);
+        }
+        
         try {
             // Check if a task with this name already exists
             const existingTask = this.getTaskByName(name);
@@ -753,20 +2179,7 @@ const scheduler = {
             }
             
             // Determine next run time
-            let nextRun, period, scheduleType;
-            
-            if (schedule === 'now') {
-                // Execute immediately
-                nextRun = new Date().getTime();
-                period = 0;
-                scheduleType = 'once';
-            } else {
-                // Parse cron expression
-                const scheduleInfo = parseCronExpression(schedule);
-                nextRun = scheduleInfo.nextRun;
-                period = scheduleInfo.period;
-                scheduleType = scheduleInfo.type;
-            }
+            const { nextRun, period, type: scheduleType } = this.resolveSchedule(schedule, timezone);
             
             // Create task record
             const taskCollection = db._collection('scheduledTasks');
@@ -777,18 +2190,39 @@ const scheduler = {
                 handler: type === 'script' ? handler : null,
                 params: params || {},
                 schedule,
+                timezone,
                 scheduleType,
                 nextRun,
                 period,
                 recurring,
                 maxRetries,
                 retryDelay,
+                retryBackoff,
+                maxRetryDelay,
+                retryJitter,
                 retryCount: 0,
                 lastRetry: null,
+                concurrency,
+                leaseDuration,
+                leaseOwner: null,
+                leaseExpiresAt: null,
+                timeout,
+                timeoutAt: null,
+                missedRunPolicy,
+                maxCatchUp,
+                catchUpCount: 0,
+                executionRetentionDays,
+                notifications: notificationChannels,
+                calendars: calendarNames,
+                onBlackout,
+                lastBlackout: null,
+                dependsOn,
+                onSuccess,
+                onFailure,
+                workflowRunId: null,
                 status: 'active',
                 createdAt: new Date().getTime(),
-                updatedAt: new Date().getTime(),
-                executions: []
+                updatedAt: new Date().getTime()
             });
             
             return task;
@@ -798,6 +2232,175 @@ const scheduler = {
         }
     },
     
+    /**
+     * Validate a task timeout
+     * 
+     * @param {number|null} timeout - Timeout in milliseconds, null for none
+     * @throws {Error} If the timeout is not a positive number
+     */
+    validateTimeout(timeout) {
+        if (timeout !== null && !(typeof timeout === 'number' && timeout > 0)) {
+            throw new Error(`Invalid timeout: ${timeout}. Must be a positive number of milliseconds`);
+        }
+    },
+    
+    /**
+     * Validate the calendar settings of a task
+     * 
+     * @param {string[]} names - Calendar names, all of which must exist
+     * @param {string} [onBlackout] - Blackout policy, not checked if missing
+     * @throws {Error} If the policy is invalid or a calendar does not exist
+     */
+    validateCalendarReferences(names, onBlackout) {
+        if (onBlackout !== undefined && !BLACKOUT_POLICIES.includes(onBlackout)) {
+            throw new Error(`Invalid blackout policy: ${onBlackout}. Valid policies are: ${BLACKOUT_POLICIES.join(', ')}`);
+        }
+        
+        if (!Array.isArray(names)) {
+            throw new Error('Invalid calendars: must be an array of calendar names');
+        }
+        
+        for (const name of names) {
+            if (!this.getCalendar(name)) {
+                throw new Error(`Invalid calendar reference: calendar "${name}" does not exist`);
+            }
+        }
+    },
+    
+    /**
+     * Validate the retry backoff settings of a task
+     * 
+     * @param {Object} settings - Retry settings, missing ones are not checked
+     * @throws {Error} If a setting is invalid
+     */
+    validateRetryPolicy(settings) {
+        const { retryBackoff, maxRetryDelay, retryJitter } = settings;
+        
+        if (retryBackoff !== undefined && !BACKOFF_STRATEGIES.includes(retryBackoff)) {
+            throw new Error(`Invalid retry backoff: ${retryBackoff}. Valid strategies are: ${BACKOFF_STRATEGIES.join(', ')}`);
+        }
+        
+        if (maxRetryDelay !== undefined && !(typeof maxRetryDelay === 'number' && maxRetryDelay > 0)) {
+            throw new Error(`Invalid max retry delay: ${maxRetryDelay}. Must be a positive number of milliseconds`);
+        }
+        
+        if (retryJitter !== undefined && !(typeof retryJitter === 'number' && retryJitter >= 0 && retryJitter <= 1)) {
+            throw new Error(`Invalid retry jitter: ${retryJitter}. Must be between 0 and 1`);
+        }
+    },
+    
+    /**
+     * Resolve a schedule into its first run time
+     * 
+     * @param {string} schedule - Cron expression, "now" or "manual"
+     * @param {string} [timezone] - IANA time zone (default: UTC)
+     * @returns {Object} - Next run time, period and schedule type
+     * @throws {Error} If the schedule or time zone is invalid
+     */
+    resolveSchedule(schedule, timezone = cron.DEFAULT_TIMEZONE) {
+        if (schedule === 'manual') {
+            // Only runs when triggered manually or by a workflow
+            return {
+                nextRun: null,
+                period: 0,
+                type: 'manual'
+            };
+        }
+        
+        if (schedule === 'now') {
+            // Execute immediately
+            return {
+                nextRun: new Date().getTime(),
+                period: 0,
+                type: 'once'
+            };
+        }
+        
+        return parseCronExpression(schedule, timezone);
+    },
+    
+    /**
+     * Check whether a task recurs according to a cron expression
+     * 
+     * @param {Object} task - Task object
+     * @returns {boolean} - True for recurring tasks with a cron schedule
+     */
+    isRecurringSchedule(task) {
+        return Boolean(task.recurring) && !['now', 'manual'].includes(task.schedule);
+    },
+    
+    /**
+     * Compute the next run time of a recurring task
+     * 
+     * @param {Object} task - Task object
+     * @param {number} [after] - Timestamp after which the next run is computed (default: now)
+     * @returns {number} - Next run timestamp
+     */
+    getNextRunTime(task, after = new Date().getTime()) {
+        return cron.next(task.schedule, {
+            after,
+            timezone: task.timezone || cron.DEFAULT_TIMEZONE
+        });
+    },
+    
+    /**
+     * Compute the upcoming run times of a schedule
+     * 
+     * Works for saved tasks and unsaved definitions alike. One-time cron
+     * schedules yield a single run, "now" runs right away and "manual"
+     * schedules have no run times.
+     * 
+     * Run times inside a blackout of the task calendars carry the blackout
+     * and the action taken, deferred runs also the time they are moved to.
+     * 
+     * @param {Object} definition - Task or definition with schedule, timezone, recurring, calendars and onBlackout
+     * @param {Object} [options] - Options
+     * @param {number} [options.count] - Number of run times for recurring schedules (default: 5)
+     * @param {number} [options.after] - Timestamp after which run times are computed (default: now)
+     * @returns {Object[]} - Run times ({ time, utc, local, blackout })
+     * @throws {Error} If the schedule or time zone is invalid
+     */
+    previewSchedule(definition, options = {}) {
+        const { count = 5, after = new Date().getTime() } = options;
+        const { schedule, timezone = cron.DEFAULT_TIMEZONE, recurring = false, onBlackout = 'skip' } = definition;
+        const taskCalendars = this.getTaskCalendars(definition);
+        
+        if (!cron.isValidTimezone(timezone)) {
+            throw new Error(`Invalid timezone "${timezone}"`);
+        }
+        
+        let times = [];
+        if (schedule === 'now') {
+            times = [after];
+        } else if (schedule !== 'manual') {
+            times = cron.upcoming(schedule, { count: recurring ? count : 1, after, timezone });
+        }
+        
+        return times.map((time) => {
+            const run = {
+                time,
+                utc: new Date(time).toISOString(),
+                local: cron.formatLocal(time, timezone)
+            };
+            
+            const blackout = calendars.findBlackout(taskCalendars, time);
+            if (blackout) {
+                const defer = onBlackout === 'defer' || !recurring;
+                run.blackout = {
+                    calendar: blackout.calendar,
+                    reason: blackout.reason,
+                    action: defer ? 'defer' : 'skip'
+                };
+                
+                if (defer) {
+                    run.blackout.deferredTo = calendars.nextOpenTime(taskCalendars, time);
+                }
+            }
+            
+            return run;
+        });
+    },
+    
     /**
      * Get a task by ID
      * 
@@ -850,9 +2453,49 @@ const scheduler = {
                 throw new Error(`Task with ID "${taskId}" not found`);
             }
             
-            // Handle schedule updates
-            if (updateData.schedule && updateData.schedule !== task.schedule) {
-                const scheduleInfo = parseCronExpression(updateData.schedule);
+            if (updateData.concurrency && !CONCURRENCY_POLICIES.includes(updateData.concurrency)) {
+                throw new Error(`Invalid concurrency policy: ${updateData.concurrency}. Valid policies are: ${CONCURRENCY_POLICIES.join(', ')}`);
+            }
+            
+            if (updateData.timeout !== undefined) {
+                this.validateTimeout(updateData.timeout);
+            }
+            
+            this.validateRetryPolicy(updateData);
+            
+            if (updateData.notifications) {
+                notifications.validateChannels(updateData.notifications);
+            }
+            
+            if (updateData.missedRunPolicy && !MISSED_RUN_POLICIES.includes(updateData.missedRunPolicy)) {
+                throw new Error(`Invalid missed-run policy: ${updateData.missedRunPolicy}. Valid policies are: ${MISSED_RUN_POLICIES.join(', ')}`);
+            }
+            
+            this.validateCalendarReferences(updateData.calendars || [], updateData.onBlackout);
+            
+            if (task.type === 'aql' && updateData.params) {
+                this.validateAqlParams(updateData.params);
+            }
+            
+            if (['webhook', 'email'].includes(task.type) && updateData.params) {
+                templates.validate(updateData.params);
+            }
+            
+            this.validateWorkflowReferences(taskId, {
+                dependsOn: updateData.dependsOn || [],
+                onSuccess: updateData.onSuccess || [],
+                onFailure: updateData.onFailure || []
+            });
+            
+            // Handle schedule and time zone updates
+            const scheduleChanged = updateData.schedule && updateData.schedule !== task.schedule;
+            const timezoneChanged = updateData.timezone && updateData.timezone !== task.timezone;
+            
+            if (scheduleChanged || timezoneChanged) {
+                const scheduleInfo = this.resolveSchedule(
+                    updateData.schedule || task.schedule,
+                    updateData.timezone || task.timezone
+                );
                 updateData.nextRun = scheduleInfo.nextRun;
                 updateData.period = scheduleInfo.period;
                 updateData.scheduleType = scheduleInfo.type;
@@ -976,16 +2619,35 @@ const scheduler = {
         }
     },
     
+    /**
+     * Get the retention period for execution records of a task
+     * 
+     * @param {Object} [task] - Task object
+     * @returns {number} - Retention in days
+     */
+    getExecutionRetentionDays(task = null) {
+        if (task && task.executionRetentionDays) {
+            return task.executionRetentionDays;
+        }
+        
+        const configuration = (this.context && this.context.configuration) || {};
+        return configuration.schedulerExecutionRetentionDays || DEFAULT_EXECUTION_RETENTION_DAYS;
+    },
+    
     /**
      * Record task execution
      * 
+     * Executions are stored in the scheduledTaskExecutions collection and
+     * removed by its TTL index once their retention period has passed.
+     * 
      * @param {string} taskId - Task ID
      * @param {string} status - Execution status
      * @param {number} duration - Execution duration in milliseconds
      * @param {string} error - Error message if any
+     * @param {Object} details - Additional attributes stored with the execution (e.g. workflowRunId)
      * @returns {string} - Execution ID
      */
-    recordExecution(taskId, status, duration = null, error = null) {
+    recordExecution(taskId, status, duration = null, error = null, details = {}) {
         try {
             const taskCollection = db._collection('scheduledTasks');
             const task = this.getTask(taskId);
@@ -996,35 +2658,37 @@ const scheduler = {
             
             // Create execution record
             const executionId = crypto.uuidv4();
-            const execution = {
-                id: executionId,
+            const now = new Date().getTime();
+            const retentionMs = this.getExecutionRetentionDays(task) * 24 * 60 * 60 * 1000;
+            
+            db._collection(EXECUTIONS_COLLECTION).save({
+                ...details,
+                _key: executionId,
                 taskId,
+                taskName: task.name,
                 status,
-                startTime: new Date().getTime(),
+                startTime: now,
+                endTime: status === 'started' ? null : now,
                 duration,
                 error,
-                createdAt: new Date().getTime()
-            };
-            
-            // Add to task executions array
-            const executions = [...(task.executions || []), execution];
-            
-            // Keep only the last 10 executions
-            if (executions.length > 10) {
-                executions.shift();
-            }
+                result: null,
+                createdAt: now,
+                updatedAt: now,
+                // ISO date string, evaluated by the TTL index
+                expiresAt: new Date(now + retentionMs).toISOString()
+            });
             
-            // Update task with execution record
+            // Keep a summary of the last execution on the task
             taskCollection.update(taskId, {
-                executions,
                 lastExecution: {
+                    id: executionId,
                     status,
-                    time: new Date().getTime(),
+                    time: now,
                     duration,
                     error
                 },
-                updatedAt: new Date().getTime()
-            });
+                updatedAt: now
+            }, { mergeObjects: false });
             
             return executionId;
         } catch (error) {
@@ -1034,101 +2698,436 @@ const scheduler = {
     },
     
     /**
-     * Update execution record
+     * Update execution record
+     * 
+     * @param {string} executionId - Execution ID
+     * @param {string} status - New status
+     * @param {number} duration - Execution duration
+     * @param {string} error - Error message if any
+     * @param {Object} result - Execution result
+     * @returns {boolean} - Success flag
+     */
+    updateExecution(executionId, status, duration, error = null, result = null) {
+        try {
+            if (!executionId) {
+                return false;
+            }
+            
+            const executionCollection = db._collection(EXECUTIONS_COLLECTION);
+            const now = new Date().getTime();
+            const sanitizedResult = result ? this.sanitizeResult(result) : null;
+            
+            // An execution is finished only once; a run that was cancelled,
+            // timed out or superseded keeps that status when it returns
+            const [execution] = query`
+                FOR execution IN ${executionCollection}
+                FILTER execution._key == ${executionId} AND execution.status == 'started'
+                UPDATE execution WITH {
+                    status: ${status},
+                    endTime: ${now},
+                    duration: ${duration},
+                    error: ${error},
+                    result: ${sanitizedResult},
+                    updatedAt: ${now}
+                } IN ${executionCollection}
+                RETURN NEW
+            `.toArray();
+            
+            if (!execution) {
+                return false;
+            }
+            
+            // Update the summary on the task, unless a newer execution has started since
+            query`
+                FOR task IN scheduledTasks
+                FILTER task._key == ${execution.taskId}
+                FILTER task.lastExecution.id IN [null, ${executionId}]
+                UPDATE task WITH {
+                    lastExecution: {
+                        id: ${executionId},
+                        status: ${status},
+                        time: ${now},
+                        duration: ${duration},
+                        error: ${error},
+                        result: ${sanitizedResult}
+                    },
+                    updatedAt: ${now}
+                } IN scheduledTasks OPTIONS { mergeObjects: false }
+            `;
+            
+            return true;
+        } catch (error) {
+            console.error(`Error updating execution "${executionId}":`, error.message);
+            return false;
+        }
+    },
+    
+    /**
+     * Sanitize task execution result for storage
+     * 
+     * @param {Object} result - Execution result
+     * @returns {Object} - Sanitized result
+     */
+    sanitizeResult(result) {
+        if (!result) return null;
+        
+        try {
+            // Convert result to JSON and back to strip any circular references
+            // or complex objects that can't be serialized
+            const sanitized = JSON.parse(JSON.stringify(result));
+            
+            // Limit result size to prevent document size issues
+            const resultJson = JSON.stringify(sanitized);
+            if (resultJson.length > 10000) { // Arbitrary limit to prevent huge results
+                return {
+                    truncated: true,
+                    type: result.type || 'unknown',
+                    summary: `Result was truncated (${resultJson.length} bytes)`,
+                    preview: resultJson.substring(0, 500) + '...'
+                };
+            }
+            
+            return sanitized;
+        } catch (error) {
+            // If the result can't be serialized, return a simplified version
+            console.error('Error sanitizing task result:', error.message);
+            return {
+                type: result.type || 'unknown',
+                error: 'Result could not be serialized for storage',
+                success: result.success !== false
+            };
+        }
+    },
+    
+    /**
+     * Validate the workflow references of a task
+     * 
+     * @param {string|null} taskId - Key of the task being updated, null for new tasks
+     * @param {Object} references - Workflow references
+     * @param {string[]} references.dependsOn - Keys of tasks that must succeed first
+     * @param {string[]} references.onSuccess - Keys of tasks triggered on success
+     * @param {string[]} references.onFailure - Keys of tasks triggered on failure
+     * @throws {Error} If a reference is invalid or dependencies form a cycle
+     */
+    validateWorkflowReferences(taskId, references) {
+        for (const [field, keys] of Object.entries(references)) {
+            if (!Array.isArray(keys)) {
+                throw new Error(`Invalid workflow reference: ${field} must be an array of task keys`);
+            }
+            
+            for (const key of keys) {
+                if (key === taskId) {
+                    throw new Error(`Invalid workflow reference: task cannot reference itself in ${field}`);
+                }
+                
+                if (!this.getTask(key)) {
+                    throw new Error(`Invalid workflow reference: task "${key}" in ${field} not found`);
+                }
+            }
+        }
+        
+        if (!taskId) {
+            return;
+        }
+        
+        // A dependency that (transitively) depends on this task would never become ready
+        const visited = new Set();
+        const stack = [...references.dependsOn];
+        
+        while (stack.length > 0) {
+            const key = stack.pop();
+            
+            if (key === taskId) {
+                throw new Error('Invalid workflow reference: dependsOn creates a dependency cycle');
+            }
+            
+            if (!visited.has(key)) {
+                visited.add(key);
+                const task = this.getTask(key);
+                stack.push(...((task && task.dependsOn) || []));
+            }
+        }
+    },
+    
+    /**
+     * Get tasks that declare a dependency on the given task
+     * 
+     * @param {string} taskId - Task ID
+     * @returns {Array} - Dependent tasks
+     */
+    getDependentTasks(taskId) {
+        return query`
+            FOR task IN scheduledTasks
+            FILTER ${taskId} IN (task.dependsOn || [])
+            RETURN task
+        `.toArray();
+    },
+    
+    /**
+     * Start a workflow run with the given task as its first step
+     * 
+     * All tasks reachable through onSuccess, onFailure and dependsOn become
+     * steps of the run. Tasks without follow-up or dependent tasks do not
+     * start a workflow run.
+     * 
+     * @param {Object} rootTask - Task that starts the workflow
+     * @returns {string|null} - Workflow run ID or null if the task has no workflow
+     */
+    startWorkflowRun(rootTask) {
+        try {
+            const steps = {};
+            const queue = [rootTask];
+            
+            while (queue.length > 0) {
+                const task = queue.shift();
+                
+                if (steps[task._key]) {
+                    continue;
+                }
+                
+                steps[task._key] = {
+                    taskId: task._key,
+                    name: task.name,
+                    status: 'pending',
+                    executionId: null,
+                    startedAt: null,
+                    finishedAt: null,
+                    error: null
+                };
+                
+                const followUps = [...(task.onSuccess || []), ...(task.onFailure || [])]
+                    .map(key => this.getTask(key))
+                    .filter(Boolean);
+                
+                queue.push(...followUps, ...this.getDependentTasks(task._key));
+            }
+            
+            if (Object.keys(steps).length === 1) {
+                return null;
+            }
+            
+            steps[rootTask._key].status = 'queued';
+            
+            const now = new Date().getTime();
+            const retentionMs = this.getExecutionRetentionDays(rootTask) * 24 * 60 * 60 * 1000;
+            
+            const run = db._collection(WORKFLOW_RUNS_COLLECTION).save({
+                rootTaskId: rootTask._key,
+                rootTaskName: rootTask.name,
+                status: 'running',
+                steps,
+                createdAt: now,
+                updatedAt: now,
+                finishedAt: null,
+                expiresAt: new Date(now + retentionMs).toISOString()
+            });
+            
+            db._collection('scheduledTasks').update(rootTask._key, { lastWorkflowRunId: run._key });
+            
+            console.log(`Started workflow run ${run._key} for task ${rootTask.name} with ${Object.keys(steps).length} steps`);
+            
+            return run._key;
+        } catch (error) {
+            console.error(`Error starting workflow run for task ${rootTask.name}:`, error.message);
+            return null;
+        }
+    },
+    
+    /**
+     * Apply a change to a workflow run
+     * 
+     * The run document is updated optimistically with a revision check, the
+     * change is re-applied on conflicts. Once no step is queued, running or
+     * retrying, the run is finished: remaining pending steps are skipped and
+     * the run fails if any of its steps failed, timed out or was cancelled.
+     * 
+     * @param {string} runId - Workflow run ID
+     * @param {Function} mutate - Function that changes the run document in place
+     * @returns {Object|null} - Updated run or null if it could not be updated
+     */
+    updateWorkflowRun(runId, mutate) {
+        const workflowCollection = db._collection(WORKFLOW_RUNS_COLLECTION);
+        
+        for (let attempt = 0; attempt < 5; attempt++) {
+            try {
+                if (!workflowCollection.exists(runId)) {
+                    return null;
+                }
+                
+                const run = workflowCollection.document(runId);
+                const now = new Date().getTime();
+                
+                mutate(run, now);
+                
+                const steps = Object.values(run.steps);
+                if (run.status === 'running' && !steps.some(step => ACTIVE_STEP_STATUSES.includes(step.status))) {
+                    for (const step of steps) {
+                        if (step.status === 'pending') {
+                            step.status = 'skipped';
+                        }
+                    }
+                    
+                    run.status = steps.some(step => UNSUCCESSFUL_STATUSES.includes(step.status)) ? 'failed' : 'completed';
+                    run.finishedAt = now;
+                }
+                
+                const [updated] = query`
+                    FOR run IN ${workflowCollection}
+                    FILTER run._key == ${runId} AND run._rev == ${run._rev}
+                    UPDATE run WITH {
+                        status: ${run.status},
+                        steps: ${run.steps},
+                        finishedAt: ${run.finishedAt},
+                        updatedAt: ${now}
+                    } IN ${workflowCollection} OPTIONS { mergeObjects: false }
+                    RETURN NEW
+                `.toArray();
+                
+                if (updated) {
+                    return updated;
+                }
+            } catch (error) {
+                console.warn(`Conflict updating workflow run ${runId}, retrying: ${error.message}`);
+            }
+        }
+        
+        console.error(`Failed to update workflow run ${runId}`);
+        return null;
+    },
+    
+    /**
+     * Update a single step of a workflow run
      * 
-     * @param {string} executionId - Execution ID
-     * @param {string} status - New status
-     * @param {number} duration - Execution duration
+     * @param {string} runId - Workflow run ID
+     * @param {string} taskId - Task ID of the step
+     * @param {Object} update - Step attributes to update
+     * @returns {Object|null} - Updated run
+     */
+    updateWorkflowStep(runId, taskId, update) {
+        return this.updateWorkflowRun(runId, (run) => {
+            if (run.steps[taskId]) {
+                Object.assign(run.steps[taskId], update);
+            }
+        });
+    },
+    
+    /**
+     * Record the outcome of a workflow step and trigger the steps that became ready
+     * 
+     * On success the onSuccess tasks and the tasks depending on the finished
+     * task are candidates, on failure the onFailure tasks. A candidate is
+     * triggered once all its dependencies within the run have completed.
+     * Each step runs at most once per workflow run.
+     * 
+     * @param {string} runId - Workflow run ID
+     * @param {Object} task - Finished task
+     * @param {string} outcome - Step outcome (completed, failed, timed-out or cancelled)
+     * @param {string} executionId - Execution ID of the finished run
      * @param {string} error - Error message if any
-     * @param {Object} result - Execution result
-     * @returns {boolean} - Success flag
      */
-    updateExecution(executionId, status, duration, error = null, result = null) {
+    advanceWorkflow(runId, task, outcome, executionId, error = null) {
         try {
-            if (!executionId) {
-                return false;
+            // Cancelled steps trigger no follow-up tasks
+            let candidateIds = [];
+            if (outcome === 'completed') {
+                candidateIds = [...(task.onSuccess || []), ...this.getDependentTasks(task._key).map(dependent => dependent._key)];
+            } else if (outcome !== 'cancelled') {
+                candidateIds = [...(task.onFailure || [])];
             }
             
-            const [task] = query`
-                FOR task IN scheduledTasks
-                FILTER ${executionId} IN ATTRIBUTES(task.executions[*].id)
-                RETURN task
-            `.toArray();
+            const candidates = [...new Set(candidateIds)]
+                .map(key => this.getTask(key))
+                .filter(Boolean);
             
-            if (!task) {
-                return false;
-            }
+            let ready = [];
             
-            // Update execution
-            const taskCollection = db._collection('scheduledTasks');
-            const executions = task.executions.map(exec => {
-                if (exec.id === executionId) {
-                    return {
-                        ...exec,
-                        status,
-                        duration,
-                        error,
-                        result: result ? this.sanitizeResult(result) : null,
-                        updatedAt: new Date().getTime()
-                    };
+            const run = this.updateWorkflowRun(runId, (current, now) => {
+                ready = [];
+                
+                if (current.steps[task._key]) {
+                    Object.assign(current.steps[task._key], {
+                        status: outcome,
+                        executionId,
+                        finishedAt: now,
+                        error
+                    });
+                }
+                
+                for (const candidate of candidates) {
+                    const step = current.steps[candidate._key];
+                    if (!step || step.status !== 'pending') {
+                        continue;
+                    }
+                    
+                    const dependencies = (candidate.dependsOn || []).filter(key => current.steps[key]);
+                    if (dependencies.every(key => current.steps[key].status === 'completed')) {
+                        step.status = 'queued';
+                        ready.push(candidate._key);
+                    }
                 }
-                return exec;
             });
             
-            // Update task
-            taskCollection.update(task._key, {
-                executions,
-                lastExecution: {
-                    status,
-                    time: new Date().getTime(),
-                    duration,
-                    error,
-                    result: result ? this.sanitizeResult(result) : null
-                },
-                updatedAt: new Date().getTime()
-            });
+            if (!run) {
+                return;
+            }
             
-            return true;
-        } catch (error) {
-            console.error(`Error updating execution "${executionId}":`, error.message);
-            return false;
+            for (const key of ready) {
+                this.triggerWorkflowStep(runId, key);
+            }
+        } catch (advanceError) {
+            console.error(`Error advancing workflow run ${runId}:`, advanceError.message);
         }
     },
     
     /**
-     * Sanitize task execution result for storage
+     * Queue a task for execution as part of a workflow run
      * 
-     * @param {Object} result - Execution result
-     * @returns {Object} - Sanitized result
+     * The task is made due immediately and picked up by the task runner.
+     * Paused or running tasks cannot be triggered and their step is skipped.
+     * 
+     * @param {string} runId - Workflow run ID
+     * @param {string} taskId - Task ID
+     * @returns {boolean} - Whether the task was triggered
      */
-    sanitizeResult(result) {
-        if (!result) return null;
+    triggerWorkflowStep(runId, taskId) {
+        const now = new Date().getTime();
+        
+        const [triggered] = query`
+            FOR task IN scheduledTasks
+            FILTER task._key == ${taskId} AND task.status NOT IN ['running', 'paused']
+            UPDATE task WITH {
+                status: 'active',
+                nextRun: ${now},
+                workflowRunId: ${runId},
+                retryCount: 0,
+                updatedAt: ${now}
+            } IN scheduledTasks
+            RETURN NEW
+        `.toArray();
         
+        if (!triggered) {
+            this.updateWorkflowStep(runId, taskId, {
+                status: 'skipped',
+                error: 'Task is paused or already running'
+            });
+            return false;
+        }
+        
+        console.log(`Workflow run ${runId} triggered task ${triggered.name}`);
+        return true;
+    },
+    
+    /**
+     * Get a workflow run
+     * 
+     * @param {string} runId - Workflow run ID
+     * @returns {Object|null} - Workflow run or null
+     */
+    getWorkflowRun(runId) {
         try {
-            // Convert result to JSON and back to strip any circular references
-            // or complex objects that can't be serialized
-            const sanitized = JSON.parse(JSON.stringify(result));
-            
-            // Limit result size to prevent document size issues
-            const resultJson = JSON.stringify(sanitized);
-            if (resultJson.length > 10000) { // Arbitrary limit to prevent huge results
-                return {
-                    truncated: true,
-                    type: result.type || 'unknown',
-                    summary: `Result was truncated (${resultJson.length} bytes)`,
-                    preview: resultJson.substring(0, 500) + '...'
-                };
-            }
-            
-            return sanitized;
+            return db._collection(WORKFLOW_RUNS_COLLECTION).document(runId);
         } catch (error) {
-            // If the result can't be serialized, return a simplified version
-            console.error('Error sanitizing task result:', error.message);
-            return {
-                type: result.type || 'unknown',
-                error: 'Result could not be serialized for storage',
-                success: result.success !== false
-            };
+            return null;
         }
     },
     
@@ -1137,23 +3136,79 @@ const scheduler = {
      * 
      * @param {string} taskId - Task ID
      * @param {number} limit - Maximum number of executions to return
-     * @returns {Array} - Task executions
+     * @returns {Array} - Task executions, most recent first
      */
     getTaskExecutions(taskId, limit = 10) {
+        return this.queryTaskExecutions(taskId, { limit }).executions;
+    },
+    
+    /**
+     * Query task executions with pagination and filters
+     * 
+     * @param {string} taskId - Task ID
+     * @param {Object} options - Query options
+     * @param {number} options.skip - Number of records to skip
+     * @param {number} options.limit - Maximum number of records to return
+     * @param {string} options.status - Filter by execution status
+     * @param {number} options.from - Only executions started at or after this timestamp
+     * @param {number} options.to - Only executions started at or before this timestamp
+     * @returns {Object} - Executions with pagination info
+     */
+    queryTaskExecutions(taskId, options = {}) {
+        const {
+            skip = 0,
+            limit = 10,
+            status = null,
+            from = null,
+            to = null
+        } = options;
+        
         try {
-            const task = this.getTask(taskId);
+            const filters = [aql`FILTER execution.taskId == ${taskId}`];
             
-            if (!task || !task.executions) {
-                return [];
+            if (status) {
+                filters.push(aql`FILTER execution.status == ${status}`);
+            }
+            if (from !== null) {
+                filters.push(aql`FILTER execution.startTime >= ${from}`);
             }
+            if (to !== null) {
+                filters.push(aql`FILTER execution.startTime <= ${to}`);
+            }
+            
+            const filter = aql.join(filters);
             
-            // Sort by start time descending and limit
-            return task.executions
-                .sort((a, b) => b.startTime - a.startTime)
-                .slice(0, limit);
+            return query`
+                LET executions = (
+                    FOR execution IN ${db._collection(EXECUTIONS_COLLECTION)}
+                    ${filter}
+                    SORT execution.startTime DESC
+                    LIMIT ${skip}, ${limit}
+                    RETURN MERGE(UNSET(execution, "_id", "_rev", "_key"), { id: execution._key })
+                )
+                
+                LET total = (
+                    FOR execution IN ${db._collection(EXECUTIONS_COLLECTION)}
+                    ${filter}
+                    COLLECT WITH COUNT INTO count
+                    RETURN count
+                )[0]
+                
+                RETURN {
+                    executions,
+                    total,
+                    skip: ${skip},
+                    limit: ${limit}
+                }
+            `.toArray()[0];
         } catch (error) {
             console.error(`Error getting executions for task "${taskId}":`, error.message);
-            return [];
+            return {
+                executions: [],
+                total: 0,
+                skip,
+                limit
+            };
         }
     },
     
@@ -1219,6 +3274,386 @@ const scheduler = {
                 limit
             };
         }
+    },
+    
+    /**
+     * Aggregate scheduler metrics over a time window
+     * 
+     * Rates and durations are computed from the executions started within the
+     * window; runs still in progress and superseded runs are left out. Queue
+     * lag is the delay between the scheduled time of a run and its start.
+     * 
+     * @param {Object} [options] - Options
+     * @param {number} [options.from] - Start of the window (default: 24 hours ago)
+     * @param {number} [options.to] - End of the window (default: now)
+     * @param {number} [options.top] - Number of most frequently failing tasks (default: 5)
+     * @returns {Object} - Window, totals, queue state, per-task metrics and top failing tasks
+     */
+    getStats(options = {}) {
+        const now = new Date().getTime();
+        const {
+            from = now - 24 * 60 * 60 * 1000,
+            to = now,
+            top = 5
+        } = options;
+        
+        const [stats] = query`
+            LET runs = (
+                FOR execution IN ${db._collection(EXECUTIONS_COLLECTION)}
+                FILTER execution.startTime >= ${from} AND execution.startTime <= ${to}
+                FILTER execution.status NOT IN ['started', 'superseded']
+                RETURN {
+                    taskId: execution.taskId,
+                    taskName: execution.taskName,
+                    status: execution.status,
+                    duration: execution.duration,
+                    lag: execution.scheduledTime != null ? MAX([0, execution.startTime - execution.scheduledTime]) : null,
+                    startTime: execution.startTime
+                }
+            )
+            
+            LET tasks = (
+                FOR run IN runs
+                COLLECT taskId = run.taskId INTO group = run
+                LET total = LENGTH(group)
+                LET succeeded = LENGTH(group[* FILTER CURRENT.status == 'completed'])
+                LET failed = LENGTH(group[* FILTER CURRENT.status IN ${UNSUCCESSFUL_STATUSES}])
+                LET durations = group[* FILTER CURRENT.duration != null RETURN CURRENT.duration]
+                LET lags = group[* FILTER CURRENT.lag != null RETURN CURRENT.lag]
+                RETURN {
+                    taskId,
+                    taskName: LAST(group).taskName,
+                    executions: total,
+                    succeeded,
+                    failed,
+                    successRate: total > 0 ? succeeded / total : null,
+                    failureRate: total > 0 ? failed / total : null,
+                    duration: {
+                        p50: LENGTH(durations) > 0 ? PERCENTILE(durations, 50) : null,
+                        p95: LENGTH(durations) > 0 ? PERCENTILE(durations, 95) : null
+                    },
+                    queueLag: {
+                        p50: LENGTH(lags) > 0 ? PERCENTILE(lags, 50) : null,
+                        p95: LENGTH(lags) > 0 ? PERCENTILE(lags, 95) : null,
+                        max: MAX(lags)
+                    },
+                    lastFailure: MAX(group[* FILTER CURRENT.status IN ${UNSUCCESSFUL_STATUSES} RETURN CURRENT.startTime])
+                }
+            )
+            
+            LET durations = runs[* FILTER CURRENT.duration != null RETURN CURRENT.duration]
+            LET lags = runs[* FILTER CURRENT.lag != null RETURN CURRENT.lag]
+            LET succeeded = LENGTH(runs[* FILTER CURRENT.status == 'completed'])
+            LET failed = LENGTH(runs[* FILTER CURRENT.status IN ${UNSUCCESSFUL_STATUSES}])
+            
+            LET queue = FIRST(
+                FOR task IN scheduledTasks
+                COLLECT AGGREGATE
+                    due = SUM(task.status IN ['active', 'retry-scheduled'] AND task.nextRun != null AND task.nextRun <= ${now} ? 1 : 0),
+                    oldestDue = MIN(task.status IN ['active', 'retry-scheduled'] AND task.nextRun != null AND task.nextRun <= ${now} ? task.nextRun : null),
+                    running = SUM(task.status == 'running' ? 1 : 0)
+                RETURN {
+                    due,
+                    running,
+                    currentLag: oldestDue != null ? ${now} - oldestDue : 0
+                }
+            )
+            
+            RETURN {
+                totals: {
+                    executions: LENGTH(runs),
+                    succeeded,
+                    failed,
+                    successRate: LENGTH(runs) > 0 ? succeeded / LENGTH(runs) : null,
+                    failureRate: LENGTH(runs) > 0 ? failed / LENGTH(runs) : null,
+                    duration: {
+                        p50: LENGTH(durations) > 0 ? PERCENTILE(durations, 50) : null,
+                        p95: LENGTH(durations) > 0 ? PERCENTILE(durations, 95) : null
+                    },
+                    queueLag: {
+                        p50: LENGTH(lags) > 0 ? PERCENTILE(lags, 50) : null,
+                        p95: LENGTH(lags) > 0 ? PERCENTILE(lags, 95) : null,
+                        max: MAX(lags)
+                    }
+                },
+                queue: queue || { due: 0, running: 0, currentLag: 0 },
+                tasks: (FOR task IN tasks SORT task.executions DESC RETURN task),
+                topFailing: (
+                    FOR task IN tasks
+                    FILTER task.failed > 0
+                    SORT task.failed DESC, task.failureRate DESC
+                    LIMIT ${top}
+                    RETURN KEEP(task, 'taskId', 'taskName', 'executions', 'failed', 'failureRate', 'lastFailure')
+                )
+            }
+        `.toArray();
+        
+        return {
+            window: { from, to },
+            ...stats
+        };
+    },
+    
+    /**
+     * Get the calendars referenced by a task
+     * 
+     * Calendars that no longer exist are ignored.
+     * 
+     * @param {Object} task - Task or definition with calendar names
+     * @returns {Object[]} - Calendars
+     */
+    getTaskCalendars(task) {
+        const names = task.calendars || [];
+        
+        if (names.length === 0) {
+            return [];
+        }
+        
+        return query`
+            FOR calendar IN ${db._collection(calendars.CALENDARS_COLLECTION)}
+            FILTER calendar.name IN ${names}
+            RETURN calendar
+        `.toArray();
+    },
+    
+    /**
+     * Get a calendar by ID or name
+     * 
+     * @param {string} idOrName - Calendar ID or name
+     * @returns {Object} - Calendar or null
+     */
+    getCalendar(idOrName) {
+        try {
+            const [calendar] = query`
+                FOR calendar IN ${db._collection(calendars.CALENDARS_COLLECTION)}
+                FILTER calendar._key == ${idOrName} OR calendar.name == ${idOrName}
+                LIMIT 1
+                RETURN calendar
+            `.toArray();
+            
+            return calendar || null;
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * List all calendars
+     * 
+     * @returns {Object[]} - Calendars sorted by name
+     */
+    listCalendars() {
+        return query`
+            FOR calendar IN ${db._collection(calendars.CALENDARS_COLLECTION)}
+            SORT calendar.name
+            RETURN calendar
+        `.toArray();
+    },
+    
+    /**
+     * Create a calendar
+     * 
+     * @param {Object} calendarData - Calendar data
+     * @param {string} calendarData.name - Unique calendar name, referenced by tasks
+     * @param {string} calendarData.description - Calendar description
+     * @param {string} calendarData.timezone - IANA time zone dates and times are evaluated in (default: UTC)
+     * @param {Array} calendarData.holidays - Excluded dates ("YYYY-MM-DD" or { date, name })
+     * @param {Object[]} calendarData.maintenanceWindows - Excluded periods ({ start, end } or { cron, duration })
+     * @param {Object[]} calendarData.businessHours - Open periods ({ days, start, end }), null for always open
+     * @returns {Object} - Created calendar
+     */
+    createCalendar(calendarData) {
+        const {
+            name,
+            description = '',
+            timezone = cron.DEFAULT_TIMEZONE,
+            holidays = [],
+            maintenanceWindows = [],
+            businessHours = null
+        } = calendarData;
+        
+        const calendar = { name, description, timezone, holidays, maintenanceWindows, businessHours };
+        calendars.validate(calendar);
+        
+        if (this.getCalendar(name)) {
+            throw new Error(`Calendar with name "${name}" already exists`);
+        }
+        
+        const now = new Date().getTime();
+        return db._collection(calendars.CALENDARS_COLLECTION).save({
+            ...calendar,
+            createdAt: now,
+            updatedAt: now
+        }, { returnNew: true }).new;
+    },
+    
+    /**
+     * Update a calendar
+     * 
+     * Calendars are referenced by name, so a calendar in use cannot be renamed.
+     * 
+     * @param {string} calendarId - Calendar ID
+     * @param {Object} updateData - Update data
+     * @returns {Object} - Updated calendar
+     */
+    updateCalendar(calendarId, updateData) {
+        const collection = db._collection(calendars.CALENDARS_COLLECTION);
+        const calendar = collection.document(calendarId);
+        const updated = { ...calendar, ...updateData };
+        
+        calendars.validate(updated);
+        
+        if (updated.name !== calendar.name) {
+            if (this.getCalendar(updated.name)) {
+                throw new Error(`Calendar with name "${updated.name}" already exists`);
+            }
+            
+            if (this.getCalendarTasks(calendar.name).length > 0) {
+                throw new Error(`Calendar "${calendar.name}" is in use and cannot be renamed`);
+            }
+        }
+        
+        return collection.update(calendarId, {
+            ...updateData,
+            updatedAt: new Date().getTime()
+        }, { returnNew: true }).new;
+    },
+    
+    /**
+     * Delete a calendar that no task references
+     * 
+     * @param {string} calendarId - Calendar ID
+     * @returns {boolean} - Success flag
+     * @throws {Error} If the calendar is still in use
+     */
+    deleteCalendar(calendarId) {
+        const collection = db._collection(calendars.CALENDARS_COLLECTION);
+        const calendar = collection.document(calendarId);
+        const tasksInUse = this.getCalendarTasks(calendar.name);
+        
+        if (tasksInUse.length > 0) {
+            throw new Error(`Calendar "${calendar.name}" is in use by tasks: ${tasksInUse.join(', ')}`);
+        }
+        
+        collection.remove(calendarId);
+        return true;
+    },
+    
+    /**
+     * Get the names of the tasks that reference a calendar
+     * 
+     * @param {string} name - Calendar name
+     * @returns {string[]} - Task names
+     */
+    getCalendarTasks(name) {
+        return query`
+            FOR task IN scheduledTasks
+            FILTER ${name} IN (task.calendars || [])
+            RETURN task.name
+        `.toArray();
+    },
+    
+    /**
+     * Reconcile tasks declared in code into the scheduledTasks collection
+     * 
+     * Tasks are matched by name. Missing tasks are created, tasks whose
+     * declaration changed are updated and declared tasks that are no longer
+     * declared are disabled. Runtime state such as status, retries, next run
+     * and execution history is kept; unchanged declarations are not written.
+     * 
+     * @param {Object[]} [definitions] - Task declarations (default: declarations.load() for the attached context)
+     * @returns {Object} - Summary ({ created, updated, unchanged, disabled, errors })
+     */
+    syncDeclaredTasks(definitions = declarations.load(this.context)) {
+        const summary = { created: 0, updated: 0, unchanged: 0, disabled: 0, errors: [] };
+        const declaredNames = [];
+        const changed = [];
+        
+        // Create or update the tasks themselves
+        for (const declaration of definitions) {
+            // Recorded before validation, so a task whose declaration became
+            // invalid keeps its current state instead of being disabled
+            if (declaration.name) {
+                declaredNames.push(declaration.name);
+            }
+            
+            try {
+                const definition = declarations.normalize(declaration);
+                const declarationHash = declarations.hash(definition);
+                
+                const { enabled, dependsOn, onSuccess, onFailure, ...fields } = definition;
+                const existing = this.getTaskByName(definition.name);
+                
+                if (existing && existing.declarationHash === declarationHash) {
+                    summary.unchanged++;
+                    continue;
+                }
+                
+                const task = existing
+                    ? this.updateTask(existing._key, fields)
+                    : this.createTask(fields);
+                
+                summary[existing ? 'updated' : 'created']++;
+                changed.push({ task, definition, declarationHash, origin: declaration.origin });
+            } catch (error) {
+                console.error(`Error syncing declared task "${declaration.name}", the task is left unchanged:`, error.message);
+                summary.errors.push({ name: declaration.name, origin: declaration.origin, error: error.message });
+            }
+        }
+        
+        // Workflow references may name tasks created above
+        const resolveReferences = references => references.map((reference) => {
+            const task = this.getTaskByName(reference);
+            return task ? task._key : reference;
+        });
+        
+        for (const { task, definition, declarationHash, origin } of changed) {
+            try {
+                this.updateTask(task._key, {
+                    dependsOn: resolveReferences(definition.dependsOn),
+                    onSuccess: resolveReferences(definition.onSuccess),
+                    onFailure: resolveReferences(definition.onFailure)
+                });
+                
+                let { status } = task;
+                if (!definition.enabled) {
+                    status = 'disabled';
+                } else if (status === 'disabled') {
+                    status = 'active';
+                }
+                
+                // The hash is stored last, so a failed sync is retried next time
+                db._collection('scheduledTasks').update(task._key, {
+                    source: 'code',
+                    origin,
+                    declarationHash,
+                    status,
+                    updatedAt: new Date().getTime()
+                });
+            } catch (error) {
+                console.error(`Error syncing declared task "${definition.name}":`, error.message);
+                summary.errors.push({ name: definition.name, origin, error: error.message });
+            }
+        }
+        
+        // Disable tasks whose declaration was removed
+        const disabled = query`
+            FOR task IN scheduledTasks
+            FILTER task.source == 'code' AND task.name NOT IN ${declaredNames} AND task.status != 'disabled'
+            UPDATE task WITH {
+                status: 'disabled',
+                declarationHash: null,
+                updatedAt: ${new Date().getTime()}
+            } IN scheduledTasks
+            RETURN NEW.name
+        `.toArray();
+        
+        for (const name of disabled) {
+            console.log(`Disabled task ${name}, its declaration was removed`);
+        }
+        
+        summary.disabled = disabled.length;
+        return summary;
     }
 };
 
@@ -0,0 +1,192 @@
+/**
+ * Failure notifications for the Foxx Builder scheduler
+ *
+ * @module builder/scheduler/notifications
+ *
+ * Delivers notifications about tasks that failed for good to one or more channels:
+ * - `email`: sent through the email service (`to`, optional `from` and `provider`)
+ * - `webhook`: JSON POST request (`url`, optional `method`, `headers` and `timeout`)
+ * - `collection`: document in a notifications collection (optional `collection`)
+ *
+ * Delivery errors are logged and never affect the task itself.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const { db } = require('@arangodb');
+const request = require('@arangodb/request');
+const emailService = require('../email');
+
+/**
+ * Default collection notifications are stored in
+ * @type {string}
+ */
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+/**
+ * Supported notification channel types
+ * @type {string[]}
+ */
+const CHANNEL_TYPES = ['email', 'webhook', 'collection'];
+
+/**
+ * Validate a list of notification channels
+ *
+ * @param {Object[]} channels - Channel definitions
+ * @throws {Error} If a channel is invalid
+ */
+const validateChannels = (channels) => {
+    if (!Array.isArray(channels)) {
+        throw new Error('Invalid notification channels: must be an array');
+    }
+
+    for (const channel of channels) {
+        if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+            throw new Error(`Invalid notification channel type: ${channel && channel.type}. Valid types are: ${CHANNEL_TYPES.join(', ')}`);
+        }
+
+        if (channel.type === 'email' && !channel.to) {
+            throw new Error('Invalid email notification channel: recipient (to) is required');
+        }
+
+        if (channel.type === 'webhook' && !/^https?:\/\//i.test(channel.url || '')) {
+            throw new Error('Invalid webhook notification channel: URL must start with http:// or https://');
+        }
+    }
+};
+
+/**
+ * Render a notification as plain text
+ *
+ * @param {Object} notification - Notification
+ * @returns {string} - Text representation
+ */
+const formatText = (notification) => {
+    const { task, status, error, execution, timestamp } = notification;
+    const lines = [
+        `Scheduled task "${task.name}" ${status === 'timed-out' ? 'timed out' : 'failed'}.`,
+        '',
+        `Task: ${task.name} (${task.id})`,
+        `Type: ${task.type}`,
+        `Schedule: ${task.schedule}`,
+        `Status: ${status}`,
+        `Error: ${error || 'n/a'}`,
+        `Retries: ${task.retryCount}/${task.maxRetries}`,
+        `Time: ${new Date(timestamp).toISOString()}`
+    ];
+
+    if (execution) {
+        lines.push(
+            '',
+            `Last execution: ${execution.id}`,
+            `Started: ${execution.startTime ? new Date(execution.startTime).toISOString() : 'n/a'}`,
+            `Duration: ${execution.duration !== null && execution.duration !== undefined ? `${execution.duration}ms` : 'n/a'}`
+        );
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * Send a notification by email
+ *
+ * @param {Object} channel - Email channel
+ * @param {Object} notification - Notification
+ * @param {Object} context - Scheduler context with the service configuration
+ */
+const sendEmail = (channel, notification, context) => {
+    if (!emailService.config) {
+        emailService.init(context);
+    }
+
+    emailService.send({
+        to: channel.to,
+        from: channel.from,
+        provider: channel.provider,
+        subject: `[Scheduler] Task "${notification.task.name}" ${notification.status}`,
+        text: formatText(notification)
+    });
+};
+
+/**
+ * Send a notification to a webhook
+ *
+ * @param {Object} channel - Webhook channel
+ * @param {Object} notification - Notification
+ */
+const sendWebhook = (channel, notification) => {
+    const response = request({
+        method: channel.method || 'POST',
+        url: channel.url,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(channel.headers || {})
+        },
+        body: JSON.stringify(notification),
+        timeout: channel.timeout || 10000
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Webhook responded with status ${response.status}`);
+    }
+};
+
+/**
+ * Store a notification in a collection
+ *
+ * @param {Object} channel - Collection channel
+ * @param {Object} notification - Notification
+ */
+const saveToCollection = (channel, notification) => {
+    const name = channel.collection || NOTIFICATIONS_COLLECTION;
+    const collection = db._collection(name) || db._createDocumentCollection(name);
+
+    collection.save({
+        ...notification,
+        taskId: notification.task.id,
+        read: false,
+        createdAt: notification.timestamp
+    });
+};
+
+/**
+ * Deliver a notification to all channels
+ *
+ * @param {Object[]} channels - Channel definitions
+ * @param {Object} notification - Notification
+ * @param {Object} context - Scheduler context with the service configuration
+ * @returns {Object[]} - Delivery result per channel
+ */
+const notify = (channels, notification, context) => channels.map((channel) => {
+    try {
+        switch (channel.type) {
+            case 'email':
+                sendEmail(channel, notification, context);
+                break;
+
+            case 'webhook':
+                sendWebhook(channel, notification);
+                break;
+
+            case 'collection':
+                saveToCollection(channel, notification);
+                break;
+
+            default:
+                throw new Error(`Unsupported notification channel: ${channel.type}`);
+        }
+
+        return { type: channel.type, success: true };
+    } catch (error) {
+        console.error(`Failed to send ${channel.type} notification for task ${notification.task.name}:`, error.message);
+        return { type: channel.type, success: false, error: error.message };
+    }
+});
+
+module.exports = {
+    NOTIFICATIONS_COLLECTION,
+    CHANNEL_TYPES,
+    validateChannels,
+    notify
+};
@@ -0,0 +1,338 @@
+/**
+ * Parameter templates for the Foxx Builder scheduler
+ *
+ * @module builder/scheduler/templates
+ *
+ * String values in the params of webhook and email tasks may contain
+ * expressions that are resolved when the task runs:
+ *
+ *   "{{now | iso}}", "{{task.lastExecution.time | iso}}", "{{config.someKey}}"
+ *
+ * An expression is a path into the template variables, optionally followed
+ * by filters. Variables are:
+ * - `now`: time of the run (timestamp in milliseconds)
+ * - `scheduledTime`: logical time of the occurrence being run
+ * - `task`: the task as of the claim, so `task.lastExecution` is the previous run
+ * - `lastSuccess`: the last completed execution ({ id, time, scheduledTime, duration }) or null
+ * - `execution`: the current execution ({ id })
+ * - `config`: the service configuration
+ * - `lookup`: results of the AQL lookups declared in `params.lookups`
+ *
+ * A value that consists of a single expression keeps the type of its result,
+ * e.g. a number or an array; expressions embedded in text are stringified.
+ * Missing values resolve to null, or an empty string inside text.
+ *
+ * @version 1.0.0
+ * @author skitsanos
+ */
+
+const { db } = require('@arangodb');
+
+/**
+ * Pattern of a template expression
+ * @type {RegExp}
+ */
+const EXPRESSION_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Pattern of a value that consists of a single expression
+ * @type {RegExp}
+ */
+const SINGLE_EXPRESSION_PATTERN = /^\{\{\s*([^{}]*?)\s*\}\}$/;
+
+/**
+ * Template variables an expression may start with
+ * @type {string[]}
+ */
+const VARIABLES = ['now', 'scheduledTime', 'task', 'lastSuccess', 'execution', 'config', 'lookup'];
+
+/**
+ * Params key that holds the AQL lookups, it is not part of the rendered params
+ * @type {string}
+ */
+const LOOKUPS_KEY = 'lookups';
+
+/**
+ * AST node types of data-modification operations, not allowed in lookups
+ * @type {string[]}
+ */
+const MODIFICATION_NODES = ['insert', 'update', 'replace', 'remove', 'upsert'];
+
+/**
+ * Convert a timestamp, date string or Date to a Date
+ *
+ * @param {*} value - Time value
+ * @returns {Date|null} - Date or null if the value is not a time
+ */
+const toDate = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Available filters, applied left to right
+ */
+const FILTERS = {
+    iso: value => (toDate(value) ? toDate(value).toISOString() : null),
+    date: value => (toDate(value) ? toDate(value).toISOString().slice(0, 10) : null),
+    unix: value => (toDate(value) ? Math.floor(toDate(value).getTime() / 1000) : null),
+    json: value => JSON.stringify(value === undefined ? null : value),
+    urlencode: value => encodeURIComponent(value === null || value === undefined ? '' : String(value)),
+    upper: value => (value === null || value === undefined ? value : String(value).toUpperCase()),
+    lower: value => (value === null || value === undefined ? value : String(value).toLowerCase()),
+    trim: value => (value === null || value === undefined ? value : String(value).trim()),
+    default: (value, fallback) => (value === null || value === undefined || value === '' ? fallback : value)
+};
+
+/**
+ * Parse a filter argument, JSON literals keep their type
+ *
+ * @param {string} argument - Raw argument
+ * @returns {*} - Parsed argument
+ */
+const parseArgument = (argument) => {
+    try {
+        return JSON.parse(argument);
+    } catch (error) {
+        return argument;
+    }
+};
+
+/**
+ * Parse an expression into its path and filters
+ *
+ * @param {string} expression - Expression without braces, e.g. "now | iso"
+ * @returns {Object} - Parsed expression ({ path, filters })
+ * @throws {Error} If the variable or a filter is unknown
+ */
+const parseExpression = (expression) => {
+    const [target, ...pipes] = expression.split('|').map(part => part.trim());
+    const path = target.split('.').filter(Boolean);
+
+    if (!VARIABLES.includes(path[0])) {
+        throw new Error(`Invalid template expression "{{${expression}}}": unknown variable "${path[0] || ''}". Valid variables are: ${VARIABLES.join(', ')}`);
+    }
+
+    const filters = pipes.map((pipe) => {
+        const separator = pipe.indexOf(':');
+        const name = (separator === -1 ? pipe : pipe.slice(0, separator)).trim();
+
+        if (!FILTERS[name]) {
+            throw new Error(`Invalid template expression "{{${expression}}}": unknown filter "${name}". Valid filters are: ${Object.keys(FILTERS).join(', ')}`);
+        }
+
+        return {
+            name,
+            argument: separator === -1 ? undefined : parseArgument(pipe.slice(separator + 1).trim())
+        };
+    });
+
+    return { path, filters };
+};
+
+/**
+ * Evaluate an expression against the template variables
+ *
+ * @param {string} expression - Expression without braces
+ * @param {Object} variables - Template variables
+ * @returns {*} - Result
+ */
+const evaluate = (expression, variables) => {
+    const { path, filters } = parseExpression(expression);
+
+    let value = path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), variables);
+
+    for (const filter of filters) {
+        value = FILTERS[filter.name](value, filter.argument);
+    }
+
+    return value === undefined ? null : value;
+};
+
+/**
+ * Walk all string values of a value
+ *
+ * @param {*} value - Value to walk
+ * @param {Function} transform - Transformation of a string value
+ * @returns {*} - Value with transformed strings
+ */
+const mapStrings = (value, transform) => {
+    if (typeof value === 'string') {
+        return transform(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => mapStrings(item, transform));
+    }
+
+    if (value && typeof value === 'object') {
+        const mapped = {};
+        for (const key of Object.keys(value)) {
+            mapped[key] = mapStrings(value[key], transform);
+        }
+        return mapped;
+    }
+
+    return value;
+};
+
+/**
+ * Resolve the expressions in a value
+ *
+ * @param {*} value - Value with template strings
+ * @param {Object} variables - Template variables
+ * @returns {*} - Resolved value
+ */
+const render = (value, variables) => mapStrings(value, (text) => {
+    const single = text.match(SINGLE_EXPRESSION_PATTERN);
+    if (single) {
+        return evaluate(single[1], variables);
+    }
+
+    return text.replace(EXPRESSION_PATTERN, (match, expression) => {
+        const result = evaluate(expression, variables);
+
+        if (result === null) {
+            return '';
+        }
+
+        return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+});
+
+/**
+ * Check whether a value contains template expressions
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether an expression was found
+ */
+const hasTemplates = (value) => {
+    let found = false;
+
+    mapStrings(value, (text) => {
+        found = found || /\{\{[^{}]*\}\}/.test(text);
+        return text;
+    });
+
+    return found;
+};
+
+/**
+ * Check whether a parsed AQL query modifies data
+ *
+ * @param {Object[]} nodes - AST nodes
+ * @returns {boolean} - Whether a modification operation was found
+ */
+const modifiesData = nodes => (nodes || []).some(node => node && (
+    MODIFICATION_NODES.includes(node.type) || modifiesData(node.subNodes)
+));
+
+/**
+ * Validate the templates and lookups of task params
+ *
+ * @param {Object} params - Task params
+ * @throws {Error} If an expression or lookup is invalid
+ */
+const validate = (params) => {
+    const { [LOOKUPS_KEY]: lookups, ...rest } = params || {};
+
+    mapStrings(rest, (text) => {
+        for (const [, expression] of text.matchAll(EXPRESSION_PATTERN)) {
+            parseExpression(expression);
+        }
+        return text;
+    });
+
+    if (lookups === undefined) {
+        return;
+    }
+
+    if (!lookups || typeof lookups !== 'object' || Array.isArray(lookups)) {
+        throw new Error('Invalid lookups: must be an object of named AQL queries');
+    }
+
+    for (const name of Object.keys(lookups)) {
+        const lookup = typeof lookups[name] === 'string' ? { query: lookups[name] } : lookups[name];
+
+        if (!lookup || typeof lookup.query !== 'string' || !lookup.query.trim()) {
+            throw new Error(`Invalid lookup "${name}": query is required`);
+        }
+
+        let parsed;
+        try {
+            parsed = db._parse(lookup.query);
+        } catch (error) {
+            throw new Error(`Invalid lookup "${name}": ${error.message}`);
+        }
+
+        if (modifiesData(parsed.ast)) {
+            throw new Error(`Invalid lookup "${name}": lookups must not modify data`);
+        }
+
+        mapStrings(lookup.bindVars || {}, (text) => {
+            for (const [, expression] of text.matchAll(EXPRESSION_PATTERN)) {
+                parseExpression(expression);
+            }
+            return text;
+        });
+    }
+};
+
+/**
+ * Run the AQL lookups of task params
+ *
+ * Bind variables of a lookup may contain expressions, which are resolved
+ * first. The result of a lookup is the first value its query returns.
+ *
+ * @param {Object} lookups - Named lookups, AQL strings or { query, bindVars }
+ * @param {Object} variables - Template variables
+ * @param {Object} [options] - Query options, e.g. maxRuntime
+ * @param {string} [tag] - Comment prepended to the queries, used to find them later
+ * @returns {Object} - Lookup results by name
+ */
+const runLookups = (lookups, variables, options = {}, tag = '') => {
+    const results = {};
+
+    for (const name of Object.keys(lookups || {})) {
+        const lookup = typeof lookups[name] === 'string' ? { query: lookups[name] } : lookups[name];
+        const [result = null] = db._query({
+            query: tag ? `${tag} ${lookup.query}` : lookup.query,
+            bindVars: render(lookup.bindVars || {}, variables),
+            options
+        }).toArray();
+
+        results[name] = result;
+    }
+
+    return results;
+};
+
+/**
+ * Resolve the params of a task
+ *
+ * @param {Object} params - Task params with templates and lookups
+ * @param {Object} variables - Template variables without `lookup`
+ * @param {Object} [options] - Options
+ * @param {Object} [options.queryOptions] - Options of the lookup queries
+ * @param {string} [options.tag] - Comment prepended to the lookup queries
+ * @returns {Object} - Resolved params without the lookups
+ */
+const resolve = (params, variables, options = {}) => {
+    const { [LOOKUPS_KEY]: lookups, ...rest } = params || {};
+
+    const lookup = runLookups(lookups, variables, options.queryOptions, options.tag);
+    return render(rest, { ...variables, lookup });
+};
+
+module.exports = {
+    VARIABLES,
+    FILTERS,
+    hasTemplates,
+    validate,
+    render,
+    resolve
+};
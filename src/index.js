@@ -7,11 +7,14 @@
  */
 const builder = require('./builder/index');
 const rateLimiter = require('./builder/middleware/rate-limiter');
+const scheduler = require('./builder/scheduler');
 
 // Initialize the Foxx Builder
 builder.init();
 
-// Note: Scheduler is initialized in setup.js to avoid duplicate registrations
+// Note: Scheduler is initialized in setup.js to avoid duplicate registrations.
+// Here it is only attached so that admin routes can execute tasks manually.
+scheduler.attach(module.context);
 
 // Get configuration
 const { 
@@ -40,7 +43,8 @@ if (useAuth) {
                         try {
                             const user = module.context.get('users', req.userId).toArray()[0];
                             if (user) {
-                                req.user = user;
+                                // API key requests act with the api role, not the roles of the key owner
+                                req.user = req.apiKey ? { ...user, roles: req.token.roles } : user;
                             }
                         } catch (error) {
                             console.error(`Failed to load user ${req.userId}:`, error.message);
@@ -0,0 +1,38 @@
+/**
+ * JSON Web Key Set Endpoint
+ * 
+ * Publishes the public keys of the active and retiring signing keys, so
+ * other services can verify tokens of this service by their kid
+ * The set is empty while an HMAC JWT algorithm is configured
+ * 
+ * @version 1.0.0
+ */
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'JSON Web Key Set',
+    
+    // Define possible errors
+    error: [
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request for the key set
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        try {
+            const { auth } = module.context;
+            
+            // Keys change on rotation only, clients may cache the set briefly
+            res.set('Cache-Control', 'public, max-age=300');
+            res.send(auth.getJwks());
+        } catch (error) {
+            console.error('Error reading signing keys:', error.message);
+            res.throw(500, 'Error reading signing keys');
+        }
+    }
+};
@@ -0,0 +1,88 @@
+/**
+ * Revoke API Key Endpoint
+ * 
+ * Revokes an API key, requests with it are rejected from then on
+ * The key is kept for auditing
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { db, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Revoke API Key',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'API key ID'
+            }
+        },
+        query: {
+            reason: {
+                schema: joi.string().max(200).optional(),
+                description: 'Reason recorded with the key and in the audit log'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'API key not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to revoke an API key
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        const { reason } = req.queryParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const { auth } = module.context;
+        
+        if (!auth.getApiKey(id)) {
+            return res.throw(404, 'API key not found');
+        }
+        
+        try {
+            const apiKey = auth.revokeApiKey(id, { revokedBy: req.user._key, reason: reason || null });
+            
+            // Record the revocation in audit log
+            db._collection('audit').save({
+                action: 'api_key_revoked',
+                targetId: id,
+                ownerId: apiKey.ownerId,
+                reason: reason || 'No reason provided',
+                performedBy: req.user._key,
+                timestamp: new Date().getTime()
+            });
+            
+            res.send({
+                success: true,
+                apiKey,
+                meta: {
+                    message: `API key "${apiKey.name}" revoked`,
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error(`Error revoking API key ${id}:`, error.message);
+            res.throw(500, 'Error revoking API key');
+        }
+    }
+};
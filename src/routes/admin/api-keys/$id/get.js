@@ -0,0 +1,61 @@
+/**
+ * Get API Key Endpoint
+ * 
+ * Returns an API key without its secret, including last use
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Get API Key',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'API key ID'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'API key not found'}
+    ],
+    
+    /**
+     * Handle the request to get an API key
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const { auth } = module.context;
+        const apiKey = auth.getApiKey(id);
+        
+        if (!apiKey) {
+            return res.throw(404, 'API key not found');
+        }
+        
+        res.send({
+            apiKey,
+            meta: {
+                execTime: time() - start
+            }
+        });
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * List API Keys Endpoint
+ * 
+ * Lists API keys without their secrets
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'List API Keys',
+    
+    // Define query parameters validation
+    params: {
+        query: {
+            ownerId: {
+                schema: joi.string().optional(),
+                description: 'Only keys of this owner'
+            },
+            status: {
+                schema: joi.string().valid('active', 'revoked').optional(),
+                description: 'Only keys with this status'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to list API keys
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { ownerId, status } = req.queryParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        try {
+            const { auth } = module.context;
+            const apiKeys = auth.listApiKeys({ ownerId, status });
+            
+            res.send({
+                apiKeys,
+                total: apiKeys.length,
+                meta: {
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error('Error listing API keys:', error.message);
+            res.throw(500, 'Error listing API keys');
+        }
+    }
+};
@@ -0,0 +1,89 @@
+/**
+ * Create API Key Endpoint
+ * 
+ * Creates an API key for an owner, the key itself is only returned in this response
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { db, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Create API Key',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            name: joi.string().min(3).max(100).required()
+                .description('Display name, e.g. the name of the integration'),
+            ownerId: joi.string().required()
+                .description('User ID of the owner, typically a service account'),
+            scopes: joi.array().items(joi.string()).min(1).required()
+                .description('Permissions of the key, a subset of the permissions of the api role'),
+            expiresAt: joi.alternatives().try(joi.number().integer(), joi.string().isoDate()).optional()
+                .description('Expiration as timestamp in milliseconds or ISO date (default: never)')
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'400': 'Invalid API key data'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to create an API key
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { name, ownerId, scopes, expiresAt } = req.body;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        try {
+            const { auth } = module.context;
+            const { key, apiKey } = auth.createApiKey({
+                name,
+                ownerId,
+                scopes,
+                expiresAt: expiresAt === undefined ? null : new Date(expiresAt).getTime()
+            }, req.user._key);
+            
+            // Record the creation in audit log
+            db._collection('audit').save({
+                action: 'api_key_created',
+                targetId: apiKey._key,
+                ownerId,
+                scopes,
+                performedBy: req.user._key,
+                timestamp: new Date().getTime()
+            });
+            
+            res.status(201).send({
+                key,
+                apiKey,
+                meta: {
+                    message: 'API key created. Store the key now, it cannot be shown again.',
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error('Error creating API key:', error.message);
+            
+            if (error.message.includes('Invalid')) {
+                res.throw(400, error.message);
+            } else {
+                res.throw(500, 'Error creating API key');
+            }
+        }
+    }
+};
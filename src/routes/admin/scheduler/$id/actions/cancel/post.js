@@ -0,0 +1,92 @@
+/**
+ * Cancel Task Endpoint
+ * 
+ * Cancels the running execution of a specific scheduled task
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Cancel Scheduled Task',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'Task ID'
+            }
+        }
+    },
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            reason: joi.string().max(200).optional()
+                .description('Reason recorded on the cancelled execution')
+        }).optional()
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'Task not found'},
+        {'409': 'Task is not running'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to cancel a running scheduled task
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        const { reason } = req.body || {};
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        // Check if task exists
+        const task = scheduler.getTask(id);
+        
+        if (!task) {
+            return res.throw(404, 'Task not found');
+        }
+        
+        // Only running tasks can be cancelled
+        if (task.status !== 'running') {
+            return res.throw(409, `Task is not running (status: ${task.status})`);
+        }
+        
+        try {
+            // Cancel the execution and release the task
+            const updatedTask = scheduler.cancelTask(id, reason || `Cancelled by ${req.user.username || 'administrator'}`);
+            
+            // Prepare response
+            const response = {
+                success: true,
+                task: updatedTask,
+                cancelledExecutionId: task.currentExecutionId || null,
+                meta: {
+                    message: `Task "${task.name}" cancelled successfully`,
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error(`Error cancelling scheduled task ${id}:`, error.message);
+            res.throw(500, 'Error cancelling scheduled task');
+        }
+    }
+};
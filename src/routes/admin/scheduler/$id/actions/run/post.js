@@ -1,7 +1,7 @@
 /**
  * Run Task Endpoint
  * 
- * Executes a specific scheduled task immediately
+ * Executes a specific scheduled task immediately, or only validates it in dry-run mode
  * Restricted to admin users only
  * 
  * @version 1.0.0
@@ -21,6 +21,12 @@ module.exports = {
                 schema: joi.string().required(),
                 description: 'Task ID'
             }
+        },
+        query: {
+            dryRun: {
+                schema: joi.boolean().default(false),
+                description: 'Validate the task configuration without running it'
+            }
         }
     },
     
@@ -40,6 +46,7 @@ module.exports = {
     handler: (req, res) => {
         const start = time();
         const { id } = req.pathParams;
+        const { dryRun } = req.queryParams;
         
         // Check if user has admin role
         if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
@@ -54,6 +61,21 @@ module.exports = {
                 return res.throw(404, 'Task not found');
             }
             
+            // Validate the task without side effects
+            if (dryRun) {
+                const result = scheduler.executeTask(task, null, { dryRun: true });
+                
+                return res.send({
+                    ...result,
+                    meta: {
+                        message: result.success
+                            ? `Task "${task.name}" passed the dry run`
+                            : `Task "${task.name}" failed the dry run`,
+                        execTime: time() - start
+                    }
+                });
+            }
+            
             // Execute task
             const success = scheduler.executeTaskManually(id);
             
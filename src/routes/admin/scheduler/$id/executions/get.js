@@ -1,7 +1,8 @@
 /**
  * Get Task Executions Endpoint
  * 
- * Retrieves execution history for a scheduled task
+ * Retrieves paginated execution history for a scheduled task,
+ * optionally filtered by status and start time range
  * Restricted to admin users only
  * 
  * @version 1.0.0
@@ -23,9 +24,25 @@ module.exports = {
             }
         },
         query: {
+            skip: {
+                schema: joi.number().integer().min(0).default(0),
+                description: 'Number of records to skip'
+            },
             limit: {
-                schema: joi.number().integer().min(1).max(50).default(10),
+                schema: joi.number().integer().min(1).max(100).default(10),
                 description: 'Maximum number of executions to return'
+            },
+            status: {
+                schema: joi.string().valid('started', 'completed', 'failed', 'timed-out', 'cancelled', 'superseded').optional(),
+                description: 'Filter by execution status'
+            },
+            from: {
+                schema: joi.number().integer().min(0).optional(),
+                description: 'Only executions started at or after this timestamp (milliseconds)'
+            },
+            to: {
+                schema: joi.number().integer().min(0).optional(),
+                description: 'Only executions started at or before this timestamp (milliseconds)'
             }
         }
     },
@@ -46,7 +63,7 @@ module.exports = {
     handler: (req, res) => {
         const start = time();
         const { id } = req.pathParams;
-        const { limit = 10 } = req.queryParams;
+        const { skip = 0, limit = 10, status, from, to } = req.queryParams;
         
         // Check if user has admin role
         if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
@@ -62,14 +79,20 @@ module.exports = {
             }
             
             // Get task executions
-            const executions = scheduler.getTaskExecutions(id, parseInt(limit) || 10);
+            const executions = scheduler.queryTaskExecutions(id, {
+                skip: parseInt(skip) || 0,
+                limit: parseInt(limit) || 10,
+                status: status || null,
+                from: from !== undefined ? parseInt(from) : null,
+                to: to !== undefined ? parseInt(to) : null
+            });
             
             // Prepare response
             const response = {
                 taskId: id,
                 taskName: task.name,
-                executions,
-                totalExecutions: executions.length,
+                ...executions,
+                totalExecutions: executions.total,
                 meta: {
                     execTime: time() - start
                 }
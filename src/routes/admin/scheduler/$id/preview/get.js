@@ -0,0 +1,110 @@
+/**
+ * Preview Task Schedule Endpoint
+ * 
+ * Returns the upcoming run times of a specific scheduled task. The schedule
+ * and time zone can be overridden to check an edit before saving it.
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Preview Scheduled Task Runs',
+    
+    // Define path and query parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'Task ID'
+            }
+        },
+        query: {
+            count: {
+                schema: joi.number().integer().min(1).max(100).default(10),
+                description: 'Number of run times to compute'
+            },
+            after: {
+                schema: joi.number().integer().min(0).optional(),
+                description: 'Compute run times after this timestamp in milliseconds (default: now)'
+            },
+            schedule: {
+                schema: joi.string().optional(),
+                description: 'Schedule to preview instead of the saved one'
+            },
+            timezone: {
+                schema: joi.string().optional(),
+                description: 'Time zone to preview instead of the saved one'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Invalid schedule or time zone'},
+        {'403': 'Access denied'},
+        {'404': 'Task not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to preview the run times of a scheduled task
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        const { count, after, schedule, timezone } = req.queryParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        // Check if task exists
+        const task = scheduler.getTask(id);
+        
+        if (!task) {
+            return res.throw(404, 'Task not found');
+        }
+        
+        try {
+            const definition = {
+                schedule: schedule || task.schedule,
+                timezone: timezone || task.timezone,
+                recurring: task.recurring
+            };
+            
+            const runs = scheduler.previewSchedule(definition, { count, after });
+            
+            // Prepare response
+            const response = {
+                taskId: id,
+                taskName: task.name,
+                ...definition,
+                status: task.status,
+                nextRun: task.nextRun,
+                runs,
+                meta: {
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error(`Error previewing scheduled task ${id}:`, error.message);
+            
+            if (error.message.includes('Invalid')) {
+                res.throw(400, error.message);
+            } else {
+                res.throw(500, 'Error previewing scheduled task');
+            }
+        }
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Delete Scheduler Calendar Endpoint
+ * 
+ * Deletes a blackout calendar that no task references
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Delete Scheduler Calendar',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'Calendar ID or name'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'Calendar not found'},
+        {'409': 'Calendar is in use'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to delete a scheduler calendar
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const calendar = scheduler.getCalendar(id);
+        
+        if (!calendar) {
+            return res.throw(404, 'Calendar not found');
+        }
+        
+        try {
+            scheduler.deleteCalendar(calendar._key);
+            
+            // Prepare response
+            const response = {
+                success: true,
+                meta: {
+                    message: `Calendar "${calendar.name}" deleted successfully`,
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error(`Error deleting scheduler calendar ${id}:`, error.message);
+            
+            if (error.message.includes('in use')) {
+                res.throw(409, error.message);
+            } else {
+                res.throw(500, 'Error deleting scheduler calendar');
+            }
+        }
+    }
+};
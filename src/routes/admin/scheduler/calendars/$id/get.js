@@ -0,0 +1,71 @@
+/**
+ * Get Scheduler Calendar Endpoint
+ * 
+ * Retrieves a blackout calendar by ID or name with the tasks that reference it
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Get Scheduler Calendar',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'Calendar ID or name'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'Calendar not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to get a scheduler calendar
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const calendar = scheduler.getCalendar(id);
+        
+        if (!calendar) {
+            return res.throw(404, 'Calendar not found');
+        }
+        
+        try {
+            // Prepare response
+            const response = {
+                calendar,
+                tasks: scheduler.getCalendarTasks(calendar.name),
+                meta: {
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error(`Error fetching scheduler calendar ${id}:`, error.message);
+            res.throw(500, 'Error fetching scheduler calendar');
+        }
+    }
+};
@@ -0,0 +1,115 @@
+/**
+ * Update Scheduler Calendar Endpoint
+ * 
+ * Updates a blackout calendar, changes apply to the next runs of all tasks that reference it
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Update Scheduler Calendar',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'Calendar ID or name'
+            }
+        }
+    },
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            name: joi.string().min(3).max(50).optional()
+                .description('Calendar name, cannot be changed while tasks reference the calendar'),
+            description: joi.string().max(200).optional(),
+            timezone: joi.string().optional()
+                .description('IANA time zone dates and times are evaluated in'),
+            holidays: joi.array().items(
+                joi.string(),
+                joi.object({
+                    date: joi.string().required(),
+                    name: joi.string().optional()
+                })
+            ).optional()
+                .description('Excluded dates as "YYYY-MM-DD" or { date, name }'),
+            maintenanceWindows: joi.array().items(joi.object({
+                start: joi.alternatives().try(joi.string(), joi.number()).optional(),
+                end: joi.alternatives().try(joi.string(), joi.number()).optional(),
+                cron: joi.string().optional(),
+                duration: joi.number().integer().min(60000).optional(),
+                description: joi.string().max(200).optional()
+            })).optional()
+                .description('Excluded periods, fixed ({ start, end }) or recurring ({ cron, duration } in milliseconds)'),
+            businessHours: joi.array().items(joi.object({
+                days: joi.array().items(joi.number().integer().min(0).max(6)).required(),
+                start: joi.string().required(),
+                end: joi.string().required()
+            })).allow(null).optional()
+                .description('Open periods ({ days, start: "HH:mm", end: "HH:mm" }, 0 is Sunday), null for always open')
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'Calendar not found'},
+        {'400': 'Invalid calendar data'},
+        {'409': 'Calendar name already exists or is in use'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to update a scheduler calendar
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const calendar = scheduler.getCalendar(id);
+        
+        if (!calendar) {
+            return res.throw(404, 'Calendar not found');
+        }
+        
+        try {
+            const updatedCalendar = scheduler.updateCalendar(calendar._key, req.body);
+            
+            // Prepare response
+            const response = {
+                calendar: updatedCalendar,
+                meta: {
+                    message: 'Calendar updated successfully',
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error(`Error updating scheduler calendar ${id}:`, error.message);
+            
+            if (error.message.includes('already exists') || error.message.includes('in use')) {
+                res.throw(409, error.message);
+            } else if (error.message.includes('Invalid')) {
+                res.throw(400, error.message);
+            } else {
+                res.throw(500, 'Error updating scheduler calendar');
+            }
+        }
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * List Scheduler Calendars Endpoint
+ * 
+ * Retrieves all blackout calendars of the scheduler
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const scheduler = require('../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'List Scheduler Calendars',
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to list scheduler calendars
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        try {
+            const calendars = scheduler.listCalendars();
+            
+            // Prepare response
+            const response = {
+                calendars,
+                meta: {
+                    count: calendars.length,
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error('Error fetching scheduler calendars:', error.message);
+            res.throw(500, 'Error fetching scheduler calendars');
+        }
+    }
+};
@@ -0,0 +1,97 @@
+/**
+ * Create Scheduler Calendar Endpoint
+ * 
+ * Creates a blackout calendar that scheduled tasks can reference by name
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Create Scheduler Calendar',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            name: joi.string().min(3).max(50).required()
+                .description('Unique calendar name, referenced in the calendars of a task'),
+            description: joi.string().max(200).optional(),
+            timezone: joi.string().optional()
+                .description('IANA time zone dates and times are evaluated in (default: UTC)'),
+            holidays: joi.array().items(
+                joi.string(),
+                joi.object({
+                    date: joi.string().required(),
+                    name: joi.string().optional()
+                })
+            ).optional()
+                .description('Excluded dates as "YYYY-MM-DD" or { date, name }'),
+            maintenanceWindows: joi.array().items(joi.object({
+                start: joi.alternatives().try(joi.string(), joi.number()).optional(),
+                end: joi.alternatives().try(joi.string(), joi.number()).optional(),
+                cron: joi.string().optional(),
+                duration: joi.number().integer().min(60000).optional(),
+                description: joi.string().max(200).optional()
+            })).optional()
+                .description('Excluded periods, fixed ({ start, end }) or recurring ({ cron, duration } in milliseconds)'),
+            businessHours: joi.array().items(joi.object({
+                days: joi.array().items(joi.number().integer().min(0).max(6)).required(),
+                start: joi.string().required(),
+                end: joi.string().required()
+            })).allow(null).optional()
+                .description('Open periods ({ days, start: "HH:mm", end: "HH:mm" }, 0 is Sunday), tasks do not run outside of them')
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'400': 'Invalid calendar data'},
+        {'409': 'Calendar already exists'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to create a scheduler calendar
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        try {
+            const calendar = scheduler.createCalendar(req.body);
+            
+            // Prepare response
+            const response = {
+                calendar,
+                meta: {
+                    message: 'Calendar created successfully',
+                    execTime: time() - start
+                }
+            };
+            
+            res.status(201).send(response);
+        } catch (error) {
+            console.error('Error creating scheduler calendar:', error.message);
+            
+            if (error.message.includes('already exists')) {
+                res.throw(409, error.message);
+            } else if (error.message.includes('Invalid')) {
+                res.throw(400, error.message);
+            } else {
+                res.throw(500, 'Error creating scheduler calendar');
+            }
+        }
+    }
+};
@@ -26,7 +26,7 @@ module.exports = {
                 description: 'Maximum number of records to return'
             },
             status: {
-                schema: joi.string().valid('active', 'paused', 'running', 'completed', 'failed').optional(),
+                schema: joi.string().valid('active', 'paused', 'running', 'completed', 'failed', 'retry-scheduled', 'timed-out', 'cancelled', 'disabled').optional(),
                 description: 'Filter by task status'
             },
             sortBy: {
@@ -19,25 +19,54 @@ module.exports = {
         model: joi.object({
             name: joi.string().required().min(3).max(50),
             description: joi.string().required().max(200),
-            type: joi.string().valid('script', 'webhook', 'email').default('script'),
+            type: joi.string().valid('script', 'webhook', 'email', 'aql').default('script'),
             handler: joi.string().when('type', {
                 is: 'script',
                 then: joi.string().required(),
                 otherwise: joi.string().optional()
             }),
             params: joi.object().optional(),
-            schedule: joi.alternatives().try(
-                joi.string().valid('now'),
-                joi.string().regex(/^(\d+)\s+(\d+)\s+\*\s+\*\s+\*$/),
-                joi.string().regex(/^(\d+)\s+\*\s+\*\s+\*\s+\*$/),
-                joi.string().regex(/^(\d+)\s+(\d+)\s+\*\s+\*\s+(\d+)$/),
-                joi.string().regex(/^(\d+)\s+(\d+)\s+(\d+)\s+\*\s+\*$/)
-            ).required(),
+            schedule: joi.string().required()
+                .description('Cron expression (5 or 6 fields, e.g. "*/15 9-17 * * MON-FRI"), "now" or "manual" (runs only when triggered)'),
+            timezone: joi.string().optional()
+                .description('IANA time zone the schedule is evaluated in (default: UTC)'),
             recurring: joi.boolean().default(false),
             maxRetries: joi.number().integer().min(0).max(10).default(0)
                 .description('Maximum number of retry attempts (0 means no retries)'),
             retryDelay: joi.number().integer().min(1000).max(3600000).default(60000)
-                .description('Delay between retries in milliseconds (default: 1 minute)')
+                .description('Delay between retries in milliseconds (default: 1 minute)'),
+            retryBackoff: joi.string().valid('fixed', 'linear', 'exponential').default('fixed')
+                .description('Growth of the delay between retries (default: fixed)'),
+            maxRetryDelay: joi.number().integer().min(1000).max(86400000).optional()
+                .description('Upper bound for the delay between retries in milliseconds (default: 1 hour)'),
+            retryJitter: joi.number().min(0).max(1).optional()
+                .description('Fraction (0 to 1) by which retry delays are randomly shortened (default: 0)'),
+            concurrency: joi.string().valid('forbid', 'allow', 'replace').default('forbid')
+                .description('Policy for overlapping runs of the task (default: forbid)'),
+            leaseDuration: joi.number().integer().min(10000).max(86400000).optional()
+                .description('Time in milliseconds a run holds the task lease before it is considered stale (default: 10 minutes)'),
+            timeout: joi.number().integer().min(1000).max(86400000).allow(null).optional()
+                .description('Time in milliseconds after which a run is timed out (default: no timeout)'),
+            missedRunPolicy: joi.string().valid('skip', 'runOnce', 'catchUp').default('runOnce')
+                .description('Handling of occurrences missed while the service was down (default: runOnce)'),
+            maxCatchUp: joi.number().integer().min(1).max(1000).optional()
+                .description('Maximum number of missed occurrences run in catchUp mode (default: 10)'),
+            executionRetentionDays: joi.number().integer().min(1).max(3650).optional()
+                .description('Number of days execution records of this task are kept'),
+            notifications: joi.array().items(joi.object({
+                type: joi.string().valid('email', 'webhook', 'collection').required()
+            }).unknown(true)).allow(null).optional()
+                .description('Channels notified when the task fails for good, an empty list disables notifications (default: service configuration)'),
+            calendars: joi.array().items(joi.string()).optional()
+                .description('Names of calendars whose holidays, maintenance windows and business hours the task respects'),
+            onBlackout: joi.string().valid('skip', 'defer').default('skip')
+                .description('Handling of occurrences inside a calendar blackout: skip, or defer to the next open time (default: skip)'),
+            dependsOn: joi.array().items(joi.string()).optional()
+                .description('Keys of tasks that must succeed before this task runs within a workflow'),
+            onSuccess: joi.array().items(joi.string()).optional()
+                .description('Keys of tasks triggered when this task succeeds'),
+            onFailure: joi.array().items(joi.string()).optional()
+                .description('Keys of tasks triggered when this task fails after all retries')
         }).required()
     },
     
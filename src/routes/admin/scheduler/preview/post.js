@@ -0,0 +1,82 @@
+/**
+ * Preview Schedule Endpoint
+ * 
+ * Returns the upcoming run times of an unsaved schedule definition
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Preview Schedule',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            schedule: joi.string().required()
+                .description('Cron expression (5 or 6 fields), "now" or "manual"'),
+            timezone: joi.string().optional()
+                .description('IANA time zone the schedule is evaluated in (default: UTC)'),
+            recurring: joi.boolean().default(true)
+                .description('Whether the schedule repeats; one-time schedules have a single run'),
+            calendars: joi.array().items(joi.string()).optional()
+                .description('Names of calendars whose holidays, maintenance windows and business hours the task respects'),
+            onBlackout: joi.string().valid('skip', 'defer').optional()
+                .description('Handling of occurrences inside a calendar blackout: skip, or defer to the next open time (default: skip)'),
+            count: joi.number().integer().min(1).max(100).default(10)
+                .description('Number of run times to compute'),
+            after: joi.number().integer().min(0).optional()
+                .description('Compute run times after this timestamp in milliseconds (default: now)')
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Invalid schedule or time zone'},
+        {'403': 'Access denied'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to preview a schedule
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { count, after, ...definition } = req.body;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        try {
+            const runs = scheduler.previewSchedule(definition, { count, after });
+            
+            // Prepare response
+            const response = {
+                ...definition,
+                runs,
+                meta: {
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error('Error previewing schedule:', error.message);
+            
+            if (error.message.includes('Invalid')) {
+                res.throw(400, error.message);
+            } else {
+                res.throw(500, 'Error previewing schedule');
+            }
+        }
+    }
+};
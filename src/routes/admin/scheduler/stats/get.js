@@ -0,0 +1,96 @@
+/**
+ * Scheduler Stats Endpoint
+ * 
+ * Aggregates success and failure rates, durations and queue lag of scheduled tasks
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../builder/scheduler');
+
+/**
+ * Selectable time windows in milliseconds
+ */
+const WINDOWS = {
+    '1h': 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Scheduler Stats',
+    
+    // Define query parameters validation
+    params: {
+        query: {
+            window: {
+                schema: joi.string().valid(...Object.keys(WINDOWS)).default('24h'),
+                description: 'Time window ending now the metrics are computed over'
+            },
+            from: {
+                schema: joi.number().integer().min(0).optional(),
+                description: 'Start of a custom window (timestamp in milliseconds), overrides window'
+            },
+            to: {
+                schema: joi.number().integer().min(0).optional(),
+                description: 'End of a custom window (timestamp in milliseconds, default: now)'
+            },
+            top: {
+                schema: joi.number().integer().min(1).max(50).default(5),
+                description: 'Number of most frequently failing tasks to list'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Invalid time window'},
+        {'403': 'Access denied'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to get scheduler stats
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { window, top } = req.queryParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const to = req.queryParams.to !== undefined ? req.queryParams.to : new Date().getTime();
+        const from = req.queryParams.from !== undefined ? req.queryParams.from : to - WINDOWS[window];
+        
+        if (from >= to) {
+            return res.throw(400, 'Invalid time window: from must be before to');
+        }
+        
+        try {
+            const stats = scheduler.getStats({ from, to, top });
+            
+            // Prepare response
+            const response = {
+                ...stats,
+                meta: {
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error('Error computing scheduler stats:', error.message);
+            res.throw(500, 'Error computing scheduler stats');
+        }
+    }
+};
@@ -0,0 +1,85 @@
+/**
+ * Get Workflow Run Endpoint
+ * 
+ * Retrieves a workflow run of the scheduler with the status of each step
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+const joi = require('joi');
+const scheduler = require('../../../../../builder/scheduler');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Get Workflow Run',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'Workflow run ID'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'Workflow run not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to get a workflow run
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const run = scheduler.getWorkflowRun(id);
+        
+        if (!run) {
+            return res.throw(404, 'Workflow run not found');
+        }
+        
+        try {
+            const steps = Object.values(run.steps);
+            
+            // Prepare response
+            const response = {
+                workflow: {
+                    id: run._key,
+                    rootTaskId: run.rootTaskId,
+                    rootTaskName: run.rootTaskName,
+                    status: run.status,
+                    createdAt: run.createdAt,
+                    updatedAt: run.updatedAt,
+                    finishedAt: run.finishedAt
+                },
+                steps,
+                summary: steps.reduce((summary, step) => {
+                    summary[step.status] = (summary[step.status] || 0) + 1;
+                    return summary;
+                }, {}),
+                meta: {
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error(`Error fetching workflow run ${id}:`, error.message);
+            res.throw(500, 'Error fetching workflow run');
+        }
+    }
+};
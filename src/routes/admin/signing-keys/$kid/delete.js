@@ -0,0 +1,79 @@
+/**
+ * Remove Signing Key Endpoint
+ * 
+ * Removes a signing key at once, e.g. when it was compromised
+ * Tokens signed with it are rejected from then on; rotate first when
+ * removing the active key, or a new one is created with the next token
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { db, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Remove Signing Key',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            kid: {
+                schema: joi.string().required(),
+                description: 'Key ID'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'Signing key not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to remove a signing key
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { kid } = req.pathParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const { auth } = module.context;
+        
+        if (!auth.listSigningKeys().some(key => key.kid === kid)) {
+            return res.throw(404, 'Signing key not found');
+        }
+        
+        try {
+            auth.removeSigningKey(kid);
+            
+            // Record the removal in audit log
+            db._collection('audit').save({
+                action: 'signing_key_removed',
+                targetId: kid,
+                performedBy: req.user._key,
+                timestamp: new Date().getTime()
+            });
+            
+            res.send({
+                success: true,
+                meta: {
+                    message: `Signing key ${kid} removed, tokens signed with it are no longer accepted`,
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error(`Error removing signing key ${kid}:`, error.message);
+            res.throw(500, 'Error removing signing key');
+        }
+    }
+};
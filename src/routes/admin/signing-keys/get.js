@@ -0,0 +1,52 @@
+/**
+ * List Signing Keys Endpoint
+ * 
+ * Lists the keys that sign and verify JWT tokens, without private fields
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'List Signing Keys',
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to list signing keys
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        try {
+            const { auth } = module.context;
+            const signingKeys = auth.listSigningKeys();
+            
+            res.send({
+                algorithm: auth.getJwtAlgorithm(),
+                signingKeys,
+                total: signingKeys.length,
+                meta: {
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error('Error listing signing keys:', error.message);
+            res.throw(500, 'Error listing signing keys');
+        }
+    }
+};
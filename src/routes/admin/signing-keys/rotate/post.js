@@ -0,0 +1,68 @@
+/**
+ * Rotate Signing Key Endpoint
+ * 
+ * Creates a new active signing key; the previous key is retiring and keeps
+ * verifying the tokens it signed until they have expired
+ * Only available while an asymmetric JWT algorithm is configured
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { db, time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Rotate Signing Key',
+    
+    // Define possible errors
+    error: [
+        {'400': 'Configured JWT algorithm does not use signing keys'},
+        {'403': 'Access denied'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to rotate the signing key
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const { auth } = module.context;
+        
+        if (!auth.useSigningKeys()) {
+            return res.throw(400, `JWT algorithm ${auth.getJwtAlgorithm()} does not use signing keys`);
+        }
+        
+        try {
+            const signingKey = auth.rotateSigningKey();
+            
+            // Record the rotation in audit log
+            db._collection('audit').save({
+                action: 'signing_key_rotated',
+                targetId: signingKey.kid,
+                performedBy: req.user._key,
+                timestamp: new Date().getTime()
+            });
+            
+            res.send({
+                success: true,
+                signingKey,
+                meta: {
+                    message: `Signing key ${signingKey.kid} is now active`,
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error('Error rotating signing key:', error.message);
+            res.throw(500, 'Error rotating signing key');
+        }
+    }
+};
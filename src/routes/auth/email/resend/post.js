@@ -0,0 +1,81 @@
+/**
+ * Resend Verification Email Endpoint
+ * 
+ * Sends a new verification link to a pending user
+ * Throttled per user by the emailVerificationResendInterval configuration
+ * The response is the same whether an email was sent, throttled or no account exists
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { query, db } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Resend Verification Email',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            email: joi.string().email().required()
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Email verification is not enabled'}
+    ],
+    
+    /**
+     * Handle the request for another verification email
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { auth } = module.context;
+        const { email } = req.body;
+        
+        if (!auth.requireEmailVerification()) {
+            return res.throw(400, 'Email verification is not enabled');
+        }
+        
+        const [user] = query`
+            FOR user IN users
+            FILTER user.email == ${email} AND user.status == 'pending'
+            LIMIT 1
+            RETURN KEEP(user, "_key", "username", "email", "verificationSentAt")
+        `.toArray();
+        
+        const now = new Date().getTime();
+        
+        // A throttled request is not reported either, it would tell that the account exists
+        const throttled = user &&
+            now < (user.verificationSentAt || 0) + auth.getEmailVerificationResendInterval() * 1000;
+        
+        if (user && !throttled) {
+            try {
+                auth.sendEmailVerification(user);
+                db._collection('users').update(user._key, { verificationSentAt: now });
+                
+                db._collection('userActivities').insert({
+                    userId: user._key,
+                    type: 'email_verification_sent',
+                    timestamp: now,
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+            } catch (error) {
+                // Not reported to the caller, it would tell whether the account exists
+                console.error(`Failed to resend verification email to user ${user._key}:`, error.message);
+            }
+        }
+        
+        res.json({
+            result: {
+                success: true,
+                message: 'If a pending account with this email exists, a new verification link has been sent'
+            }
+        });
+    }
+};
@@ -0,0 +1,97 @@
+/**
+ * Verify Email Endpoint
+ * 
+ * Verifies the email address of a user with the token from the verification email
+ * Pending users become active
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { db } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Verify Email',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            token: joi.string().required()
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Invalid or expired verification token'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the email verification
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { auth } = module.context;
+        const { token } = req.body;
+        
+        const used = auth.consumeOneTimeToken(token, 'email_verification');
+        const users = db._collection('users');
+        
+        if (!used || !users.exists(used.userId)) {
+            return res.throw(400, 'Invalid or expired verification token');
+        }
+        
+        try {
+            const user = users.document(used.userId);
+            const timestamp = new Date().getTime();
+            
+            // Only pending users are activated, locked or disabled users keep their status
+            const status = user.status === 'pending' ? 'active' : user.status;
+            
+            users.update(user._key, {
+                status,
+                emailVerified: true,
+                emailVerifiedAt: timestamp,
+                updatedAt: timestamp
+            });
+            
+            try {
+                db._collection('userActivities').insert({
+                    userId: user._key,
+                    type: 'email_verified',
+                    timestamp,
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+                
+                db._collection('audit').save({
+                    action: 'email_verified',
+                    targetId: user._key,
+                    performedBy: user._key,
+                    timestamp,
+                    data: {
+                        email: user.email,
+                        status
+                    }
+                });
+            } catch (error) {
+                console.warn(`Failed to record email verification: ${error.message}`);
+            }
+            
+            res.json({
+                result: {
+                    success: true,
+                    status,
+                    message: status === 'active'
+                        ? 'Email address verified. You can now log in.'
+                        : 'Email address verified'
+                }
+            });
+        } catch (error) {
+            console.error(`Error verifying email of user ${used.userId}:`, error.message);
+            res.throw(500, 'Failed to verify email address');
+        }
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * MFA Login Endpoint
+ * 
+ * Completes a login of a user with MFA enabled
+ * Exchanges the MFA pending token from POST /login and a TOTP or recovery code for an access token
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { query, db } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'MFA Login',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            mfaToken: joi.string().required(),
+            code: joi.string().required().max(20)
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'401': 'Invalid MFA token'},
+        {'403': 'Invalid code'},
+        {'429': 'Too many failed attempts'},
+        {'500': 'Authentication error'}
+    ],
+    
+    /**
+     * Handle the MFA step of a login
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { auth } = module.context;
+        const { mfaToken, code } = req.body;
+        const ipAddress = req.remoteAddress;
+        const userAgent = req.headers['user-agent'] || 'unknown';
+        
+        let payload;
+        try {
+            payload = auth.decode(mfaToken, { type: 'mfa' });
+        } catch (error) {
+            return res.throw(401, `Invalid MFA token: ${error.message}`);
+        }
+        
+        if (auth.isRevoked(payload)) {
+            return res.throw(401, 'Invalid MFA token: token has already been used');
+        }
+        
+        // Codes are throttled like passwords, under a counter of their own
+        const counterName = `mfa:${payload.userId}`;
+        const throttle = auth.checkLoginAttempt(counterName, ipAddress);
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.throw(429, 'Too many failed attempts. Please wait before trying again.');
+        }
+        
+        const [user] = query`
+            FOR user IN users
+            FILTER user._key == ${payload.userId} AND user.status == 'active'
+            RETURN UNSET(user, "_id", "_rev", "password")
+        `.toArray();
+        
+        if (!user) {
+            return res.throw(401, 'Invalid MFA token: user is not active');
+        }
+        
+        const verified = auth.verifyMfaCode(user._key, code);
+        
+        if (!verified) {
+            auth.recordLoginFailure(counterName, ipAddress);
+            
+            try {
+                db._collection('userActivities').insert({
+                    userId: user._key,
+                    type: 'mfa_failed',
+                    timestamp: new Date().getTime(),
+                    ipAddress,
+                    userAgent
+                });
+            } catch (error) {
+                console.warn(`Failed to record failed MFA attempt: ${error.message}`);
+            }
+            
+            return res.throw(403, 'Invalid code');
+        }
+        
+        try {
+            // The MFA token is single-use
+            auth.revokeToken(payload, 'mfa_completed');
+            auth.resetLoginAttempts({ usernames: [counterName] });
+            
+            const [rolesData] = query`
+                LET roleDetails = (
+                    FOR roleId IN ${user.roles || []}
+                    LET role = DOCUMENT(roles, roleId)
+                    FILTER role != null
+                    RETURN {
+                        _key: role._key,
+                        name: role.name,
+                        description: role.description,
+                        permissions: role.permissions || []
+                    }
+                )
+                
+                RETURN {
+                    roles: roleDetails,
+                    permissions: UNIQUE(FLATTEN(roleDetails[*].permissions))
+                }
+            `.toArray();
+            
+            const timestamp = new Date().getTime();
+            db._collection('users').update(user._key, { lastLogin: timestamp });
+            
+            const claims = {
+                userId: user._key,
+                roles: user.roles || [],
+                permissions: rolesData.permissions || []
+            };
+            
+            const tokens = auth.startSession(user._key, claims, { ipAddress, userAgent });
+            
+            try {
+                const userActivities = db._collection('userActivities');
+                userActivities.insert({
+                    userId: user._key,
+                    type: 'login',
+                    sessionId: tokens.sessionId,
+                    mfa: verified.method,
+                    timestamp,
+                    ipAddress,
+                    userAgent
+                });
+                
+                if (verified.method === 'recovery') {
+                    userActivities.insert({
+                        userId: user._key,
+                        type: 'mfa_recovery_code_used',
+                        recoveryCodesRemaining: verified.recoveryCodesRemaining,
+                        timestamp,
+                        ipAddress,
+                        userAgent
+                    });
+                }
+            } catch (error) {
+                console.warn(`Failed to record login activity: ${error.message}`);
+            }
+            
+            res.json({
+                result: {
+                    user: {
+                        ...user,
+                        roles: rolesData.roles || []
+                    },
+                    auth: {
+                        token: tokens.accessToken,
+                        sessionId: tokens.sessionId,
+                        expiresIn: tokens.expiresIn || (payload.rememberMe ? 2592000 : 86400),
+                        permissions: rolesData.permissions || [],
+                        ...(verified.method === 'recovery' ? { recoveryCodesRemaining: verified.recoveryCodesRemaining } : {}),
+                        ...(tokens.refreshToken ? {
+                            refreshToken: tokens.refreshToken,
+                            refreshExpiresIn: tokens.refreshExpiresIn
+                        } : {})
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('MFA login error:', error.message);
+            res.throw(500, 'Authentication system error');
+        }
+    }
+};
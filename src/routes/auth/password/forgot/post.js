@@ -0,0 +1,85 @@
+/**
+ * Forgot Password Endpoint
+ * 
+ * Sends a single-use password reset link to the email address of a user
+ * The response is the same whether or not the account exists
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { query, db } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Forgot Password',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            email: joi.string().email().required()
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Invalid email'}
+    ],
+    
+    /**
+     * Handle the password reset request
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { auth } = module.context;
+        const { email } = req.body;
+        
+        const [user] = query`
+            FOR user IN users
+            FILTER user.email == ${email} AND user.status != 'disabled'
+            LIMIT 1
+            RETURN KEEP(user, "_key", "username", "email")
+        `.toArray();
+        
+        if (user) {
+            try {
+                const ttl = auth.getPasswordResetTtl();
+                const { token } = auth.createOneTimeToken(user._key, 'password_reset', ttl);
+                
+                auth.sendTemplateEmail('passwordReset', user.email, {
+                    username: user.username,
+                    token,
+                    expiresInMinutes: Math.round(ttl / 60)
+                });
+                
+                const timestamp = new Date().getTime();
+                
+                db._collection('userActivities').insert({
+                    userId: user._key,
+                    type: 'password_reset_requested',
+                    timestamp,
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+                
+                db._collection('audit').save({
+                    action: 'password_reset_requested',
+                    targetId: user._key,
+                    performedBy: user._key,
+                    timestamp
+                });
+            } catch (error) {
+                // Not reported to the caller, it would tell whether the account exists
+                console.error(`Failed to send password reset email to user ${user._key}:`, error.message);
+            }
+        }
+        
+        res.json({
+            result: {
+                success: true,
+                message: 'If an account with this email exists, a password reset link has been sent'
+            }
+        });
+    }
+};
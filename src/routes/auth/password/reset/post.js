@@ -0,0 +1,88 @@
+/**
+ * Reset Password Endpoint
+ * 
+ * Sets a new password with a token from the password reset email
+ * Every token issued to the user so far is revoked
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { db } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Reset Password',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            token: joi.string().required(),
+            password: joi.string().required().min(8)
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Invalid or expired reset token'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the password reset
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { auth } = module.context;
+        const { token, password } = req.body;
+        
+        const used = auth.consumeOneTimeToken(token, 'password_reset');
+        const users = db._collection('users');
+        
+        if (!used || !users.exists(used.userId)) {
+            return res.throw(400, 'Invalid or expired reset token');
+        }
+        
+        try {
+            const timestamp = new Date().getTime();
+            
+            users.update(used.userId, {
+                password: auth.hashPassword(password),
+                updatedAt: timestamp
+            });
+            
+            // Sessions started with the old password end here
+            auth.revokeUserTokens(used.userId, 'password_reset');
+            
+            try {
+                db._collection('userActivities').insert({
+                    userId: used.userId,
+                    type: 'password_reset',
+                    timestamp,
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+                
+                db._collection('audit').save({
+                    action: 'password_reset',
+                    targetId: used.userId,
+                    performedBy: used.userId,
+                    timestamp
+                });
+            } catch (error) {
+                console.warn(`Failed to record password reset: ${error.message}`);
+            }
+            
+            res.json({
+                result: {
+                    success: true,
+                    message: 'Password has been reset. Please log in with your new password.'
+                }
+            });
+        } catch (error) {
+            console.error(`Error resetting password for user ${used.userId}:`, error.message);
+            res.throw(500, 'Failed to reset password');
+        }
+    }
+};
@@ -0,0 +1,116 @@
+/**
+ * Token Refresh Endpoint
+ * 
+ * Exchanges a refresh token for a new access token and refresh token
+ * Each refresh token can be used once; reuse revokes the whole token family
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { query, db } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Refresh Token',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            refreshToken: joi.string().required()
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Refresh tokens are not enabled'},
+        {'401': 'Invalid refresh token'},
+        {'500': 'Authentication error'}
+    ],
+    
+    /**
+     * Handle the token refresh
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { auth } = module.context;
+        const { refreshToken } = req.body;
+        
+        if (!auth.useRefreshTokens()) {
+            return res.throw(400, 'Refresh tokens are not enabled');
+        }
+        
+        let payload;
+        try {
+            payload = auth.decode(refreshToken, { type: 'refresh' });
+        } catch (error) {
+            return res.throw(401, `Invalid refresh token: ${error.message}`);
+        }
+        
+        // Roles and permissions are taken from the user as it is now
+        const [user] = query`
+            FOR user IN users
+            FILTER user._key == ${payload.userId}
+            RETURN KEEP(user, "_key", "roles", "status")
+        `.toArray();
+        
+        if (!user || ['disabled', 'locked'].includes(user.status)) {
+            auth.revokeRefreshFamily(payload.fid, 'user_unavailable');
+            return res.throw(401, 'Invalid refresh token: user is not active');
+        }
+        
+        const [rolesData] = query`
+            LET effectivePermissions = UNIQUE(
+                FLATTEN(
+                    FOR roleId IN ${user.roles || []}
+                    LET role = DOCUMENT(roles, roleId)
+                    FILTER role != null
+                    RETURN role.permissions || []
+                )
+            )
+            
+            RETURN {
+                permissions: effectivePermissions
+            }
+        `.toArray();
+        
+        let tokens;
+        try {
+            // The payload is already verified, the token is not decoded again
+            tokens = auth.rotateRefreshToken(payload, {
+                roles: user.roles || [],
+                permissions: rolesData.permissions || []
+            });
+        } catch (error) {
+            // Record refresh token reuse for security auditing
+            if (error.message.includes('reuse')) {
+                try {
+                    db._collection('userActivities').insert({
+                        userId: user._key,
+                        type: 'refresh_token_reuse',
+                        timestamp: new Date().getTime(),
+                        ipAddress: req.remoteAddress,
+                        userAgent: req.headers['user-agent'] || 'unknown'
+                    });
+                } catch (activityError) {
+                    console.warn(`Failed to record refresh token reuse: ${activityError.message}`);
+                }
+            }
+            
+            return res.throw(401, `Invalid refresh token: ${error.message}`);
+        }
+        
+        res.json({
+            result: {
+                auth: {
+                    token: tokens.accessToken,
+                    expiresIn: tokens.expiresIn,
+                    refreshToken: tokens.refreshToken,
+                    refreshExpiresIn: tokens.refreshExpiresIn,
+                    permissions: rolesData.permissions || []
+                }
+            }
+        });
+    }
+};
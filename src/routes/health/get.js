@@ -252,25 +252,34 @@ module.exports = {
                 };
             }
             
-            // Get task statistics
+            // Get task statistics, tasks due for more than 5 minutes mean the runner is falling behind
+            const now = new Date().getTime();
             const stats = db._query(aql`
                 LET total = LENGTH(FOR task IN scheduledTasks RETURN 1)
                 LET active = LENGTH(FOR task IN scheduledTasks FILTER task.status == 'active' RETURN 1)
                 LET failed = LENGTH(FOR task IN scheduledTasks FILTER task.status == 'failed' RETURN 1)
                 LET running = LENGTH(FOR task IN scheduledTasks FILTER task.status == 'running' RETURN 1)
                 LET retrying = LENGTH(FOR task IN scheduledTasks FILTER task.status == 'retry-scheduled' RETURN 1)
+                LET timedOut = LENGTH(FOR task IN scheduledTasks FILTER task.status == 'timed-out' RETURN 1)
+                LET overdue = LENGTH(
+                    FOR task IN scheduledTasks
+                    FILTER task.status IN ['active', 'retry-scheduled'] AND task.nextRun != null
+                    FILTER task.nextRun < ${now - 300000}
+                    RETURN 1
+                )
                 
                 RETURN {
                     total: total,
                     active: active,
                     failed: failed,
                     running: running,
-                    retrying: retrying
+                    retrying: retrying,
+                    timedOut: timedOut,
+                    overdue: overdue
                 }
             `).toArray()[0];
             
             // Check if any tasks have been stuck in running state for too long
-            const now = new Date().getTime();
             const stuckTasks = db._query(aql`
                 FOR task IN scheduledTasks
                 FILTER task.status == 'running'
@@ -287,9 +296,15 @@ module.exports = {
             if (stuckTasks.length > 0) {
                 status = 'degraded';
                 message = `${stuckTasks.length} tasks appear to be stuck in running state`;
+            } else if (stats.overdue > 0) {
+                status = 'degraded';
+                message = `${stats.overdue} tasks are overdue, the scheduler is falling behind`;
             } else if (stats.failed > 0) {
                 status = 'degraded';
                 message = `${stats.failed} failed tasks detected`;
+            } else if (stats.timedOut > 0) {
+                status = 'degraded';
+                message = `${stats.timedOut} timed out tasks detected`;
             }
             
             return {
@@ -3,6 +3,7 @@
  * 
  * Authenticates users and returns JWT token with user profile
  * Includes roles and permissions information
+ * Users with MFA enabled get an MFA pending token to exchange at POST /auth/mfa
  * 
  * @version 2.0.0
  * @author skitsanos
@@ -28,6 +29,7 @@ module.exports = {
     error: [
         {'403': 'Invalid credentials'},
         {'400': 'Invalid login data'},
+        {'429': 'Too many failed login attempts'},
         {'500': 'Authentication error'}
     ],
 
@@ -42,28 +44,88 @@ module.exports = {
         const {utils, update, auth} = module.context;
 
         const {username, password, rememberMe = false} = req.body;
+        const ipAddress = req.remoteAddress;
+        const userAgent = req.headers['user-agent'] || 'unknown';
         
-        try {
-            // Find user by username or email
-            const [user] = query`
-                FOR user IN users
-                FILTER (user.username == ${username} OR user.email == ${username})
-                    AND user.password == ${crypto.sha384(password)}
-                    AND user.status != 'disabled'
-                RETURN UNSET(user, "_id", "_rev", "password")
-            `.toArray();
+        // Find user by username or email, the password is verified against its salted hash
+        const [account] = query`
+            FOR user IN users
+            FILTER (user.username == ${username} OR user.email == ${username})
+                AND user.status != 'disabled'
+            LIMIT 1
+            RETURN UNSET(user, "_id", "_rev")
+        `.toArray();
+        
+        // Failures count per account, whether it is named by username or email; unknown names count on their own
+        const subject = account ? {accountId: account._key} : username;
+        
+        // Repeated failures for the account or from the address delay further attempts, then lock them
+        const throttle = auth.checkLoginAttempt(subject, ipAddress);
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.throw(429, throttle.locked
+                ? 'Too many failed login attempts. Account is temporarily locked.'
+                : 'Too many failed login attempts. Please wait before trying again.');
+        }
+        
+        // Unknown usernames take as long as wrong passwords, so they cannot be told apart
+        const passwordValid = account
+            ? auth.verifyPassword(password, account.password)
+            : auth.verifyDummyPassword(password);
+        
+        if (!passwordValid) {
+            const counters = auth.recordLoginFailure(subject, ipAddress);
             
-            if (!user) {
-                return res.throw(403, 'Invalid username or password');
+            // Record failed attempt for security auditing
+            try {
+                const userActivities = db._collection('userActivities');
+                const timestamp = new Date().getTime();
+                
+                userActivities.insert({
+                    userId: account ? account._key : null,
+                    type: 'login_failed',
+                    username,
+                    failures: counters.username.failures,
+                    timestamp,
+                    ipAddress,
+                    userAgent
+                });
+                
+                if (account && counters.username.lockedNow) {
+                    userActivities.insert({
+                        userId: account._key,
+                        type: 'account_locked',
+                        lockedUntil: counters.username.lockedUntil,
+                        timestamp,
+                        ipAddress,
+                        userAgent
+                    });
+                }
+            } catch (error) {
+                console.warn(`Failed to record failed login: ${error.message}`);
             }
             
-            // Check if account is locked or requires verification
-            if (user.status === 'locked') {
-                return res.throw(403, 'Account is locked. Please contact administrator.');
-            }
+            return res.throw(403, 'Invalid username or password');
+        }
+        
+        const {password: passwordHash, ...user} = account;
+        
+        // Check if account is locked or requires verification
+        if (user.status === 'locked') {
+            return res.throw(403, 'Account is locked. Please contact administrator.');
+        }
+        
+        if (user.status === 'pending') {
+            return res.throw(403, 'Account requires verification. Please check your email.');
+        }
+        
+        try {
+            // A successful login clears the failures of the account, the address keeps its count
+            auth.resetLoginAttempts({usernames: [subject]});
             
-            if (user.status === 'pending') {
-                return res.throw(403, 'Account requires verification. Please check your email.');
+            // Upgrade legacy or weaker hashes now that the plain password is known
+            if (auth.passwordNeedsRehash(passwordHash)) {
+                update('users', user._key, {password: auth.hashPassword(password)});
             }
             
             // Get user roles with permissions
@@ -94,35 +156,60 @@ module.exports = {
                     permissions: effectivePermissions
                 }
             `.toArray();
+            
+            // With MFA enabled, the password step only yields a token to exchange at POST /auth/mfa
+            if (auth.isMfaEnabled(user._key)) {
+                return res.json({
+                    result: {
+                        mfaRequired: true,
+                        mfaToken: auth.createMfaToken(user._key, {rememberMe}),
+                        expiresIn: auth.getMfaTokenTtl()
+                    }
+                });
+            }
+            
+            // A role that requires MFA restricts the session to MFA enrollment until it is set up
+            const mfaEnrollment = auth.isMfaRequired(user.roles || []);
 
             //update lastLogin
             update('users', user._key, {lastLogin: new Date().getTime()});
             
+            // Generate token
+            const tokenOptions = {
+                expiresIn: rememberMe ? '30d' : '24h' // Longer expiration if rememberMe is true
+            };
+            
+            const claims = {
+                userId: user._key,
+                roles: user.roles || [],
+                permissions: rolesData.permissions || [],
+                ...(mfaEnrollment ? {mfaEnrollment: true} : {})
+            };
+            
+            // Every login is a session; with refresh tokens enabled, it starts a new refresh token family
+            const tokens = auth.startSession(user._key, claims, {
+                ipAddress,
+                userAgent,
+                refresh: auth.useRefreshTokens() && !mfaEnrollment,
+                encodeOptions: tokenOptions
+            });
+            const token = tokens.accessToken;
+            
             // Record login activity
             try {
                 const userActivities = db._collection('userActivities');
                 userActivities.insert({
                     userId: user._key,
                     type: 'login',
+                    sessionId: tokens.sessionId,
                     timestamp: new Date().getTime(),
-                    ipAddress: req.remoteAddress,
-                    userAgent: req.headers['user-agent'] || 'unknown'
+                    ipAddress,
+                    userAgent
                 });
             } catch (error) {
                 console.warn(`Failed to record login activity: ${error.message}`);
                 // Non-critical error, continue with login process
             }
-
-            // Generate token
-            const tokenOptions = {
-                expiresIn: rememberMe ? '30d' : '24h' // Longer expiration if rememberMe is true
-            };
-            
-            const token = auth.encode({
-                userId: user._key,
-                roles: user.roles || [],
-                permissions: rolesData.permissions || []
-            }, tokenOptions);
             
             // Add Gravatar if user has email
             if (user.email && utils.isEmail(user.email)) {
@@ -136,8 +223,14 @@ module.exports = {
                 },
                 auth: {
                     token,
-                    expiresIn: rememberMe ? 2592000 : 86400, // seconds (30 days or 24 hours)
-                    permissions: rolesData.permissions || []
+                    sessionId: tokens.sessionId,
+                    expiresIn: tokens.expiresIn || (rememberMe ? 2592000 : 86400), // seconds (30 days or 24 hours)
+                    permissions: rolesData.permissions || [],
+                    ...(mfaEnrollment ? {mfaEnrollmentRequired: true} : {}),
+                    ...(tokens.refreshToken ? {
+                        refreshToken: tokens.refreshToken,
+                        refreshExpiresIn: tokens.refreshExpiresIn
+                    } : {})
                 }
             };
 
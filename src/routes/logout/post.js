@@ -2,10 +2,10 @@
  * User Logout Endpoint
  * 
  * Handles user logout actions and records logout activity
- * Note: With JWT tokens, actual "logout" is client-side,
- * but we record the action server-side for auditing
+ * The presented JWT is revoked, so it cannot be used again
+ * until it would have expired; API keys are left as they are
  * 
- * @version 1.0.0
+ * @version 1.1.0
  */
 const joi = require('joi');
 const { db } = require('@arangodb');
@@ -28,9 +28,32 @@ module.exports = {
      * @param {Object} res - Response object
      */
     handler: (req, res) => {
+        const { auth } = module.context;
+        
         try {
+            // Use the token verified by the auth middleware, or verify the presented one
+            let payload = req.token || null;
+            if (!payload) {
+                const token = auth.defaultTokenExtractor(req);
+                
+                try {
+                    payload = token ? auth.decode(token) : null;
+                } catch (error) {
+                    // An invalid or expired token needs no revocation
+                    payload = null;
+                }
+            }
+            
+            // Revoke the token, the refresh token family it was issued with, and end its session;
+            // API keys have no session and are only revoked through /admin/api-keys
+            if (payload && !req.apiKey && payload.type !== 'apiKey') {
+                auth.revokeToken(payload, 'logout');
+                auth.revokeRefreshFamily(payload.fid, 'logout');
+                auth.revokeSession(payload.sid, 'logout');
+            }
+            
             // Get userId from token or request body
-            const userId = req.user?._key || (req.body?.userId) || null;
+            const userId = req.user?._key || payload?.userId || (req.body?.userId) || null;
             
             // Record logout activity if we have a userId
             if (userId) {
@@ -0,0 +1,115 @@
+/**
+ * Disable MFA Endpoint
+ * 
+ * Disables two-factor authentication for the current user, confirmed with a current code
+ * Not possible while a role of the user requires MFA
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { db, time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Disable MFA',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            code: joi.string().required().max(20)
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'MFA is not enabled'},
+        {'401': 'Authentication required'},
+        {'403': 'Invalid code or MFA required by role'},
+        {'429': 'Too many failed attempts'}
+    ],
+    
+    /**
+     * Handle the request to disable MFA
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        const { auth } = module.context;
+        const userId = req.user._key;
+        
+        if (!auth.isMfaEnabled(userId)) {
+            return res.throw(400, 'MFA is not enabled');
+        }
+        
+        if (auth.isMfaRequired(req.user.roles || [])) {
+            return res.throw(403, 'MFA is required for your role and cannot be disabled');
+        }
+        
+        // Codes are throttled under the same counter as the MFA step of the login
+        const counterName = `mfa:${userId}`;
+        const throttle = auth.checkLoginAttempt(counterName, req.remoteAddress);
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.throw(429, 'Too many failed attempts. Please wait before trying again.');
+        }
+        
+        if (!auth.verifyMfaCode(userId, req.body.code)) {
+            auth.recordLoginFailure(counterName, req.remoteAddress);
+            
+            try {
+                db._collection('userActivities').insert({
+                    userId,
+                    type: 'mfa_failed',
+                    timestamp: new Date().getTime(),
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+            } catch (error) {
+                console.warn(`Failed to record failed MFA attempt: ${error.message}`);
+            }
+            
+            return res.throw(403, 'Invalid code');
+        }
+        
+        auth.resetLoginAttempts({ usernames: [counterName] });
+        
+        auth.disableMfa(userId);
+        
+        try {
+            const timestamp = new Date().getTime();
+            
+            db._collection('userActivities').insert({
+                userId,
+                type: 'mfa_disabled',
+                timestamp,
+                ipAddress: req.remoteAddress,
+                userAgent: req.headers['user-agent'] || 'unknown'
+            });
+            
+            db._collection('audit').save({
+                action: 'mfa_disabled',
+                targetId: userId,
+                performedBy: userId,
+                timestamp
+            });
+        } catch (error) {
+            console.warn(`Failed to record MFA change: ${error.message}`);
+        }
+        
+        res.send({
+            enabled: false,
+            meta: {
+                message: 'MFA disabled',
+                execTime: time() - start
+            }
+        });
+    }
+};
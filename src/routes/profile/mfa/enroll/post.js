@@ -0,0 +1,52 @@
+/**
+ * Start MFA Enrollment Endpoint
+ * 
+ * Creates a new TOTP secret for the current user
+ * The secret becomes active once the first code is verified at POST /profile/mfa/verify
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Start MFA Enrollment',
+    
+    // Define possible errors
+    error: [
+        {'401': 'Authentication required'},
+        {'409': 'MFA is already enabled'}
+    ],
+    
+    /**
+     * Handle the request to start MFA enrollment
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        const { auth } = module.context;
+        
+        if (auth.isMfaEnabled(req.user._key)) {
+            return res.throw(409, 'MFA is already enabled. Disable it first to enroll a new device.');
+        }
+        
+        const { secret, uri } = auth.startMfaEnrollment(req.user);
+        
+        res.send({
+            secret,
+            uri,
+            meta: {
+                message: 'Add the secret to an authenticator app, then verify the first code',
+                execTime: time() - start
+            }
+        });
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Get MFA Status Endpoint
+ * 
+ * Returns the two-factor authentication status of the current user
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Get MFA Status',
+    
+    // Define possible errors
+    error: [
+        {'401': 'Authentication required'}
+    ],
+    
+    /**
+     * Handle the request for the MFA status
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        const { auth } = module.context;
+        
+        res.send({
+            mfa: {
+                ...auth.getMfaStatus(req.user._key),
+                required: auth.isMfaRequired(req.user.roles || [])
+            },
+            meta: {
+                execTime: time() - start
+            }
+        });
+    }
+};
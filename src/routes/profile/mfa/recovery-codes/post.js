@@ -0,0 +1,100 @@
+/**
+ * Regenerate MFA Recovery Codes Endpoint
+ * 
+ * Replaces all recovery codes of the current user, confirmed with a current code
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { db, time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Regenerate MFA Recovery Codes',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            code: joi.string().required().max(20)
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'MFA is not enabled'},
+        {'401': 'Authentication required'},
+        {'403': 'Invalid code'},
+        {'429': 'Too many failed attempts'}
+    ],
+    
+    /**
+     * Handle the request to regenerate recovery codes
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        const { auth } = module.context;
+        const userId = req.user._key;
+        
+        if (!auth.isMfaEnabled(userId)) {
+            return res.throw(400, 'MFA is not enabled');
+        }
+        
+        // Codes are throttled under the same counter as the MFA step of the login
+        const counterName = `mfa:${userId}`;
+        const throttle = auth.checkLoginAttempt(counterName, req.remoteAddress);
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.throw(429, 'Too many failed attempts. Please wait before trying again.');
+        }
+        
+        if (!auth.verifyMfaCode(userId, req.body.code)) {
+            auth.recordLoginFailure(counterName, req.remoteAddress);
+            
+            try {
+                db._collection('userActivities').insert({
+                    userId,
+                    type: 'mfa_failed',
+                    timestamp: new Date().getTime(),
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+            } catch (error) {
+                console.warn(`Failed to record failed MFA attempt: ${error.message}`);
+            }
+            
+            return res.throw(403, 'Invalid code');
+        }
+        
+        auth.resetLoginAttempts({ usernames: [counterName] });
+        
+        const recoveryCodes = auth.regenerateRecoveryCodes(userId);
+        
+        try {
+            db._collection('audit').save({
+                action: 'mfa_recovery_codes_regenerated',
+                targetId: userId,
+                performedBy: userId,
+                timestamp: new Date().getTime()
+            });
+        } catch (error) {
+            console.warn(`Failed to record audit log: ${error.message}`);
+        }
+        
+        res.send({
+            recoveryCodes,
+            meta: {
+                message: 'New recovery codes created, the previous codes are no longer valid',
+                execTime: time() - start
+            }
+        });
+    }
+};
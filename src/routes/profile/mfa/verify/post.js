@@ -0,0 +1,98 @@
+/**
+ * Complete MFA Enrollment Endpoint
+ * 
+ * Verifies the first code from the authenticator app and enables MFA
+ * Returns the recovery codes, which are not shown again
+ * 
+ * @version 1.0.0
+ */
+const joi = require('joi');
+const { db, time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Complete MFA Enrollment',
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            code: joi.string().required().max(20)
+        }).required()
+    },
+    
+    // Define possible errors
+    error: [
+        {'400': 'Invalid code'},
+        {'401': 'Authentication required'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to complete MFA enrollment
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        const { auth } = module.context;
+        const userId = req.user._key;
+        
+        let recoveryCodes;
+        try {
+            ({ recoveryCodes } = auth.completeMfaEnrollment(userId, req.body.code));
+        } catch (error) {
+            return res.throw(400, error.message);
+        }
+        
+        try {
+            const timestamp = new Date().getTime();
+            
+            db._collection('userActivities').insert({
+                userId,
+                type: 'mfa_enabled',
+                timestamp,
+                ipAddress: req.remoteAddress,
+                userAgent: req.headers['user-agent'] || 'unknown'
+            });
+            
+            db._collection('audit').save({
+                action: 'mfa_enabled',
+                targetId: userId,
+                performedBy: userId,
+                timestamp
+            });
+        } catch (error) {
+            console.warn(`Failed to record MFA enrollment: ${error.message}`);
+        }
+        
+        // An enrollment-only session continues with a regular token
+        let token = null;
+        if (req.token && req.token.mfaEnrollment) {
+            auth.revokeToken(req.token, 'mfa_enrolled');
+            token = auth.encode({
+                userId,
+                roles: req.token.roles || req.user.roles || [],
+                permissions: req.token.permissions || [],
+                ...(req.token.sid ? { sid: req.token.sid } : {})
+            });
+            auth.updateSessionToken(token);
+        }
+        
+        res.send({
+            enabled: true,
+            recoveryCodes,
+            ...(token ? { auth: { token } } : {}),
+            meta: {
+                message: 'MFA enabled. Store the recovery codes in a safe place, they are not shown again.',
+                execTime: time() - start
+            }
+        });
+    }
+};
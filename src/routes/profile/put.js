@@ -108,13 +108,12 @@ module.exports = {
             // Handle password update
             if (newPassword) {
                 // Verify current password
-                const currentPasswordHash = crypto.sha384(currentPassword);
-                if (currentPasswordHash !== currentUser.password) {
+                if (!module.context.auth.verifyPassword(currentPassword, currentUser.password)) {
                     return res.throw(403, 'Current password is incorrect');
                 }
                 
                 // Update with new password
-                update.password = crypto.sha384(newPassword);
+                update.password = module.context.auth.hashPassword(newPassword);
             }
             
             // Add modification metadata
@@ -124,6 +123,23 @@ module.exports = {
             const usersCollection = db._collection('users');
             usersCollection.update(userId, update);
             
+            // A password change signs out every token and session of the old password,
+            // the caller continues with a fresh token in a new session
+            let token = null;
+            if (newPassword) {
+                const { auth } = module.context;
+                auth.revokeUserTokens(userId, 'password_changed');
+                token = auth.startSession(userId, {
+                    userId,
+                    roles: (req.token && req.token.roles) || currentUser.roles || [],
+                    permissions: (req.token && req.token.permissions) || []
+                }, {
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown',
+                    refresh: false
+                }).accessToken;
+            }
+            
             // Record audit log
             const auditCollection = db._collection('audit');
             auditCollection.save({
@@ -153,6 +169,7 @@ module.exports = {
             // Prepare response
             const response = {
                 ...updatedProfile,
+                ...(token ? { auth: { token } } : {}),
                 meta: {
                     ...(updatedProfile.meta || {}),
                     execTime: time() - start
@@ -0,0 +1,87 @@
+/**
+ * Revoke Session Endpoint
+ * 
+ * Revokes a session of the current user with its access and refresh tokens,
+ * e.g. of a lost device
+ * Revoking the session of the request logs the user out
+ * 
+ * @version 1.0.0
+ */
+const { db, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Revoke Session',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'Session ID'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'401': 'Authentication required'},
+        {'404': 'Session not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to revoke a session
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        const { auth } = module.context;
+        const userId = req.user._key;
+        const session = auth.getSession(id);
+        
+        // Sessions of other users are reported as not found
+        if (!session || session.userId !== userId || session.status !== 'active') {
+            return res.throw(404, 'Session not found');
+        }
+        
+        try {
+            auth.revokeSession(id, 'revoked_by_user');
+            
+            try {
+                db._collection('userActivities').insert({
+                    userId,
+                    type: 'session_revoked',
+                    sessionId: id,
+                    timestamp: new Date().getTime(),
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+            } catch (error) {
+                console.warn(`Failed to record session revocation: ${error.message}`);
+            }
+            
+            res.send({
+                success: true,
+                current: Boolean(req.token && req.token.sid === id),
+                meta: {
+                    message: 'Session revoked',
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error(`Error revoking session ${id}:`, error.message);
+            res.throw(500, 'Error revoking session');
+        }
+    }
+};
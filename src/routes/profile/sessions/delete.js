@@ -0,0 +1,67 @@
+/**
+ * Revoke Other Sessions Endpoint
+ * 
+ * Logs the current user out on all other devices: revokes every session
+ * but the one of the request, with its access and refresh tokens
+ * 
+ * @version 1.0.0
+ */
+const { db, time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Revoke Other Sessions',
+    
+    // Define possible errors
+    error: [
+        {'401': 'Authentication required'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to revoke all other sessions
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        const userId = req.user._key;
+        
+        try {
+            const { auth } = module.context;
+            const revoked = auth.revokeOtherSessions(userId, req.token && req.token.sid, 'revoked_by_user');
+            
+            try {
+                db._collection('userActivities').insert({
+                    userId,
+                    type: 'session_revoked',
+                    revokedSessions: revoked,
+                    timestamp: new Date().getTime(),
+                    ipAddress: req.remoteAddress,
+                    userAgent: req.headers['user-agent'] || 'unknown'
+                });
+            } catch (error) {
+                console.warn(`Failed to record session revocation: ${error.message}`);
+            }
+            
+            res.send({
+                success: true,
+                revoked,
+                meta: {
+                    message: `${revoked} other session${revoked === 1 ? '' : 's'} revoked`,
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error(`Error revoking sessions of user ${userId}:`, error.message);
+            res.throw(500, 'Error revoking sessions');
+        }
+    }
+};
@@ -0,0 +1,56 @@
+/**
+ * List Sessions Endpoint
+ * 
+ * Lists the active sessions of the current user, one per login,
+ * with device, IP address and when it was last seen
+ * The session of the request is marked as current
+ * 
+ * @version 1.0.0
+ */
+const { time } = require('@arangodb');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'List Sessions',
+    
+    // Define possible errors
+    error: [
+        {'401': 'Authentication required'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to list sessions
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        
+        // Check if user is authenticated
+        if (!req.user || !req.user._key) {
+            return res.throw(401, 'Authentication required');
+        }
+        
+        try {
+            const { auth } = module.context;
+            const currentId = req.token && req.token.sid;
+            const sessions = auth.listSessions(req.user._key).map(session => ({
+                ...session,
+                current: session._key === currentId
+            }));
+            
+            res.send({
+                sessions,
+                total: sessions.length,
+                meta: {
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error('Error listing sessions:', error.message);
+            res.throw(500, 'Error listing sessions');
+        }
+    }
+};
@@ -55,6 +55,7 @@ module.exports = {
                     name: role.name,
                     description: role.description,
                     permissions: role.permissions,
+                    requireMfa: role.requireMfa || false,
                     isSystem: role.isSystem || false,
                     createdAt: role.createdAt,
                     createdBy: role.createdBy
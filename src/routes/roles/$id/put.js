@@ -29,7 +29,9 @@ module.exports = {
         model: joi.object({
             name: joi.string().min(3).max(50),
             description: joi.string().max(200),
-            permissions: joi.array().items(joi.string()).min(1)
+            permissions: joi.array().items(joi.string()).min(1),
+            requireMfa: joi.boolean()
+                .description('Require two-factor authentication for users with this role')
         }).required()
     },
     
@@ -70,9 +72,9 @@ module.exports = {
                 return res.throw(404, 'Role not found');
             }
             
-            // Prevent modification of system roles
-            if (currentRole.isSystem) {
-                return res.throw(409, 'System roles cannot be modified');
+            // Prevent modification of system roles, except for the MFA requirement
+            if (currentRole.isSystem && Object.keys(updateData).some(field => field !== 'requireMfa')) {
+                return res.throw(409, 'System roles cannot be modified, except for requireMfa');
             }
             
             // Check if name is being changed and if it's already taken
@@ -111,6 +113,7 @@ module.exports = {
                     name: role.name,
                     description: role.description,
                     permissions: role.permissions,
+                    requireMfa: role.requireMfa || false,
                     isSystem: role.isSystem || false,
                     createdAt: role.createdAt,
                     updatedAt: role.updatedAt
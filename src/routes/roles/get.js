@@ -64,6 +64,7 @@ module.exports = {
                         name: role.name,
                         description: role.description,
                         permissions: role.permissions,
+                        requireMfa: role.requireMfa || false,
                         isSystem: role.isSystem || false,
                         createdAt: role.createdAt
                     }
@@ -18,7 +18,9 @@ module.exports = {
         model: joi.object({
             name: joi.string().required().min(3).max(50),
             description: joi.string().required().max(200),
-            permissions: joi.array().items(joi.string()).required().min(1)
+            permissions: joi.array().items(joi.string()).required().min(1),
+            requireMfa: joi.boolean().default(false)
+                .description('Require two-factor authentication for users with this role')
         }).required()
     },
     
@@ -38,7 +40,7 @@ module.exports = {
      */
     handler: (req, res) => {
         const start = time();
-        const { name, description, permissions } = req.body;
+        const { name, description, permissions, requireMfa = false } = req.body;
         
         // Check if user has admin role
         if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
@@ -59,6 +61,7 @@ module.exports = {
                 name,
                 description,
                 permissions,
+                requireMfa,
                 isSystem: false,
                 createdAt: new Date().getTime(),
                 createdBy: req.user._key
@@ -70,7 +73,8 @@ module.exports = {
                     _key: role._key,
                     name,
                     description,
-                    permissions
+                    permissions,
+                    requireMfa
                 },
                 meta: {
                     execTime: time() - start
@@ -3,11 +3,11 @@
  * 
  * Creates a new user account with basic information
  * Assigns default user role automatically
+ * With requireEmailVerification, the user stays pending until the email address is verified
  * 
  * @version 2.0.0
  */
 const joi = require('joi');
-const crypto = require('@arangodb/crypto');
 const { db, query } = require('@arangodb');
 
 module.exports = {
@@ -67,18 +67,30 @@ module.exports = {
             }
             
             // Create new user
-            const {insert} = module.context;
+            const {insert, auth} = module.context;
+            const verificationRequired = auth.requireEmailVerification();
             const [qr] = insert('users', {
                 username,
                 email,
                 firstName: firstName || '',
                 lastName: lastName || '',
-                password: crypto.sha384(password),
+                password: auth.hashPassword(password),
                 roles: userRole ? [userRole] : [],
-                status: 'active',
+                // With email verification, users become active once they follow the emailed link
+                status: verificationRequired ? 'pending' : 'active',
                 createdOn: new Date().getTime()
             }).toArray();
             
+            if (verificationRequired) {
+                try {
+                    auth.sendEmailVerification({ _key: qr._key, username, email });
+                    db._collection('users').update(qr._key, { verificationSentAt: new Date().getTime() });
+                } catch (error) {
+                    // The user can request another email
+                    console.error(`Failed to send verification email to user ${qr._key}:`, error.message);
+                }
+            }
+            
             // Record signup activity
             try {
                 const userActivities = db._collection('userActivities');
@@ -119,7 +131,7 @@ module.exports = {
                 RETURN UNSET(user, "_id", "_rev", "password")
             `.toArray();
 
-            res.status(201).json({ success: true, user });
+            res.status(201).json({ success: true, user, verificationRequired });
 
         } catch (e)
         {
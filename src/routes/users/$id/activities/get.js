@@ -31,7 +31,7 @@ module.exports = {
                 description: 'Maximum number of records to return'
             },
             type: {
-                schema: joi.string().valid('login', 'logout', 'signup', 'all').default('all'),
+                schema: joi.string().valid('login', 'login_failed', 'account_locked', 'logout', 'signup', 'password_reset_requested', 'password_reset', 'email_verification_sent', 'email_verified', 'mfa_enabled', 'mfa_disabled', 'mfa_failed', 'mfa_recovery_code_used', 'session_revoked', 'all').default('all'),
                 description: 'Activity type filter'
             }
         }
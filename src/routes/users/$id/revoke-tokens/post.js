@@ -0,0 +1,114 @@
+/**
+ * Revoke User Tokens Endpoint
+ * 
+ * Revokes all tokens issued to a user so far, optionally disabling the user
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { query, db, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Revoke User Tokens',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'User ID'
+            }
+        }
+    },
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            reason: joi.string().max(200).optional()
+                .description('Reason recorded in the audit log'),
+            disable: joi.boolean().default(false)
+                .description('Also disable the user, so no new tokens can be obtained')
+        }).optional()
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'User not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to revoke the tokens of a user
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { id } = req.pathParams;
+        const { reason, disable = false } = req.body || {};
+        const start = time();
+        
+        // Check if requesting user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        // Check if user exists
+        const [user] = query`
+            FOR user IN users
+            FILTER user._key == ${id}
+            RETURN user
+        `.toArray();
+        
+        if (!user) {
+            return res.throw(404, 'User not found');
+        }
+        
+        try {
+            const { auth } = module.context;
+            const revokedAt = auth.revokeUserTokens(id, disable ? 'user_disabled' : 'revoked_by_admin');
+            
+            if (disable && user.status !== 'disabled') {
+                db._collection('users').update(id, {
+                    status: 'disabled',
+                    updatedAt: new Date().getTime(),
+                    updatedBy: req.user._key
+                });
+            }
+            
+            // Record the revocation in audit log
+            const auditCollection = db._collection('audit');
+            auditCollection.save({
+                action: 'user_tokens_revoked',
+                targetId: id,
+                disabled: disable,
+                reason: reason || 'No reason provided',
+                performedBy: req.user._key,
+                timestamp: new Date().getTime()
+            });
+            
+            // Prepare response
+            const response = {
+                success: true,
+                user: {
+                    _key: id,
+                    username: user.username,
+                    status: disable ? 'disabled' : user.status
+                },
+                revokedAt,
+                meta: {
+                    message: `All tokens of user "${user.username}" revoked${disable ? ' and user disabled' : ''}`,
+                    execTime: time() - start
+                }
+            };
+            
+            res.send(response);
+        } catch (error) {
+            console.error(`Error revoking tokens for user ${id}:`, error.message);
+            res.throw(500, 'Error revoking user tokens');
+        }
+    }
+};
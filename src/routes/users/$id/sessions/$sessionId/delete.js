@@ -0,0 +1,91 @@
+/**
+ * Revoke User Session Endpoint
+ * 
+ * Revokes a session of a user with its access and refresh tokens
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { db, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Revoke User Session',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'User ID'
+            },
+            sessionId: {
+                schema: joi.string().required(),
+                description: 'Session ID'
+            }
+        },
+        query: {
+            reason: {
+                schema: joi.string().max(200).optional(),
+                description: 'Reason recorded with the session and in the audit log'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'Session not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to revoke a session of a user
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id, sessionId } = req.pathParams;
+        const { reason } = req.queryParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const { auth } = module.context;
+        const session = auth.getSession(sessionId);
+        
+        if (!session || session.userId !== id || session.status !== 'active') {
+            return res.throw(404, 'Session not found');
+        }
+        
+        try {
+            auth.revokeSession(sessionId, 'revoked_by_admin');
+            
+            // Record the revocation in audit log
+            db._collection('audit').save({
+                action: 'session_revoked',
+                targetId: id,
+                sessionId,
+                reason: reason || 'No reason provided',
+                performedBy: req.user._key,
+                timestamp: new Date().getTime()
+            });
+            
+            res.send({
+                success: true,
+                meta: {
+                    message: `Session ${sessionId} revoked`,
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error(`Error revoking session ${sessionId}:`, error.message);
+            res.throw(500, 'Error revoking session');
+        }
+    }
+};
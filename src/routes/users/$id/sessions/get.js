@@ -0,0 +1,76 @@
+/**
+ * Get User Sessions Endpoint
+ * 
+ * Lists the active sessions of a user, one per login,
+ * with device, IP address and when it was last seen
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { query, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Get User Sessions',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'User ID'
+            }
+        }
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'User not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to list the sessions of a user
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const start = time();
+        const { id } = req.pathParams;
+        
+        // Check if user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        const [user] = query`
+            FOR user IN users
+            FILTER user._key == ${id}
+            RETURN KEEP(user, "_key", "username")
+        `.toArray();
+        
+        if (!user) {
+            return res.throw(404, 'User not found');
+        }
+        
+        try {
+            const { auth } = module.context;
+            const sessions = auth.listSessions(id);
+            
+            res.send({
+                user,
+                sessions,
+                total: sessions.length,
+                meta: {
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error(`Error listing sessions of user ${id}:`, error.message);
+            res.throw(500, 'Error listing sessions');
+        }
+    }
+};
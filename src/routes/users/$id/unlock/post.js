@@ -0,0 +1,119 @@
+/**
+ * Unlock User Endpoint
+ * 
+ * Clears the failed login counters of a user and lifts a lock
+ * Restricted to admin users only
+ * 
+ * @version 1.0.0
+ */
+const { query, db, time } = require('@arangodb');
+const joi = require('joi');
+
+module.exports = {
+    contentType: 'application/json',
+    name: 'Unlock User',
+    
+    // Define path parameters validation
+    params: {
+        path: {
+            id: {
+                schema: joi.string().required(),
+                description: 'User ID'
+            }
+        }
+    },
+    
+    // Define request body validation
+    body: {
+        model: joi.object({
+            ipAddress: joi.string().max(100).optional()
+                .description('Also clear the failed login counter of this IP address'),
+            reason: joi.string().max(200).optional()
+                .description('Reason recorded in the audit log')
+        }).optional()
+    },
+    
+    // Define possible errors
+    error: [
+        {'403': 'Access denied'},
+        {'404': 'User not found'},
+        {'500': 'Server error'}
+    ],
+    
+    /**
+     * Handle the request to unlock a user
+     * 
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    handler: (req, res) => {
+        const { id } = req.pathParams;
+        const { ipAddress, reason } = req.body || {};
+        const start = time();
+        
+        // Check if requesting user has admin role
+        if (!req.user || !req.user.roles || !req.user.roles.includes('admin')) {
+            return res.throw(403, 'Access denied: admin role required');
+        }
+        
+        // Check if user exists
+        const [user] = query`
+            FOR user IN users
+            FILTER user._key == ${id}
+            RETURN user
+        `.toArray();
+        
+        if (!user) {
+            return res.throw(404, 'User not found');
+        }
+        
+        try {
+            const { auth } = module.context;
+            
+            // Failures are counted per account; counters of the username and email
+            // remain from before and from attempts made while it did not exist
+            const cleared = auth.resetLoginAttempts({
+                usernames: [{accountId: id}, user.username, user.email],
+                ips: ipAddress ? [ipAddress] : []
+            });
+            
+            const status = user.status === 'locked' ? 'active' : user.status;
+            if (status !== user.status) {
+                db._collection('users').update(id, {
+                    status,
+                    updatedAt: new Date().getTime(),
+                    updatedBy: req.user._key
+                });
+            }
+            
+            // Record the unlock in audit log
+            const auditCollection = db._collection('audit');
+            auditCollection.save({
+                action: 'user_unlocked',
+                targetId: id,
+                clearedCounters: cleared,
+                ipAddress: ipAddress || null,
+                reason: reason || 'No reason provided',
+                performedBy: req.user._key,
+                timestamp: new Date().getTime()
+            });
+            
+            res.send({
+                success: true,
+                user: {
+                    _key: id,
+                    username: user.username,
+                    status
+                },
+                clearedCounters: cleared,
+                meta: {
+                    message: `User "${user.username}" unlocked`,
+                    execTime: time() - start
+                }
+            });
+        } catch (error) {
+            console.error(`Error unlocking user ${id}:`, error.message);
+            res.throw(500, 'Error unlocking user');
+        }
+    }
+};
@@ -14,6 +14,9 @@ const config = getConfig(module.context);
 // Load scheduler
 const scheduler = require('./builder/scheduler');
 
+// Load auth service, the context of setup scripts is not extended
+const auth = require('./builder/auth')(module.context);
+
 console.log('Initializing Foxx service...');
 
 // Define collections and indexes
@@ -85,6 +88,162 @@ const collections = [
             }
         ]
     },
+    {
+        name: 'scheduledTaskExecutions',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['taskId', 'startTime']
+            },
+            {
+                type: 'persistent',
+                fields: ['status']
+            },
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    {
+        name: 'scheduledWorkflowRuns',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['rootTaskId', 'createdAt']
+            },
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    {
+        name: 'notifications',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['taskId', 'createdAt']
+            },
+            {
+                type: 'persistent',
+                fields: ['read', 'createdAt']
+            }
+        ]
+    },
+    {
+        name: 'revokedTokens',
+        index: [
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    'userMfa',
+    {
+        name: 'apiKeys',
+        index: [
+            {
+                type: 'persistent',
+                unique: true,
+                fields: ['hash']
+            },
+            {
+                type: 'persistent',
+                fields: ['ownerId']
+            }
+        ]
+    },
+    {
+        name: 'userSessions',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['userId', 'status']
+            },
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    {
+        name: 'signingKeys',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['status']
+            },
+            {
+                type: 'persistent',
+                fields: ['activeAlg'],
+                unique: true,
+                sparse: true
+            },
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    {
+        name: 'loginAttempts',
+        index: [
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    {
+        name: 'oneTimeTokens',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['userId', 'purpose']
+            },
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    {
+        name: 'refreshTokens',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['familyId']
+            },
+            {
+                type: 'persistent',
+                fields: ['userId']
+            },
+            {
+                type: 'ttl',
+                fields: ['expiresAt'],
+                expireAfter: 0
+            }
+        ]
+    },
+    {
+        name: 'schedulerCalendars',
+        index: [
+            {
+                type: 'persistent',
+                fields: ['name'],
+                unique: true
+            }
+        ]
+    },
     'Authors',
     'Articles'
 ];
@@ -145,6 +304,18 @@ console.log(`- Auth enabled: ${config.getBoolean('useAuth', false)}`);
 console.log(`- Token expiration: ${authConfig.useTokenExpiration}`);
 console.log(`- Refresh tokens: ${authConfig.useRefreshTokens}`);
 
+// Create the first signing key for asymmetric JWT algorithms, generating it takes a few seconds
+try {
+    const signing = auth.ensureSigningKey();
+    if (signing) {
+        console.log(signing.created
+            ? `Created signing key ${signing.key.kid}`
+            : `Signing key ${signing.key.kid} is active`);
+    }
+} catch (error) {
+    console.error(`Error creating signing key: ${error.message}`);
+}
+
 // Create default roles if roles collection is empty
 const rolesCollection = db._collection('roles');
 if (rolesCollection.count() === 0) {
@@ -233,6 +404,13 @@ try {
         RETURN 1
     `).toArray().length;
     console.log(`Activated ${count} scheduled tasks`);
+
+    // Reconcile tasks declared in src/tasks and the manifest
+    const sync = scheduler.syncDeclaredTasks();
+    console.log(`Synced declared tasks: ${sync.created} created, ${sync.updated} updated, ${sync.unchanged} unchanged, ${sync.disabled} disabled`);
+    if (sync.errors.length > 0) {
+        console.warn(`Failed to sync ${sync.errors.length} declared tasks: ${sync.errors.map(item => item.name).join(', ')}`);
+    }
 } catch (error) {
     console.error(`Error initializing scheduler service: ${error.message}`);
 }
@@ -0,0 +1,107 @@
+/**
+ * Tests for API keys in the authentication middleware
+ *
+ * Run by the Foxx test runner (mocha), see tests/README.md. The key lookup
+ * is replaced, so no API key has to be stored.
+ *
+ * @author skitsanos
+ */
+const { expect } = require('chai');
+const crypto = require('@arangodb/crypto');
+const createAuthService = require('../../../src/builder/auth');
+
+const KEY = 'fxb_test1234_secret';
+
+/**
+ * Run the middleware on a request
+ *
+ * @param {Object} auth - Auth service
+ * @param {Object} request - Request fields ({ method, path, headers, queryParams })
+ * @param {Object} [options] - Middleware options
+ * @returns {Object} Outcome ({ passed, status, message, req })
+ */
+const authenticate = (auth, request, options = {}) => {
+    const outcome = { passed: false, status: null, message: null };
+    const req = { method: 'GET', headers: {}, queryParams: {}, remoteAddress: '127.0.0.1', ...request };
+
+    auth.createMiddleware({
+        ...options,
+        onError: (res, message, status) => {
+            outcome.status = status;
+            outcome.message = message;
+        }
+    })(req, {}, () => {
+        outcome.passed = true;
+    });
+
+    return { ...outcome, req };
+};
+
+describe('API keys in the middleware', () => {
+    const auth = createAuthService({ configuration: { jwtSecret: crypto.genRandomAlphaNumbers(32) } });
+    let scopes;
+
+    beforeEach(() => {
+        scopes = ['api:read', 'api:write'];
+        auth.verifyApiKey = key => (key === KEY ? { _key: 'test1234', ownerId: 'owner', scopes } : null);
+    });
+
+    it('accepts keys from the X-API-Key header', () => {
+        const outcome = authenticate(auth, { path: '/articles', headers: { 'x-api-key': KEY } });
+
+        expect(outcome.passed).to.equal(true);
+        expect(outcome.req.userId).to.equal('owner');
+        expect(outcome.req.token.type).to.equal('apiKey');
+    });
+
+    it('accepts keys as bearer token', () => {
+        expect(authenticate(auth, { path: '/articles', headers: { authorization: `Bearer ${KEY}` } }).passed).to.equal(true);
+    });
+
+    it('refuses keys the default extractor finds in the query string', () => {
+        const outcome = authenticate(auth, { path: '/articles', queryParams: { token: KEY } });
+
+        expect(outcome.passed).to.equal(false);
+        expect(outcome.status).to.equal(401);
+    });
+
+    it('trusts a custom token extractor', () => {
+        const outcome = authenticate(auth, { path: '/articles', headers: { cookie: `key=${KEY}` } }, {
+            tokenExtractor: req => req.headers.cookie.replace('key=', '')
+        });
+
+        expect(outcome.passed).to.equal(true);
+    });
+
+    it('refuses keys on the account management of their owner', () => {
+        for (const [method, path] of [['PUT', '/profile'], ['POST', '/profile/mfa/enroll'], ['DELETE', '/profile/sessions'], ['POST', '/logout']]) {
+            const outcome = authenticate(auth, { method, path, headers: { 'x-api-key': KEY } });
+
+            expect(outcome.passed).to.equal(false);
+            expect(outcome.status).to.equal(403);
+        }
+    });
+
+    it('refuses read-only keys on writing requests', () => {
+        scopes = ['api:read'];
+
+        expect(authenticate(auth, { method: 'GET', path: '/articles', headers: { 'x-api-key': KEY } }).passed).to.equal(true);
+
+        const outcome = authenticate(auth, { method: 'POST', path: '/articles', headers: { 'x-api-key': KEY } });
+        expect(outcome.passed).to.equal(false);
+        expect(outcome.status).to.equal(403);
+        expect(outcome.message).to.equal('API key lacks the api:write scope');
+    });
+
+    it('leaves scopes to the routes when apiKeyScopes is off', () => {
+        scopes = ['content:read'];
+
+        const outcome = authenticate(auth, { method: 'POST', path: '/articles', headers: { 'x-api-key': KEY } }, { apiKeyScopes: false });
+        expect(outcome.passed).to.equal(true);
+        expect(outcome.req.token.permissions).to.deep.equal(['content:read']);
+    });
+
+    it('refuses unknown keys', () => {
+        expect(authenticate(auth, { path: '/articles', headers: { 'x-api-key': 'fxb_unknown_key' } }).status).to.equal(401);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for password hashing
+ *
+ * Run by the Foxx test runner (mocha), see tests/README.md
+ *
+ * @author skitsanos
+ */
+const { expect } = require('chai');
+const crypto = require('@arangodb/crypto');
+const password = require('../../../src/builder/auth/password');
+
+// The lowest accepted count keeps the tests fast
+const options = { iterations: 10000 };
+
+describe('password', () => {
+    describe('hash() and verify()', () => {
+        it('verifies the hashed password', () => {
+            const stored = password.hash('correct horse', options);
+
+            expect(stored).to.match(/^\$pbkdf2-sha512\$v=1\$i=10000\$[A-Za-z0-9]{32}\$[0-9a-f]{128}$/);
+            expect(password.verify('correct horse', stored)).to.equal(true);
+            expect(password.verify('wrong horse', stored)).to.equal(false);
+        });
+
+        it('salts every hash', () => {
+            expect(password.hash('correct horse', options)).to.not.equal(password.hash('correct horse', options));
+        });
+
+        it('rejects too few iterations', () => {
+            expect(() => password.hash('correct horse', { iterations: 1000 })).to.throw('Invalid password hash iterations');
+        });
+
+        it('rejects unknown formats', () => {
+            expect(password.verify('correct horse', '$bcrypt$whatever')).to.equal(false);
+            expect(password.verify('correct horse', null)).to.equal(false);
+        });
+    });
+
+    describe('legacy hashes', () => {
+        const legacy = crypto.sha384('correct horse');
+
+        it('verifies unsalted SHA-384 hashes', () => {
+            expect(password.isLegacy(legacy)).to.equal(true);
+            expect(password.verify('correct horse', legacy)).to.equal(true);
+            expect(password.verify('wrong horse', legacy)).to.equal(false);
+        });
+
+        it('upgrades them to the current format', () => {
+            expect(password.needsRehash(legacy, options)).to.equal(true);
+
+            const upgraded = password.hash('correct horse', options);
+            expect(password.needsRehash(upgraded, options)).to.equal(false);
+            expect(password.verify('correct horse', upgraded)).to.equal(true);
+        });
+    });
+
+    describe('needsRehash()', () => {
+        it('reports hashes with fewer iterations than configured', () => {
+            const stored = password.hash('correct horse', options);
+            expect(password.needsRehash(stored, { iterations: 20000 })).to.equal(true);
+        });
+    });
+
+    describe('dummyHash()', () => {
+        it('matches no password', () => {
+            const dummy = password.dummyHash(options);
+
+            expect(password.verify('', dummy)).to.equal(false);
+            expect(password.verify('correct horse', dummy)).to.equal(false);
+            expect(password.needsRehash(dummy, options)).to.equal(false);
+        });
+    });
+});
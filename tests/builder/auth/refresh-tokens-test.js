@@ -0,0 +1,76 @@
+/**
+ * Tests for refresh token rotation and reuse detection
+ *
+ * Run by the Foxx test runner (mocha), see tests/README.md. Uses the
+ * refreshTokens and revokedTokens collections of the service database and
+ * removes its own records afterwards.
+ *
+ * @author skitsanos
+ */
+const { expect } = require('chai');
+const { db, query } = require('@arangodb');
+const crypto = require('@arangodb/crypto');
+const createAuthService = require('../../../src/builder/auth');
+
+describe('refresh tokens', () => {
+    const userId = `test-${crypto.genRandomAlphaNumbers(12)}`;
+    const auth = createAuthService({
+        configuration: {
+            jwtSecret: crypto.genRandomAlphaNumbers(32),
+            jwtAlgorithm: 'HS512',
+            useRefreshTokens: true
+        }
+    });
+
+    after(() => {
+        for (const name of ['refreshTokens', 'revokedTokens']) {
+            const collection = db._collection(name);
+            if (collection) {
+                query`FOR item IN ${collection} FILTER item.userId == ${userId} REMOVE item IN ${collection}`;
+            }
+        }
+    });
+
+    it('rotates a refresh token within its family', () => {
+        const tokens = auth.issueTokens(userId, { roles: [] });
+        const rotated = auth.rotateRefreshToken(tokens.refreshToken);
+
+        expect(rotated.familyId).to.equal(tokens.familyId);
+        expect(rotated.refreshToken).to.not.equal(tokens.refreshToken);
+    });
+
+    it('revokes the family when a used refresh token is presented again', () => {
+        const tokens = auth.issueTokens(userId, { roles: [] });
+        const rotated = auth.rotateRefreshToken(tokens.refreshToken);
+
+        expect(() => auth.rotateRefreshToken(tokens.refreshToken)).to.throw('Refresh token reuse detected');
+
+        // The legitimate successor and its access token are revoked as well
+        expect(() => auth.rotateRefreshToken(rotated.refreshToken)).to.throw('Refresh token has been revoked');
+        expect(auth.isRevoked(auth.decode(rotated.accessToken))).to.equal(true);
+    });
+
+    it('leaves other families alone', () => {
+        const stolen = auth.issueTokens(userId, { roles: [] });
+        const other = auth.issueTokens(userId, { roles: [] });
+
+        auth.rotateRefreshToken(stolen.refreshToken);
+        expect(() => auth.rotateRefreshToken(stolen.refreshToken)).to.throw('Refresh token reuse detected');
+
+        expect(auth.rotateRefreshToken(other.refreshToken).familyId).to.equal(other.familyId);
+    });
+
+    it('rotates a payload the caller has verified', () => {
+        const tokens = auth.issueTokens(userId, { roles: [] });
+        const payload = auth.decode(tokens.refreshToken, { type: 'refresh' });
+
+        expect(auth.rotateRefreshToken(payload).familyId).to.equal(tokens.familyId);
+        expect(() => auth.rotateRefreshToken(payload)).to.throw('Refresh token reuse detected');
+    });
+
+    it('rejects access tokens as refresh tokens', () => {
+        const tokens = auth.issueTokens(userId, { roles: [] });
+        expect(() => auth.rotateRefreshToken(tokens.accessToken)).to.throw();
+        expect(() => auth.rotateRefreshToken(auth.decode(tokens.accessToken))).to.throw('expected refresh');
+    });
+});
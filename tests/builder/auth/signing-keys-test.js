@@ -0,0 +1,46 @@
+/**
+ * Tests for RS256 signatures
+ *
+ * Run by the Foxx test runner (mocha), see tests/README.md
+ *
+ * @author skitsanos
+ */
+const { expect } = require('chai');
+const signingKeys = require('../../../src/builder/auth/signing-keys');
+
+describe('signing-keys', function () {
+    // Key generation on BigInt takes a few seconds
+    this.timeout(60000);
+
+    let key;
+
+    before(() => {
+        key = signingKeys.generateRsaKey(1024);
+    });
+
+    it('generates keys with the public exponent 65537', () => {
+        expect(key.kty).to.equal('RSA');
+        expect(key.e).to.equal('AQAB');
+    });
+
+    it('verifies its own signatures', () => {
+        const signature = signingKeys.sign('header.payload', key);
+        expect(signingKeys.verifySignature('header.payload', signature, key)).to.equal(true);
+    });
+
+    it('produces deterministic signatures despite blinding', () => {
+        expect(signingKeys.sign('header.payload', key)).to.equal(signingKeys.sign('header.payload', key));
+    });
+
+    it('rejects signatures of other messages or keys', () => {
+        const signature = signingKeys.sign('header.payload', key);
+        const other = signingKeys.generateRsaKey(1024);
+
+        expect(signingKeys.verifySignature('header.other', signature, key)).to.equal(false);
+        expect(signingKeys.verifySignature('header.payload', signature, other)).to.equal(false);
+    });
+
+    it('reads the header of a token', () => {
+        expect(() => signingKeys.readHeader('not-a-token')).to.throw('Malformed token');
+    });
+});
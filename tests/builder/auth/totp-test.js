@@ -0,0 +1,61 @@
+/**
+ * Tests for TOTP codes
+ *
+ * Run by the Foxx test runner (mocha), see tests/README.md
+ *
+ * @author skitsanos
+ */
+const { expect } = require('chai');
+const totp = require('../../../src/builder/auth/totp');
+
+// Base32 of the ASCII secret "12345678901234567890" from RFC 6238, appendix B
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// SHA-1 test vectors of RFC 6238, appendix B: time in seconds and 8-digit code
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+describe('totp', () => {
+    describe('generate()', () => {
+        for (const [seconds, code] of RFC_VECTORS) {
+            it(`matches the RFC 6238 vector at T=${seconds}`, () => {
+                expect(totp.generate(RFC_SECRET, { time: seconds * 1000, digits: 8 })).to.equal(code);
+            });
+        }
+
+        it('truncates to 6 digits by default', () => {
+            expect(totp.generate(RFC_SECRET, { time: 59 * 1000 })).to.equal('287082');
+        });
+    });
+
+    describe('verify()', () => {
+        const time = 1111111111 * 1000;
+
+        it('returns the matched time step', () => {
+            expect(totp.verify(RFC_SECRET, '14050471', { time, digits: 8 })).to.equal(Math.floor(1111111111 / 30));
+        });
+
+        it('accepts codes within the drift window', () => {
+            const previous = totp.generate(RFC_SECRET, { time: time - 30 * 1000 });
+            expect(totp.verify(RFC_SECRET, previous, { time })).to.not.equal(null);
+        });
+
+        it('rejects codes of a used step', () => {
+            const code = totp.generate(RFC_SECRET, { time });
+            const step = totp.verify(RFC_SECRET, code, { time });
+            expect(totp.verify(RFC_SECRET, code, { time, afterStep: step })).to.equal(null);
+        });
+
+        it('rejects malformed and wrong codes', () => {
+            expect(totp.verify(RFC_SECRET, 'abcdef', { time })).to.equal(null);
+            expect(totp.verify(RFC_SECRET, '12345', { time })).to.equal(null);
+            expect(totp.verify(RFC_SECRET, '000000', { time: 59 * 1000 })).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for scheduler blackout calendars
+ *
+ * Run by the Foxx test runner (mocha), see tests/README.md
+ *
+ * @author skitsanos
+ */
+const { expect } = require('chai');
+const calendars = require('../../../src/builder/scheduler/calendars');
+
+describe('calendars', () => {
+    describe('validate()', () => {
+        it('accepts holidays that are real dates', () => {
+            expect(() => calendars.validate({ name: 'holidays', holidays: ['2024-02-29', { date: '2024-12-25' }] })).to.not.throw();
+        });
+
+        it('rejects holidays that only look like dates', () => {
+            expect(() => calendars.validate({ name: 'holidays', holidays: ['2024-02-30'] })).to.throw('Invalid calendar holiday "2024-02-30"');
+            expect(() => calendars.validate({ name: 'holidays', holidays: ['2023-02-29'] })).to.throw('Invalid calendar holiday');
+            expect(() => calendars.validate({ name: 'holidays', holidays: ['2024-13-01'] })).to.throw('Invalid calendar holiday');
+            expect(() => calendars.validate({ name: 'holidays', holidays: ['24-1-1'] })).to.throw('Invalid calendar holiday');
+        });
+    });
+
+    describe('nextOpenTime()', () => {
+        it('skips holidays in the time zone of the calendar', () => {
+            const calendar = { name: 'holidays', timezone: 'Europe/Berlin', holidays: ['2024-12-25'] };
+            const open = calendars.nextOpenTime([calendar], Date.parse('2024-12-25T12:00:00Z'));
+
+            expect(new Date(open).toISOString()).to.equal('2024-12-25T23:00:00.000Z');
+        });
+    });
+});
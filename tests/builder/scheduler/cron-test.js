@@ -0,0 +1,117 @@
+/**
+ * Tests for the cron expression engine
+ *
+ * Run by the Foxx test runner (mocha), see tests/README.md
+ *
+ * @author skitsanos
+ */
+const { expect } = require('chai');
+const cron = require('../../../src/builder/scheduler/cron');
+
+const at = text => Date.parse(text);
+const iso = timestamps => timestamps.map(timestamp => new Date(timestamp).toISOString());
+
+describe('cron', () => {
+    describe('parse()', () => {
+        it('accepts 5- and 6-field expressions and macros', () => {
+            expect(cron.parse('0 9 * * MON-FRI').second.values.has(0)).to.equal(true);
+            expect(cron.parse('30 0 9 * * *').second.values.has(30)).to.equal(true);
+            expect(cron.parse('@hourly').minute.values.has(0)).to.equal(true);
+        });
+
+        it('keeps the expression as source', () => {
+            expect(cron.parse('@daily').source).to.equal('@daily');
+        });
+
+        it('rejects invalid expressions', () => {
+            expect(() => cron.parse('')).to.throw('non-empty string');
+            expect(() => cron.parse('* * *')).to.throw('expected 5 or 6 fields');
+            expect(() => cron.parse('61 * * * *')).to.throw('Invalid cron expression "61 * * * *"');
+        });
+    });
+
+    describe('steps', () => {
+        it('runs */15 every quarter of an hour', () => {
+            expect(iso(cron.upcoming('*/15 0 * * *', { count: 5, after: at('2024-01-01T00:00:00Z') }))).to.deep.equal([
+                '2024-01-01T00:15:00.000Z',
+                '2024-01-01T00:30:00.000Z',
+                '2024-01-01T00:45:00.000Z',
+                '2024-01-02T00:00:00.000Z',
+                '2024-01-02T00:15:00.000Z'
+            ]);
+        });
+
+        it('runs stepped ranges within the range only', () => {
+            expect(iso(cron.upcoming('10-40/10 * * * *', { count: 5, after: at('2024-01-01T00:00:00Z') }))).to.deep.equal([
+                '2024-01-01T00:10:00.000Z',
+                '2024-01-01T00:20:00.000Z',
+                '2024-01-01T00:30:00.000Z',
+                '2024-01-01T00:40:00.000Z',
+                '2024-01-01T01:10:00.000Z'
+            ]);
+        });
+    });
+
+    describe('weekday steps', () => {
+        it('runs 1/3 on Monday and Thursday only', () => {
+            expect(Array.from(cron.parse('0 9 * * 1/3').dayOfWeek.values)).to.deep.equal([1, 4]);
+            expect(iso(cron.upcoming('0 9 * * 1/3', { count: 3, after: at('2024-01-01T00:00:00Z') }))).to.deep.equal([
+                '2024-01-01T09:00:00.000Z',
+                '2024-01-04T09:00:00.000Z',
+                '2024-01-08T09:00:00.000Z'
+            ]);
+        });
+
+        it('keeps 7 as Sunday in explicit ranges', () => {
+            expect(Array.from(cron.parse('0 9 * * 5-7').dayOfWeek.values)).to.deep.equal([5, 6, 0]);
+        });
+    });
+
+    describe('L', () => {
+        it('runs on the last day of each month, including leap days', () => {
+            expect(iso(cron.upcoming('0 9 L * *', { count: 3, after: at('2024-01-15T00:00:00Z') }))).to.deep.equal([
+                '2024-01-31T09:00:00.000Z',
+                '2024-02-29T09:00:00.000Z',
+                '2024-03-31T09:00:00.000Z'
+            ]);
+        });
+
+        it('runs 5L on the last Friday of the month', () => {
+            expect(iso(cron.upcoming('0 9 * * 5L', { count: 2, after: at('2024-01-01T00:00:00Z') }))).to.deep.equal([
+                '2024-01-26T09:00:00.000Z',
+                '2024-02-23T09:00:00.000Z'
+            ]);
+        });
+    });
+
+    describe('time zones and DST', () => {
+        const timezone = 'America/New_York';
+
+        it('keeps the local time across DST changes', () => {
+            expect(iso(cron.upcoming('0 9 * * *', { count: 2, after: at('2024-03-09T15:00:00Z'), timezone }))).to.deep.equal([
+                '2024-03-10T13:00:00.000Z',
+                '2024-03-11T13:00:00.000Z'
+            ]);
+        });
+
+        it('shifts occurrences in the spring-forward gap past the gap', () => {
+            const nextRun = cron.next('30 2 * * *', { after: at('2024-03-10T05:00:00Z'), timezone });
+            expect(new Date(nextRun).toISOString()).to.equal('2024-03-10T07:30:00.000Z');
+        });
+
+        it('runs occurrences in the repeated hour once, at the earlier instant', () => {
+            const first = cron.next('30 1 * * *', { after: at('2024-11-03T04:00:00Z'), timezone });
+            const second = cron.next('30 1 * * *', { after: first, timezone });
+
+            expect(new Date(first).toISOString()).to.equal('2024-11-03T05:30:00.000Z');
+            expect(new Date(second).toISOString()).to.equal('2024-11-04T06:30:00.000Z');
+        });
+    });
+
+    describe('next()', () => {
+        it('names the expression when it never matches', () => {
+            expect(() => cron.next('0 0 30 2 *')).to.throw('Invalid cron expression "0 0 30 2 *": no occurrence');
+            expect(() => cron.next(cron.parse('0 0 31 4 *'))).to.throw('Invalid cron expression "0 0 31 4 *": no occurrence');
+        });
+    });
+});